@@ -3,6 +3,7 @@
 namespace App\Console\Commands;
 
 use App\Models\Article;
+use App\Services\RewriterWebhook;
 use Illuminate\Console\Command;
 use Illuminate\Support\Facades\Http;
 use Illuminate\Support\Facades\Log;
@@ -25,6 +26,7 @@ use Symfony\Component\DomCrawler\Crawler;
  * 3. Extract article links
  * 4. Scrape each article's content
  * 5. Store in database
+ * 6. Queue the new articles with the rewriter daemon (if configured)
  * 
  * USAGE: php artisan scrape:articles
  * 
@@ -54,11 +56,19 @@ class ScrapeArticles extends Command
      */
     private const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
+    /**
+     * Sends new articles to the Node.js rewriter daemon
+     */
+    private RewriterWebhook $webhook;
+
     /**
      * Main execution method - Laravel calls this when command runs
+     * 
+     * The webhook is injected by Laravel's service container.
      */
-    public function handle(): int
+    public function handle(RewriterWebhook $webhook): int
     {
+        $this->webhook = $webhook;
         $limit = (int) $this->option('limit');
         
         $this->info('');
@@ -91,6 +101,7 @@ class ScrapeArticles extends Command
             $this->info('📰 Step 2: Scraping individual articles...');
             $successCount = 0;
             $failCount = 0;
+            $createdIds = [];
 
             $progressBar = $this->output->createProgressBar(count($oldestLinks));
             $progressBar->start();
@@ -104,7 +115,7 @@ class ScrapeArticles extends Command
                         $existing = Article::where('original_url', $link)->first();
                         
                         if (!$existing) {
-                            Article::create($article);
+                            $createdIds[] = Article::create($article)->id;
                             $successCount++;
                         } else {
                             $this->line(" ⏭️  Skipping (already exists)");
@@ -133,6 +144,8 @@ class ScrapeArticles extends Command
             $this->info('╚══════════════════════════════════════════════════════════╝');
             $this->newLine();
 
+            $this->notifyRewriter($createdIds);
+
             // Show what was saved
             $this->table(
                 ['ID', 'Title', 'AI Updated', 'Created At'],
@@ -372,6 +385,30 @@ class ScrapeArticles extends Command
         return trim($bestContent);
     }
 
+    /**
+     * Queue newly created articles with the rewriter daemon
+     * 
+     * Without REWRITER_WEBHOOK_URL nothing is sent; the articles wait
+     * for the next `node ai-rewriter.js --all` run instead.
+     * 
+     * @param array<int> $articleIds
+     */
+    private function notifyRewriter(array $articleIds): void
+    {
+        if (empty($articleIds) || !$this->webhook->isEnabled()) {
+            return;
+        }
+
+        $jobs = $this->webhook->queueArticles($articleIds);
+
+        if ($jobs === null) {
+            $this->warn('⚠️  Rewriter daemon not reachable - the articles stay pending (check logs)');
+        } else {
+            $this->info('🛰️  Queued ' . count($jobs) . ' articles with the rewriter daemon');
+        }
+        $this->newLine();
+    }
+
     /**
      * Create fallback sample articles when scraping fails
      * 
@@ -418,19 +455,23 @@ class ScrapeArticles extends Command
             ],
         ];
 
+        $createdIds = [];
+
         foreach (array_slice($sampleArticles, 0, $limit) as $article) {
-            Article::create([
+            $createdIds[] = Article::create([
                 'title' => $article['title'],
                 'content' => $article['content'],
                 'original_url' => $article['original_url'],
                 'is_ai_updated' => false,
                 'scraped_at' => now(),
-            ]);
+            ])->id;
         }
 
         $this->info("✅ Created {$limit} sample articles successfully!");
         $this->newLine();
 
+        $this->notifyRewriter($createdIds);
+
         // Display created articles
         $this->table(
             ['ID', 'Title', 'Words'],
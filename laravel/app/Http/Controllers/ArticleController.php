@@ -5,6 +5,8 @@ namespace App\Http\Controllers;
 use App\Models\Article;
 use App\Http\Resources\ArticleResource;
 use App\Http\Resources\ArticleCollection;
+use App\Rules\ValidCitation;
+use App\Services\RewriterWebhook;
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Support\Facades\Validator;
@@ -22,6 +24,19 @@ use Illuminate\Validation\Rule;
  *   PUT    /api/articles/{id}     → update()  - Update article
  *   DELETE /api/articles/{id}     → destroy() - Delete article
  * 
+ * AI workflow endpoints:
+ * 
+ *   GET    /api/articles/latest           → latest()    - Next article to process
+ *   POST   /api/articles/claim            → claim()     - Reserve next article for a worker
+ *   POST   /api/articles/{id}/release     → release()   - Give a claimed article back
+ *   POST   /api/articles/{id}/publish-ai  → publishAi() - Store AI-enhanced content
+ *   POST   /api/articles/{id}/reject-ai   → rejectAi()  - Store a draft that failed the quality gate
+ * 
+ * Editorial review endpoints:
+ * 
+ *   POST   /api/articles/{id}/review      → review()    - Approve or reject the AI version
+ *   POST   /api/articles/{id}/rewrite     → rewrite()   - Send the article back to the rewriter
+ * 
  * Design Principles:
  * - Single Responsibility: Each method does one thing
  * - Consistent response format using API Resources
@@ -38,6 +53,9 @@ class ArticleController extends Controller
      * Query Parameters:
      *   - per_page: Number of items per page (default: 15)
      *   - ai_updated: Filter by AI status ('true', 'false', or omit for all)
+     *   - prompt_version: Only AI versions written with this prompt version
+     *   - style_profile: Only AI versions written in this style profile
+     *   - review_status: 'pending_review', 'approved' or 'rejected'
      *   - sort: Sort field (default: 'created_at')
      *   - order: Sort direction ('asc' or 'desc', default: 'desc')
      * 
@@ -55,6 +73,19 @@ class ArticleController extends Controller
             $query->where('is_ai_updated', $isAiUpdated);
         }
 
+        // Filter by the prompt that produced the AI version (compare prompt revisions)
+        if ($request->filled('prompt_version')) {
+            $query->where('prompt_version', $request->prompt_version);
+        }
+        if ($request->filled('style_profile')) {
+            $query->where('style_profile', $request->style_profile);
+        }
+
+        // Filter by editorial review state (e.g. the editors' queue)
+        if ($request->filled('review_status')) {
+            $query->where('review_status', $request->review_status);
+        }
+
         // Search by title if specified
         if ($request->filled('search')) {
             $query->where('title', 'like', '%' . $request->search . '%');
@@ -101,10 +132,14 @@ class ArticleController extends Controller
      *   "is_ai_updated": false            // Optional, default false
      * }
      * 
+     * Articles that still need AI processing are sent to the rewriter
+     * daemon (if configured) once the response has gone out.
+     * 
      * @param Request $request
+     * @param RewriterWebhook $webhook
      * @return JsonResponse
      */
-    public function store(Request $request): JsonResponse
+    public function store(Request $request, RewriterWebhook $webhook): JsonResponse
     {
         // Validate incoming data
         $validator = Validator::make($request->all(), [
@@ -115,7 +150,7 @@ class ArticleController extends Controller
             'is_ai_updated' => 'boolean',
             'ai_content' => 'nullable|string',
             'citations' => 'nullable|array',
-            'citations.*' => 'string|url', // Each citation must be a valid URL
+            'citations.*' => [new ValidCitation()], // A URL or a { url, title, accessed_at, excerpt } record
         ], [
             // Custom error messages for better UX
             'title.required' => 'Please provide an article title.',
@@ -136,7 +171,18 @@ class ArticleController extends Controller
         }
 
         // Create the article
-        $article = Article::create($validator->validated());
+        $data = $validator->validated();
+        if (isset($data['citations'])) {
+            $data['citations'] = Article::normalizeCitations($data['citations']);
+        }
+
+        $article = Article::create($data);
+
+        // Queue it for the rewriter without making the client wait for the call
+        if (!$article->is_ai_updated && $webhook->isEnabled()) {
+            $articleId = $article->id;
+            dispatch(fn () => $webhook->queueArticles([$articleId]))->afterResponse();
+        }
 
         // Return the created article with 201 status
         return response()->json([
@@ -208,6 +254,126 @@ class ArticleController extends Controller
         ]);
     }
 
+    /**
+     * Claim the next article for AI processing.
+     * 
+     * POST /api/articles/claim
+     * 
+     * Like latest(), but the returned article is reserved for the calling
+     * worker until the lease expires. Concurrent workers therefore never
+     * receive the same article.
+     * 
+     * Request Body (JSON):
+     * {
+     *   "worker": "host-1234",        // Required, identifies the caller
+     *   "lease_seconds": 900,         // Optional, how long the claim lasts (30-3600)
+     *   "exclude": [3, 7],            // Optional, IDs the worker already gave up on
+     *   "article": 12                 // Optional, claim this article only (rewriter daemon jobs)
+     * }
+     * 
+     * With "article", the answer is 404 unless that article is claimable.
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function claim(Request $request): JsonResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'worker' => 'required|string|max:100',
+            'lease_seconds' => 'nullable|integer|min:30|max:3600',
+            'exclude' => 'nullable|array',
+            'exclude.*' => 'integer',
+            'article' => 'nullable|integer',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $validator->errors(),
+            ], 422);
+        }
+
+        $leaseSeconds = (int) $request->get('lease_seconds', 900);
+        $exclude = $request->get('exclude', []);
+
+        // Compare-and-set loop: the UPDATE only succeeds if the article is
+        // still claimable, so two workers racing for the same row can't both win.
+        // This works the same on MySQL and SQLite without explicit row locks.
+        for ($attempt = 0; $attempt < 5; $attempt++) {
+            $candidate = Article::claimable()
+                ->whereNotIn('id', $exclude)
+                ->when($request->article, fn ($query, $id) => $query->where('id', $id))
+                ->orderBy('created_at', 'desc')
+                ->first();
+
+            if (!$candidate) {
+                break;
+            }
+
+            $claimed = Article::claimable()
+                ->where('id', $candidate->id)
+                ->update([
+                    'claimed_by' => $request->worker,
+                    'claimed_until' => now()->addSeconds($leaseSeconds),
+                ]);
+
+            if ($claimed === 1) {
+                return response()->json([
+                    'success' => true,
+                    'data' => new ArticleResource($candidate->fresh()),
+                ]);
+            }
+        }
+
+        return response()->json([
+            'success' => false,
+            'message' => 'No articles pending AI update',
+        ], 404);
+    }
+
+    /**
+     * Release a claimed article so other workers can pick it up again.
+     * 
+     * POST /api/articles/{id}/release
+     * 
+     * Only the worker holding the claim can release it.
+     * 
+     * @param Request $request
+     * @param string $id
+     * @return JsonResponse
+     */
+    public function release(Request $request, string $id): JsonResponse
+    {
+        $article = Article::where('id', $id)
+            ->orWhere('slug', $id)
+            ->first();
+
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found',
+            ], 404);
+        }
+
+        if ($article->claimed_by !== $request->get('worker')) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article is not claimed by this worker',
+            ], 409); // 409 Conflict
+        }
+
+        $article->update([
+            'claimed_by' => null,
+            'claimed_until' => null,
+        ]);
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Claim released',
+        ]);
+    }
+
     /**
      * Update the specified article.
      * 
@@ -250,7 +416,9 @@ class ArticleController extends Controller
             'is_ai_updated' => 'boolean',
             'ai_content' => 'nullable|string',
             'citations' => 'nullable|array',
-            'citations.*' => 'string|url',
+            'citations.*' => [new ValidCitation()],
+            // Set to null to queue a rejected article for AI processing again
+            'quality_status' => 'nullable|in:passed,rejected',
         ]);
 
         if ($validator->fails()) {
@@ -262,7 +430,12 @@ class ArticleController extends Controller
         }
 
         // Update only the provided fields
-        $article->update($validator->validated());
+        $data = $validator->validated();
+        if (isset($data['citations'])) {
+            $data['citations'] = Article::normalizeCitations($data['citations']);
+        }
+
+        $article->update($data);
 
         return response()->json([
             'success' => true,
@@ -314,6 +487,41 @@ class ArticleController extends Controller
      * This is a custom endpoint for the AI workflow.
      * It updates the article with AI-generated content and citations.
      * 
+     * Request Body (JSON):
+     * {
+     *   "ai_content": "Rewritten text with inline [1] markers...",
+     *   "citations": [                     // Required, at least one
+     *     {
+     *       "url": "https://...",          // Required
+     *       "title": "Source title",       // Optional
+     *       "accessed_at": "2024-01-15T10:00:00Z",
+     *       "excerpt": "Passage used...",  // Optional
+     *       "relevance": 0.42              // Optional, 0-1 relevance to the article
+     *     }
+     *   ],
+     *   "quality_report": { ... },         // Optional, from the quality gate
+     *   "prompt_version": "3",             // Optional, prompt manifest version
+     *   "style_profile": "beginner-guide", // Optional, style profile used
+     *   "seo": {                           // Optional, SEO package
+     *     "meta_title": "...",             // Max 60 characters
+     *     "meta_description": "...",       // Max 160 characters
+     *     "focus_keywords": ["..."],       // Up to 8
+     *     "slug": "suggested-slug",        // Suggestion only, the slug is not changed
+     *     "outline": [{ "level": 2, "text": "..." }],
+     *     "faq": [{ "question": "...?", "answer": "..." }],
+     *     "json_ld": [{ "@context": "https://schema.org", "@type": "Article", ... }]
+     *   }
+     * }
+     * 
+     * Bare URL strings are still accepted as citations (older clients).
+     * 
+     * Optional header "Idempotency-Key": a retry with the key of the last
+     * successful publish is answered with the current article and
+     * "replayed": true, without changing anything.
+     * 
+     * The new AI version waits for an editor (review_status 'pending_review');
+     * the original content is displayed until it is approved.
+     * 
      * @param Request $request
      * @param string $id
      * @return JsonResponse
@@ -331,10 +539,46 @@ class ArticleController extends Controller
             ], 404);
         }
 
+        // Same key as the last publish: the earlier request already went through
+        $publishKey = $request->header('Idempotency-Key');
+        if ($publishKey !== null && strlen($publishKey) > 100) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Idempotency-Key must not be longer than 100 characters.',
+            ], 422);
+        }
+
+        if ($publishKey !== null && $publishKey === $article->last_publish_key) {
+            return response()->json([
+                'success' => true,
+                'message' => 'AI content was already published with this key',
+                'replayed' => true,
+                'data' => new ArticleResource($article),
+            ]);
+        }
+
         $validator = Validator::make($request->all(), [
             'ai_content' => 'required|string|min:50',
             'citations' => 'required|array|min:1',
-            'citations.*' => 'string|url',
+            'citations.*' => [new ValidCitation()],
+            'quality_report' => 'nullable|array',
+            'prompt_version' => 'nullable|string|max:50',
+            'style_profile' => 'nullable|string|max:50',
+            'seo' => 'nullable|array',
+            'seo.meta_title' => 'required_with:seo|string|max:60',
+            'seo.meta_description' => 'required_with:seo|string|max:160',
+            'seo.focus_keywords' => 'required_with:seo|array|max:8',
+            'seo.focus_keywords.*' => 'string|max:60',
+            'seo.slug' => ['required_with:seo', 'string', 'max:75', 'regex:/^[a-z0-9]+(?:-[a-z0-9]+)*$/'],
+            'seo.outline' => 'nullable|array|max:20',
+            'seo.outline.*.level' => 'required|integer|in:2,3',
+            'seo.outline.*.text' => 'required|string|max:100',
+            'seo.faq' => 'nullable|array|max:6',
+            'seo.faq.*.question' => 'required|string|max:150',
+            'seo.faq.*.answer' => 'required|string|max:500',
+            'seo.json_ld' => 'required_with:seo|array|min:1',
+            'seo.json_ld.*.@context' => 'required|in:https://schema.org',
+            'seo.json_ld.*.@type' => 'required|in:Article,FAQPage',
         ], [
             'ai_content.required' => 'AI-generated content is required.',
             'ai_content.min' => 'AI content seems too short. Please provide meaningful content.',
@@ -350,17 +594,249 @@ class ArticleController extends Controller
             ], 422);
         }
 
-        // Update with AI content
+        // Update with AI content - the work is done, so the claim is cleared too
         $article->update([
             'ai_content' => $request->ai_content,
-            'citations' => $request->citations,
+            'citations' => Article::normalizeCitations($request->citations),
+            'prompt_version' => $request->prompt_version,
+            'style_profile' => $request->style_profile,
+            'seo' => $request->seo,
+            'quality_status' => $request->quality_report ? 'passed' : null,
+            'quality_report' => $request->quality_report,
+            'rejected_content' => null,
+            'last_publish_key' => $publishKey,
+            'review_status' => 'pending_review',
+            'reviewer_note' => null,
+            'reviewed_at' => null,
             'is_ai_updated' => true,
+            'claimed_by' => null,
+            'claimed_until' => null,
         ]);
 
         return response()->json([
             'success' => true,
             'message' => 'AI content published successfully',
+            'replayed' => false,
+            'data' => new ArticleResource($article),
+        ]);
+    }
+
+    /**
+     * Store an AI draft that failed the quality gate.
+     * 
+     * POST /api/articles/{id}/reject-ai
+     * 
+     * The draft and the reasons are kept for review, but nothing is
+     * published: is_ai_updated stays false and the original content keeps
+     * being displayed. Rejected articles are no longer claimable.
+     * 
+     * Request Body (JSON):
+     * {
+     *   "rejected_content": "The failed draft...",   // Required
+     *   "quality_report": {                          // Required
+     *     "passed": false,
+     *     "reasons": ["The draft contains meta-commentary ..."],
+     *     "checks": { ... }
+     *   },
+     *   "prompt_version": "3",                       // Optional
+     *   "style_profile": "marketing"                 // Optional
+     * }
+     * 
+     * @param Request $request
+     * @param string $id
+     * @return JsonResponse
+     */
+    public function rejectAi(Request $request, string $id): JsonResponse
+    {
+        $article = Article::where('id', $id)
+            ->orWhere('slug', $id)
+            ->first();
+
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found',
+            ], 404);
+        }
+
+        $validator = Validator::make($request->all(), [
+            'rejected_content' => 'required|string',
+            'quality_report' => 'required|array',
+            'quality_report.reasons' => 'required|array|min:1',
+            'quality_report.reasons.*' => 'string',
+            'prompt_version' => 'nullable|string|max:50',
+            'style_profile' => 'nullable|string|max:50',
+        ], [
+            'quality_report.reasons.required' => 'Please list the reasons the draft was rejected.',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $validator->errors(),
+            ], 422);
+        }
+
+        // The worker is done with the article, so the claim is cleared too
+        $article->update([
+            'quality_status' => 'rejected',
+            'quality_report' => $request->quality_report,
+            'rejected_content' => $request->rejected_content,
+            'prompt_version' => $request->prompt_version,
+            'style_profile' => $request->style_profile,
+            'claimed_by' => null,
+            'claimed_until' => null,
+        ]);
+
+        return response()->json([
+            'success' => true,
+            'message' => 'AI draft stored as rejected',
+            'data' => new ArticleResource($article),
+        ]);
+    }
+
+    /**
+     * Approve or reject the published AI version.
+     * 
+     * POST /api/articles/{id}/review
+     * 
+     * Only approved AI versions are displayed (see display_content).
+     * Rejecting keeps the AI version for reference; the original content
+     * keeps being displayed.
+     * 
+     * Request Body (JSON):
+     * {
+     *   "status": "approved",                     // Required: approved | rejected
+     *   "note": "Tone is off in the intro."        // Required when rejecting, max 2000
+     * }
+     * 
+     * Answers 409 when the article has no AI version to review.
+     * 
+     * @param Request $request
+     * @param string $id
+     * @return JsonResponse
+     */
+    public function review(Request $request, string $id): JsonResponse
+    {
+        $article = Article::where('id', $id)
+            ->orWhere('slug', $id)
+            ->first();
+
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found',
+            ], 404);
+        }
+
+        $validator = Validator::make($request->all(), [
+            'status' => 'required|in:approved,rejected',
+            'note' => 'nullable|string|max:2000|required_if:status,rejected',
+        ], [
+            'status.in' => 'The review status must be "approved" or "rejected".',
+            'note.required_if' => 'Please explain why the AI version is rejected.',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $validator->errors(),
+            ], 422);
+        }
+
+        if (!$article->is_ai_updated || !$article->ai_content) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article has no AI version to review',
+            ], 409);
+        }
+
+        $article->update([
+            'review_status' => $request->status,
+            'reviewer_note' => $request->note,
+            'reviewed_at' => now(),
+        ]);
+
+        return response()->json([
+            'success' => true,
+            'message' => $request->status === 'approved'
+                ? 'AI version approved and now displayed'
+                : 'AI version rejected',
             'data' => new ArticleResource($article),
         ]);
     }
+
+    /**
+     * Send an article back to the rewriter.
+     * 
+     * POST /api/articles/{id}/rewrite
+     * 
+     * The article becomes claimable again (the current AI version stays
+     * stored until the new one is published, but is no longer displayed)
+     * and is queued on the rewriter daemon when the webhook is configured.
+     * Without the webhook, the next batch run picks it up.
+     * 
+     * Request Body (JSON):
+     * {
+     *   "note": "Needs more concrete examples."   // Optional, kept as reviewer_note
+     * }
+     * 
+     * Answers 202 with "queued": whether the daemon accepted the job.
+     * 
+     * @param Request $request
+     * @param string $id
+     * @param RewriterWebhook $webhook
+     * @return JsonResponse
+     */
+    public function rewrite(Request $request, string $id, RewriterWebhook $webhook): JsonResponse
+    {
+        $article = Article::where('id', $id)
+            ->orWhere('slug', $id)
+            ->first();
+
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found',
+            ], 404);
+        }
+
+        $validator = Validator::make($request->all(), [
+            'note' => 'nullable|string|max:2000',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $validator->errors(),
+            ], 422);
+        }
+
+        // Back to "needs AI processing" - a stale claim must not block the new run
+        $article->update([
+            'is_ai_updated' => false,
+            'quality_status' => null,
+            'review_status' => null,
+            'reviewer_note' => $request->note,
+            'reviewed_at' => null,
+            'claimed_by' => null,
+            'claimed_until' => null,
+        ]);
+
+        // Called inline (unlike store()) so the editor learns whether the job was queued
+        $queued = $webhook->isEnabled()
+            && $webhook->queueArticles([$article->id], ['fresh' => true]) !== null;
+
+        return response()->json([
+            'success' => true,
+            'message' => $queued
+                ? 'Article queued for a new rewrite'
+                : 'Article marked for a new rewrite - the next rewriter run picks it up',
+            'queued' => $queued,
+            'data' => new ArticleResource($article),
+        ], 202);
+    }
 }
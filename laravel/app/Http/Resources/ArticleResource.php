@@ -48,7 +48,23 @@ class ArticleResource extends JsonResource
             // AI-related fields
             'is_ai_updated' => $this->is_ai_updated,
             'ai_content' => $this->ai_content,
-            'citations' => $this->citations ?? [],
+            // Always structured records - legacy bare URLs are normalized
+            'citations' => $this->citation_records,
+            // Prompt that produced the AI version (null = written without an LLM)
+            'prompt_version' => $this->prompt_version,
+            'style_profile' => $this->style_profile,
+            // Meta title/description, focus keywords, suggested slug, outline, FAQ and JSON-LD
+            'seo' => $this->seo,
+
+            // Quality gate outcome - rejected drafts are kept for review only
+            'quality_status' => $this->quality_status,
+            'quality_report' => $this->quality_report,
+            'rejected_content' => $this->rejected_content,
+
+            // Editorial review - the AI version is only displayed once approved
+            'review_status' => $this->review_status,
+            'reviewer_note' => $this->reviewer_note,
+            'reviewed_at' => $this->reviewed_at?->toIso8601String(),
             
             // Computed field - returns the most appropriate content
             // This saves the frontend from having to implement this logic
@@ -77,6 +93,9 @@ class ArticleResource extends JsonResource
                 'update' => url("/api/articles/{$this->slug}"),
                 'delete' => url("/api/articles/{$this->slug}"),
                 'publish_ai' => url("/api/articles/{$this->slug}/publish-ai"),
+                'reject_ai' => url("/api/articles/{$this->slug}/reject-ai"),
+                'review' => url("/api/articles/{$this->slug}/review"),
+                'rewrite' => url("/api/articles/{$this->slug}/rewrite"),
             ],
         ];
     }
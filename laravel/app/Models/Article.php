@@ -20,7 +20,19 @@ use Illuminate\Support\Str;
  * @property string|null $original_url
  * @property bool $is_ai_updated
  * @property string|null $ai_content
- * @property array|null $citations
+ * @property array|null $citations Citation records (or bare URLs in older rows)
+ * @property string|null $prompt_version Prompt manifest version of the AI draft
+ * @property string|null $style_profile Style profile of the AI draft
+ * @property array|null $seo SEO package of the AI version (meta tags, keywords, outline, JSON-LD)
+ * @property string|null $quality_status 'passed' or 'rejected' (null = not checked yet)
+ * @property array|null $quality_report
+ * @property string|null $rejected_content
+ * @property string|null $review_status 'pending_review', 'approved' or 'rejected' (null = no AI version)
+ * @property string|null $reviewer_note
+ * @property \Carbon\Carbon|null $reviewed_at
+ * @property string|null $last_publish_key Idempotency-Key of the last AI publish
+ * @property string|null $claimed_by
+ * @property \Carbon\Carbon|null $claimed_until
  * @property \Carbon\Carbon|null $scraped_at
  * @property \Carbon\Carbon $created_at
  * @property \Carbon\Carbon $updated_at
@@ -47,6 +59,18 @@ class Article extends Model
         'is_ai_updated',
         'ai_content',
         'citations',
+        'prompt_version',
+        'style_profile',
+        'seo',
+        'quality_status',
+        'quality_report',
+        'rejected_content',
+        'review_status',
+        'reviewer_note',
+        'reviewed_at',
+        'last_publish_key',
+        'claimed_by',
+        'claimed_until',
         'scraped_at',
     ];
 
@@ -61,6 +85,10 @@ class Article extends Model
     protected $casts = [
         'is_ai_updated' => 'boolean',
         'citations' => 'array',
+        'quality_report' => 'array',
+        'seo' => 'array',
+        'claimed_until' => 'datetime',
+        'reviewed_at' => 'datetime',
         'scraped_at' => 'datetime',
     ];
 
@@ -128,6 +156,29 @@ class Article extends Model
         return $query->where('is_ai_updated', false);
     }
 
+    /**
+     * Scope to get articles that are waiting for AI processing and not
+     * currently claimed by a worker (or whose claim has expired).
+     * 
+     * Articles whose draft was rejected by the quality gate are skipped,
+     * so batch runs don't retry them forever. Clear quality_status to
+     * queue one again.
+     * 
+     * Usage: Article::claimable()->first()
+     */
+    public function scopeClaimable($query)
+    {
+        return $query->where('is_ai_updated', false)
+            ->where(function ($q) {
+                $q->whereNull('quality_status')
+                    ->orWhere('quality_status', '!=', 'rejected');
+            })
+            ->where(function ($q) {
+                $q->whereNull('claimed_until')
+                    ->orWhere('claimed_until', '<', now());
+            });
+    }
+
     /**
      * Scope to get the oldest articles first.
      * 
@@ -139,14 +190,63 @@ class Article extends Model
     }
 
     /**
-     * Get the display content - returns AI content if available, otherwise original.
+     * Normalize citations to structured records.
+     * 
+     * Older rows store citations as bare URL strings; newer ones store
+     * { url, title, accessed_at, excerpt, relevance } objects. Both come out as records,
+     * so API consumers only ever see one shape.
+     * 
+     * @param array|null $citations
+     * @return array<int, array{url: string, title: ?string, accessed_at: ?string, excerpt: ?string, relevance: ?float}>
+     */
+    public static function normalizeCitations(?array $citations): array
+    {
+        return array_values(array_map(function ($citation) {
+            if (is_string($citation)) {
+                $citation = ['url' => $citation];
+            }
+
+            return [
+                'url' => $citation['url'],
+                'title' => $citation['title'] ?? null,
+                'accessed_at' => $citation['accessed_at'] ?? null,
+                'excerpt' => $citation['excerpt'] ?? null,
+                'relevance' => isset($citation['relevance']) ? (float) $citation['relevance'] : null,
+            ];
+        }, $citations ?? []));
+    }
+
+    /**
+     * Get the citations as structured records (see normalizeCitations).
+     * 
+     * Access it like: $article->citation_records
+     */
+    public function getCitationRecordsAttribute(): array
+    {
+        return static::normalizeCitations($this->citations);
+    }
+
+    /**
+     * Scope to get AI versions that are waiting for an editor.
+     * 
+     * Usage: Article::awaitingReview()->get()
+     */
+    public function scopeAwaitingReview($query)
+    {
+        return $query->where('is_ai_updated', true)
+            ->where('review_status', 'pending_review');
+    }
+
+    /**
+     * Get the display content - returns the AI content once an editor
+     * approved it, otherwise the original.
      * 
      * This is an "accessor" - it creates a virtual attribute.
      * Access it like: $article->display_content
      */
     public function getDisplayContentAttribute(): string
     {
-        return $this->is_ai_updated && $this->ai_content 
+        return $this->is_ai_updated && $this->ai_content && $this->review_status === 'approved'
             ? $this->ai_content 
             : $this->content;
     }
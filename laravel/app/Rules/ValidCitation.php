@@ -0,0 +1,78 @@
+<?php
+
+namespace App\Rules;
+
+use Closure;
+use Illuminate\Contracts\Validation\ValidationRule;
+
+/**
+ * ValidCitation - Validates one entry of an article's citations array
+ * 
+ * Two shapes are accepted:
+ * 
+ *   "https://example.com/post"                       // legacy: bare URL
+ * 
+ *   {                                                // structured record
+ *     "url": "https://example.com/post",             // Required
+ *     "title": "Post title",                         // Optional, max 500 chars
+ *     "accessed_at": "2024-01-15T10:00:00Z",         // Optional, any parseable date
+ *     "excerpt": "The passage the rewrite used...",  // Optional, max 2000 chars
+ *     "relevance": 0.42                              // Optional, 0-1 score against the article
+ *   }
+ * 
+ * Usage:
+ *   'citations.*' => [new ValidCitation()]
+ */
+class ValidCitation implements ValidationRule
+{
+    /**
+     * Run the validation rule.
+     * 
+     * @param string $attribute e.g. "citations.0"
+     * @param mixed $value
+     * @param Closure $fail Call with an error message to fail validation
+     */
+    public function validate(string $attribute, mixed $value, Closure $fail): void
+    {
+        if (is_string($value)) {
+            if (!$this->isUrl($value)) {
+                $fail('Each citation must be a valid URL.');
+            }
+            return;
+        }
+
+        if (!is_array($value) || array_is_list($value)) {
+            $fail('Each citation must be a URL or an object with a "url" field.');
+            return;
+        }
+
+        if (!isset($value['url']) || !is_string($value['url']) || !$this->isUrl($value['url'])) {
+            $fail('Each citation must have a valid "url".');
+        }
+
+        if (isset($value['title']) && (!is_string($value['title']) || mb_strlen($value['title']) > 500)) {
+            $fail('A citation "title" must be a string of at most 500 characters.');
+        }
+
+        if (isset($value['accessed_at']) && (!is_string($value['accessed_at']) || strtotime($value['accessed_at']) === false)) {
+            $fail('A citation "accessed_at" must be a valid date.');
+        }
+
+        if (isset($value['excerpt']) && (!is_string($value['excerpt']) || mb_strlen($value['excerpt']) > 2000)) {
+            $fail('A citation "excerpt" must be a string of at most 2000 characters.');
+        }
+
+        if (isset($value['relevance']) && (!is_numeric($value['relevance']) || $value['relevance'] < 0 || $value['relevance'] > 1)) {
+            $fail('A citation "relevance" must be a number between 0 and 1.');
+        }
+    }
+
+    /**
+     * Same check as Laravel's "url" rule for the common cases: http(s) with a host
+     */
+    private function isUrl(string $value): bool
+    {
+        return filter_var($value, FILTER_VALIDATE_URL) !== false
+            && in_array(parse_url($value, PHP_URL_SCHEME), ['http', 'https'], true);
+    }
+}
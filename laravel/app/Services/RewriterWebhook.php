@@ -0,0 +1,107 @@
+<?php
+
+namespace App\Services;
+
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * RewriterWebhook - Tells the Node.js rewriter daemon about new articles
+ * 
+ * The rewriter can run as a long-lived service (node ai-rewriter.js --daemon)
+ * that queues articles for the fetch → search → scrape → rewrite → publish
+ * pipeline. This class posts new article IDs to its POST /jobs endpoint.
+ * 
+ * Configuration (config/services.php):
+ * 
+ *   'rewriter' => [
+ *       'url' => env('REWRITER_WEBHOOK_URL'),        // e.g. http://127.0.0.1:8787
+ *       'secret' => env('REWRITER_WEBHOOK_SECRET'),  // same value as DAEMON_SECRET
+ *       'timeout' => env('REWRITER_WEBHOOK_TIMEOUT', 5),
+ *   ],
+ * 
+ * Without a URL the webhook is disabled and articles wait for the next
+ * `node ai-rewriter.js --all` run. Failures are logged, never thrown:
+ * a rewriter that is down must not break scraping or article creation.
+ * 
+ * Usage:
+ *   $webhook->queueArticles([$article->id]);
+ */
+class RewriterWebhook
+{
+    /**
+     * Articles per request - the daemon accepts at most 100
+     */
+    private const BATCH_SIZE = 100;
+
+    private string $url;
+    private ?string $secret;
+    private int $timeout;
+
+    public function __construct(?string $url = null, ?string $secret = null, ?int $timeout = null)
+    {
+        $this->url = rtrim($url ?? (string) config('services.rewriter.url'), '/');
+        $this->secret = $secret ?? config('services.rewriter.secret');
+        $this->timeout = $timeout ?? (int) config('services.rewriter.timeout', 5);
+    }
+
+    /**
+     * Whether a rewriter URL is configured.
+     */
+    public function isEnabled(): bool
+    {
+        return $this->url !== '';
+    }
+
+    /**
+     * Queue articles with the rewriter daemon.
+     * 
+     * @param array<int> $articleIds
+     * @param array{dry_run?: bool, fresh?: bool, profile?: string} $options Passed on to POST /jobs
+     * @return array|null The daemon's job records, or null if the webhook is
+     *                    disabled or the daemon could not be reached
+     */
+    public function queueArticles(array $articleIds, array $options = []): ?array
+    {
+        $articleIds = array_values(array_unique(array_map('intval', $articleIds)));
+
+        if (!$this->isEnabled() || empty($articleIds)) {
+            return null;
+        }
+
+        $jobs = [];
+
+        foreach (array_chunk($articleIds, self::BATCH_SIZE) as $batch) {
+            try {
+                $request = Http::timeout($this->timeout)->acceptJson();
+                if ($this->secret) {
+                    $request = $request->withToken($this->secret);
+                }
+
+                $response = $request->post("{$this->url}/jobs", array_merge($options, [
+                    'article_ids' => $batch,
+                ]));
+
+                if (!$response->successful()) {
+                    Log::warning('Rewriter webhook rejected the articles', [
+                        'status' => $response->status(),
+                        'message' => $response->json('message'),
+                        'article_ids' => $batch,
+                    ]);
+                    return null;
+                }
+
+                $jobs = array_merge($jobs, $response->json('data') ?? []);
+            } catch (\Throwable $e) {
+                Log::warning('Rewriter webhook unreachable', [
+                    'url' => $this->url,
+                    'error' => $e->getMessage(),
+                    'article_ids' => $batch,
+                ]);
+                return null;
+            }
+        }
+
+        return $jobs;
+    }
+}
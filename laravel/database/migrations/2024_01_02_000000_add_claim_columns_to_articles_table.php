@@ -0,0 +1,44 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Migration to add work-claim columns to the articles table.
+ * 
+ * The Node.js AI script can run several workers (or several processes) at once.
+ * Before a worker rewrites an article it "claims" it for a limited time (a lease),
+ * so no other worker picks up the same article in the meantime.
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            // Identifier of the worker currently processing this article
+            $table->string('claimed_by', 100)->nullable()->after('citations');
+
+            // When the claim expires - an expired claim can be taken over
+            // This way a crashed worker never blocks an article forever
+            $table->timestamp('claimed_until')->nullable()->after('claimed_by');
+
+            // Speeds up the "find next unclaimed article" query
+            $table->index(['is_ai_updated', 'claimed_until']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropIndex(['is_ai_updated', 'claimed_until']);
+            $table->dropColumn(['claimed_by', 'claimed_until']);
+        });
+    }
+};
@@ -0,0 +1,46 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Migration to add quality gate columns to the articles table.
+ * 
+ * The Node.js AI script checks every draft (length, meta-commentary,
+ * copied reference text, readability) before publishing it. Drafts that
+ * keep failing are stored as "rejected" with the reasons, instead of
+ * being published.
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            // Outcome of the last quality check: null (not checked), 'passed' or 'rejected'
+            $table->string('quality_status', 20)->nullable()->after('citations');
+
+            // Full report of the last check: scores, failed checks and reasons
+            $table->json('quality_report')->nullable()->after('quality_status');
+
+            // The draft that failed the gate, kept for review (never displayed)
+            $table->longText('rejected_content')->nullable()->after('quality_report');
+
+            $table->index('quality_status');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropIndex(['quality_status']);
+            $table->dropColumn(['quality_status', 'quality_report', 'rejected_content']);
+        });
+    }
+};
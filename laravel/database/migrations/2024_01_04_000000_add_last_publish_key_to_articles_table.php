@@ -0,0 +1,37 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Migration to make AI publishing idempotent.
+ * 
+ * The Node.js AI script sends an Idempotency-Key header with every
+ * publish. If the response gets lost (timeout, crash) the script retries
+ * with the same key, and the stored key tells us the draft was already
+ * published - so it is not applied twice.
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            // Idempotency-Key of the last successful publish-ai request
+            $table->string('last_publish_key', 100)->nullable()->after('rejected_content');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropColumn('last_publish_key');
+        });
+    }
+};
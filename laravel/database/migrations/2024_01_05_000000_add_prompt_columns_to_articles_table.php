@@ -0,0 +1,44 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Migration to record which prompt produced an AI version.
+ * 
+ * The Node.js AI script loads its prompts from versioned templates and can
+ * rewrite in different style profiles ("technical-deep-dive",
+ * "beginner-guide", "marketing", ...). Storing both with every published
+ * (or rejected) draft lets us compare output quality across prompt
+ * revisions and styles.
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            // Version from the prompt manifest (null = written without an LLM)
+            $table->string('prompt_version', 50)->nullable()->after('citations');
+
+            // Style profile key, e.g. 'technical-deep-dive'
+            $table->string('style_profile', 50)->nullable()->after('prompt_version');
+
+            $table->index(['prompt_version', 'style_profile']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropIndex(['prompt_version', 'style_profile']);
+            $table->dropColumn(['prompt_version', 'style_profile']);
+        });
+    }
+};
@@ -0,0 +1,37 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Migration to store the SEO package of the AI version.
+ * 
+ * The Node.js AI script publishes a meta title and description, focus
+ * keywords, a suggested slug, a heading outline, FAQ entries and the
+ * Article/FAQPage JSON-LD together with the rewritten content. It is kept
+ * as one JSON document, since it is always written and read as a whole.
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            // Null until an AI version with SEO metadata is published
+            $table->json('seo')->nullable()->after('style_profile');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropColumn('seo');
+        });
+    }
+};
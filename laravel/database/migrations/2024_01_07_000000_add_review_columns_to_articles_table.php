@@ -0,0 +1,50 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Migration to add the editorial review columns to the articles table.
+ * 
+ * A published AI version now waits for an editor: it is only displayed
+ * once approved. Editors can also reject it with a note (the original
+ * content keeps being displayed) or send the article back to the rewriter.
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            // null (no AI version), 'pending_review', 'approved' or 'rejected'
+            $table->string('review_status', 20)->nullable()->after('rejected_content');
+
+            // Why the editor approved or rejected the AI version
+            $table->text('reviewer_note')->nullable()->after('review_status');
+
+            $table->timestamp('reviewed_at')->nullable()->after('reviewer_note');
+
+            $table->index('review_status');
+        });
+
+        // AI versions published before reviews existed are already live - keep them that way
+        DB::table('articles')
+            ->where('is_ai_updated', true)
+            ->update(['review_status' => 'approved']);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropIndex(['review_status']);
+            $table->dropColumn(['review_status', 'reviewer_note', 'reviewed_at']);
+        });
+    }
+};
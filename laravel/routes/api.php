@@ -28,10 +28,15 @@ use Illuminate\Support\Facades\Route;
 |   GET    /api/articles              - List all articles (paginated)
 |   POST   /api/articles              - Create a new article
 |   GET    /api/articles/latest       - Get latest article for AI processing
+|   POST   /api/articles/claim        - Claim next article for an AI worker
 |   GET    /api/articles/{id}         - Get a specific article
 |   PUT    /api/articles/{id}         - Update an article
 |   DELETE /api/articles/{id}         - Delete an article
+|   POST   /api/articles/{id}/release - Release a claimed article
 |   POST   /api/articles/{id}/publish-ai - Publish AI-updated content
+|   POST   /api/articles/{id}/reject-ai  - Store a draft rejected by the quality gate
+|   POST   /api/articles/{id}/review     - Approve or reject the AI version
+|   POST   /api/articles/{id}/rewrite    - Send an article back to the rewriter
 |
 */
 
@@ -50,6 +55,11 @@ Route::prefix('articles')->group(function () {
     Route::get('/latest', [ArticleController::class, 'latest'])
         ->name('articles.latest');
     
+    // Claim the next unprocessed article for a worker (batch mode)
+    // Claimed articles are hidden from other workers until the lease expires
+    Route::post('/claim', [ArticleController::class, 'claim'])
+        ->name('articles.claim');
+    
     // Create a new article
     // Expects JSON body with title, content, etc.
     Route::post('/', [ArticleController::class, 'store'])
@@ -76,6 +86,23 @@ Route::prefix('articles')->group(function () {
     // This is separate from regular update for cleaner separation of concerns
     Route::post('/{id}/publish-ai', [ArticleController::class, 'publishAi'])
         ->name('articles.publish-ai');
+    
+    // Store an AI draft that failed the quality gate (kept for review, not published)
+    Route::post('/{id}/reject-ai', [ArticleController::class, 'rejectAi'])
+        ->name('articles.reject-ai');
+    
+    // Editorial review: approve or reject the published AI version
+    // Only approved AI versions are displayed
+    Route::post('/{id}/review', [ArticleController::class, 'review'])
+        ->name('articles.review');
+    
+    // Send an article back to the rewriter (queued on the daemon if configured)
+    Route::post('/{id}/rewrite', [ArticleController::class, 'rewrite'])
+        ->name('articles.rewrite');
+    
+    // Give a claimed article back (e.g. when the AI worker failed)
+    Route::post('/{id}/release', [ArticleController::class, 'release'])
+        ->name('articles.release');
 });
 
 /*
@@ -117,7 +144,12 @@ Route::get('/', function () {
                 'update' => 'PUT /api/articles/{id}',
                 'delete' => 'DELETE /api/articles/{id}',
                 'latest' => 'GET /api/articles/latest',
+                'claim' => 'POST /api/articles/claim',
+                'release' => 'POST /api/articles/{id}/release',
                 'publish_ai' => 'POST /api/articles/{id}/publish-ai',
+                'reject_ai' => 'POST /api/articles/{id}/reject-ai',
+                'review' => 'POST /api/articles/{id}/review',
+                'rewrite' => 'POST /api/articles/{id}/rewrite',
             ],
             'health' => 'GET /api/health',
         ],
@@ -5,21 +5,31 @@
  * 
  * This script enhances articles using AI by:
  * 1. Fetching the latest article from Laravel API
- * 2. Searching for related articles on Google (mocked for reliability)
+ * 2. Searching for related articles (SerpAPI, Bing, Brave or a local index)
  * 3. Scraping reference content using Cheerio
- * 4. Using OpenAI to rewrite with improved style
+ * 4. Using an LLM (OpenAI, Anthropic or a local model) to rewrite with improved style
  * 5. Publishing back with citations
  * 
  * TRADE-OFFS:
- * - Google search is mocked for reliability (SerpAPI costs money)
+ * - Without a search API key, references come from a local URL index
  * - Scraping may fail on some sites (graceful fallbacks included)
- * - Single article processing (simpler, can be run multiple times)
+ * - Articles are claimed before processing, so parallel runs never collide
  * 
- * USAGE: node ai-rewriter.js
+ * USAGE:
+ *   node ai-rewriter.js                                   # process the next pending article
+ *   node ai-rewriter.js --article <id|slug>               # (re-)process a specific article
+ *   node ai-rewriter.js --article 12 --dry-run --diff     # preview, don't publish
+ *   node ai-rewriter.js --all [--concurrency=3] [--limit=50]  # batch mode
+ *   node ai-rewriter.js --help                            # all options (see lib/cli.js)
  * 
  * ENVIRONMENT VARIABLES:
  *   LARAVEL_API_URL  - Your Laravel API URL (default: http://localhost:8000/api)
- *   OPENAI_API_KEY   - Your OpenAI API key (required)
+ *   LLM_PROVIDER     - openai | anthropic | local | mock (default: openai)
+ *   OPENAI_API_KEY   - Your OpenAI API key (or ANTHROPIC_API_KEY / LOCAL_LLM_URL)
+ *   BATCH_CONCURRENCY, LLM_REQUESTS_PER_MINUTE, SCRAPE_REQUESTS_PER_MINUTE
+ *                    - Batch mode tuning (see .env.example)
+ *   LOG_FORMAT       - pretty | json (one JSON object per line, for cron logs)
+ *   METRICS_FILE     - Prometheus textfile to add run totals to
  * 
  * @author BeyondChats Assignment Submission
  */
@@ -27,9 +37,30 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-const axios = require('axios');
-const cheerio = require('cheerio');
-const OpenAI = require('openai');
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const { createRateLimiter, runWorkerPool } = require('./lib/concurrency');
+const { createLLMProvider, LLMError, LLM_ERROR_KINDS } = require('./lib/llm');
+const { createSearchProvider, buildSearchQuery, PROVIDERS: SEARCH_PROVIDERS } = require('./lib/search');
+const { extractArticle, truncateAtSections } = require('./lib/extract');
+const { createPageCache, CacheMissError } = require('./lib/page-cache');
+const { createFetcher } = require('./lib/fetcher');
+const { splitIntoChunks, selectExcerpts, checkLength, estimateTokens } = require('./lib/chunking');
+const { processCitations } = require('./lib/citations');
+const { evaluateDraft } = require('./lib/quality');
+const { countWords } = require('./lib/text');
+const { enhanceOffline } = require('./lib/offline-enhancer');
+const { rankReferences, isSameSite } = require('./lib/relevance');
+const { USAGE, CliError, parseCliArgs, renderDiff, writeResult } = require('./lib/cli');
+const { createJournal } = require('./lib/journal');
+const { createLogger } = require('./lib/logger');
+const { createRunReport, writeRunReport } = require('./lib/run-report');
+const { writeMetricsFile } = require('./lib/metrics');
+const { loadPrompts } = require('./lib/prompts');
+const { LIMITS: SEO_LIMITS, parseSeoAnswer, validateSeo, buildSeoPackage } = require('./lib/seo');
+const { createJobQueue, createDaemonServer } = require('./lib/daemon');
+const { createLaravelClient, LaravelApiError, LARAVEL_ERROR_KINDS } = require('./lib/laravel');
 
 // =============================================================================
 // CONFIGURATION
@@ -38,227 +69,948 @@ const OpenAI = require('openai');
 const CONFIG = {
     // Laravel API - where articles are stored
     laravelApiUrl: process.env.LARAVEL_API_URL || 'http://localhost:8000/api',
+    laravelApiToken: process.env.LARAVEL_API_TOKEN, // Sent as a bearer token when set
+    laravelMaxRetries: parseInt(process.env.LARAVEL_MAX_RETRIES || '3', 10),
     
-    // OpenAI for AI rewriting
+    // LLM provider for AI rewriting: openai | anthropic | local | mock
+    // Defaults to whichever API key is set (OpenAI first)
+    llmProvider: process.env.LLM_PROVIDER
+        || (process.env.OPENAI_API_KEY ? 'openai' : process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'openai'),
+    llmModel: process.env.LLM_MODEL, // Overrides the provider-specific model below
+    llmTimeout: 120000,
+    llmMaxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10),
+
+    // Prompt/answer budgets (estimated tokens). Articles bigger than
+    // rewriteChunkTokens are rewritten section by section.
+    llmMaxInputTokens: parseInt(process.env.LLM_MAX_INPUT_TOKENS || '6000', 10),
+    llmMaxOutputTokens: parseInt(process.env.LLM_MAX_OUTPUT_TOKENS || '4096', 10),
+    rewriteChunkTokens: parseInt(process.env.REWRITE_CHUNK_TOKENS || '1500', 10),
+
+    // Prompt templates (see prompts/manifest.json) and the default style profile
+    promptDir: process.env.PROMPT_DIR || path.join(__dirname, 'prompts'),
+    styleProfile: process.env.STYLE_PROFILE,
+
+    // Quality gate: drafts are retried with feedback, then stored as rejected
+    qualityMaxAttempts: parseInt(process.env.QUALITY_MAX_ATTEMPTS || '3', 10),
+    qualityMaxCopiedWords: parseInt(process.env.QUALITY_MAX_COPIED_WORDS || '25', 10),
+    qualityMinReadability: parseFloat(process.env.QUALITY_MIN_READABILITY || '30'),
+    qualityMaxReadabilityDrop: parseFloat(process.env.QUALITY_MAX_READABILITY_DROP || '10'),
+
+    // OpenAI
     openaiApiKey: process.env.OPENAI_API_KEY,
     openaiModel: process.env.OPENAI_MODEL || 'gpt-3.5-turbo', // Use gpt-4 for better quality
+
+    // Anthropic
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+    anthropicModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+
+    // Local OpenAI-compatible server (Ollama, llama.cpp, ...)
+    localLlmUrl: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+    localLlmModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    localLlmApiKey: process.env.LOCAL_LLM_API_KEY,
+
+    // Mock provider - set to an error kind (quota, rate_limit, auth) to simulate failures
+    mockLlmFailWith: process.env.MOCK_LLM_FAIL_WITH,
     
     // Request settings
     timeout: 30000,
     
     // How many reference articles to use
-    referenceCount: 2,
+    referenceCount: parseInt(process.env.REFERENCE_COUNT || '2', 10),
+
+    // How many search results are scraped as candidates, to pick the
+    // referenceCount most relevant (and not duplicated) ones from
+    referenceCandidates: parseInt(process.env.REFERENCE_CANDIDATES || '6', 10),
+
+    // BM25 relevance to the article (0-1) below which a candidate is off-topic
+    referenceMinRelevance: parseFloat(process.env.REFERENCE_MIN_RELEVANCE || '0.05'),
+
+    // Max length of each scraped reference (cut at section boundaries)
+    referenceMaxChars: parseInt(process.env.REFERENCE_MAX_CHARS || '5000', 10),
+
+    // Polite scraping - honest User-Agent, robots.txt and per-domain limits
+    scraperUserAgent: process.env.SCRAPER_USER_AGENT
+        || 'BeyondChatsRewriter/1.0 (+https://github.com/Abhishekmishra-04/beyondchats-ai-article-manager)',
+    respectRobotsTxt: process.env.RESPECT_ROBOTS_TXT !== 'false',
+    scrapeDomainConcurrency: parseInt(process.env.SCRAPE_DOMAIN_CONCURRENCY || '1', 10),
+    scrapeDomainDelayMs: parseInt(process.env.SCRAPE_DOMAIN_DELAY_MS || '1000', 10),
+    scrapeMaxRetries: parseInt(process.env.SCRAPE_MAX_RETRIES || '3', 10),
+
+    // On-disk cache of scraped pages: normal | refresh | offline | off
+    scrapeCacheMode: process.env.SCRAPE_CACHE_MODE || 'normal',
+    scrapeCacheDir: process.env.SCRAPE_CACHE_DIR || path.join(__dirname, '.cache', 'pages'),
+    scrapeCacheTtlSeconds: parseFloat(process.env.SCRAPE_CACHE_TTL_HOURS || '168') * 3600,
+
+    // Per-article job journal - lets an interrupted run resume ("off" disables it)
+    journalDir: process.env.JOURNAL_DIR || path.join(__dirname, '.cache', 'journal'),
+
+    // Search provider for reference articles: serpapi | bing | brave | local
+    // Defaults to whichever API key is set, otherwise the local index
+    searchProvider: process.env.SEARCH_PROVIDER,
+    serpApiKey: process.env.SERPAPI_KEY,
+    bingSearchKey: process.env.BING_SEARCH_KEY,
+    braveSearchKey: process.env.BRAVE_SEARCH_KEY,
+    localSearchIndex: process.env.LOCAL_SEARCH_INDEX || path.join(__dirname, 'data', 'reference-index.txt'),
+
+    // How many search results to consider (more than referenceCandidates, since some fail to scrape)
+    searchResultCount: parseInt(process.env.SEARCH_RESULT_COUNT || '8', 10),
+
+    // Batch mode - number of articles processed in parallel
+    batchConcurrency: parseInt(process.env.BATCH_CONCURRENCY || '3', 10),
+
+    // Rate limits shared by all workers (0 = unlimited)
+    llmRequestsPerMinute: parseInt(process.env.LLM_REQUESTS_PER_MINUTE || '20', 10),
+    scrapeRequestsPerMinute: parseInt(process.env.SCRAPE_REQUESTS_PER_MINUTE || '30', 10),
+
+    // Daemon mode (--daemon) - HTTP endpoint Laravel calls when articles arrive.
+    // Without DAEMON_SECRET it only listens on localhost.
+    daemonHost: process.env.DAEMON_HOST || '127.0.0.1',
+    daemonPort: parseInt(process.env.DAEMON_PORT || '8787', 10),
+    daemonSecret: process.env.DAEMON_SECRET,
+
+    // Article claiming - identifies this process and how long a claim lasts
+    workerId: process.env.WORKER_ID || `${os.hostname()}-${process.pid}`,
+    claimLeaseSeconds: parseInt(process.env.CLAIM_LEASE_SECONDS || '900', 10),
+
+    // Output: pretty (emoji progress lines) or json (one object per line)
+    logFormat: process.env.LOG_FORMAT || 'pretty',
+    logLevel: process.env.LOG_LEVEL || 'info',
+
+    // Run reports (timings, scrape success, token usage and cost) - "off" disables them
+    runReportDir: process.env.RUN_REPORT_DIR || path.join(__dirname, 'reports'),
+    // Prometheus textfile the run totals are added to (unset = not written)
+    metricsFile: process.env.METRICS_FILE,
+    // USD per million tokens, overriding the built-in price list (lib/run-report.js)
+    llmPrice: process.env.LLM_PRICE_INPUT_PER_MTOK && process.env.LLM_PRICE_OUTPUT_PER_MTOK
+        ? {
+            input: parseFloat(process.env.LLM_PRICE_INPUT_PER_MTOK),
+            output: parseFloat(process.env.LLM_PRICE_OUTPUT_PER_MTOK),
+        }
+        : undefined,
 };
 
-// Initialize OpenAI client (only if key is provided)
-let openai = null;
-if (CONFIG.openaiApiKey) {
-    openai = new OpenAI({ apiKey: CONFIG.openaiApiKey });
-}
+// Output for everything below - tags each line with the article and step
+const logger = createLogger({ format: CONFIG.logFormat, level: CONFIG.logLevel });
+
+// What this run did: step timings, scrape outcomes, LLM tokens and cost
+// (the daemon starts a new one after every burst of jobs)
+let runReport = createRunReport({ price: CONFIG.llmPrice });
+
+// Laravel API client (bearer token, retries of timeouts, 429 and 5xx)
+const laravel = createLaravelClient({
+    baseUrl: CONFIG.laravelApiUrl,
+    token: CONFIG.laravelApiToken,
+    timeout: CONFIG.timeout,
+    maxRetries: CONFIG.laravelMaxRetries,
+    log: (message) => logger.warn(message),
+});
+
+// Versioned prompt templates and style profiles
+const prompts = loadPrompts(CONFIG.promptDir);
+
+// Shared rate limiters - every worker goes through the same instance
+const llmLimiter = createRateLimiter({ requestsPerMinute: CONFIG.llmRequestsPerMinute });
+const scrapeLimiter = createRateLimiter({ requestsPerMinute: CONFIG.scrapeRequestsPerMinute });
+
+// Initialize the LLM provider (null if not configured, e.g. no API key)
+const llm = createLLMProvider(CONFIG, {
+    limiter: llmLimiter,
+    onUsage: (usage) => runReport.recordLlmUsage(usage),
+    log: (message) => logger.warn(message),
+});
+
+// Initialize the search provider (falls back to the local index without API keys)
+const searchProvider = createSearchProvider(CONFIG);
+
+// Polite fetch layer for reference pages (robots.txt, per-domain limits, retries)
+const fetcher = createFetcher({
+    userAgent: CONFIG.scraperUserAgent,
+    timeout: CONFIG.timeout,
+    respectRobots: CONFIG.respectRobotsTxt,
+    domainConcurrency: CONFIG.scrapeDomainConcurrency,
+    domainDelayMs: CONFIG.scrapeDomainDelayMs,
+    maxRetries: CONFIG.scrapeMaxRetries,
+    limiter: scrapeLimiter,
+    log: (message) => logger.warn(message),
+});
+
+// Cache for scraped reference pages
+const pageCache = createPageCache({
+    dir: CONFIG.scrapeCacheDir,
+    ttlSeconds: CONFIG.scrapeCacheTtlSeconds,
+    mode: CONFIG.scrapeCacheMode,
+});
+
+// Completed pipeline steps per article, so a failed run can resume
+const journal = createJournal({
+    dir: CONFIG.journalDir,
+    enabled: CONFIG.journalDir !== 'off',
+});
 
 // =============================================================================
 // MAIN WORKFLOW
 // =============================================================================
 
-async function main() {
-    console.log('\n');
-    console.log('╔══════════════════════════════════════════════════════════════╗');
-    console.log('║           AI ARTICLE REWRITER - BeyondChats                  ║');
-    console.log('║           Phase 2: LLM-based Content Enhancement             ║');
-    console.log('╚══════════════════════════════════════════════════════════════╝');
-    console.log('\n');
+/**
+ * Single-article mode.
+ * 
+ * Without --article, claims the next pending article (like before);
+ * with --article, loads that article by ID or slug - also one that was
+ * already enhanced, so it can be re-run.
+ * 
+ * @param {object} options - Parsed command line (see lib/cli.js)
+ */
+async function main({ article: articleRef, dryRun = false, fresh = false, profile, out, diff = false } = {}) {
+    printBanner();
+    if (dryRun) {
+        logger.info('🧪 DRY RUN: nothing will be saved to Laravel\n');
+    }
+
+    // Every line below is tagged with the step, and with the article once it is known
+    await logger.run({}, async () => {
+        let article;
+        let claimed = false;
+        const startedAt = Date.now();
 
-    try {
-        // =====================================================================
-        // STEP 1: Fetch latest unprocessed article from Laravel
-        // =====================================================================
-        console.log('📥 STEP 1: Fetching latest article from Laravel API...');
-        console.log(`   API URL: ${CONFIG.laravelApiUrl}/articles/latest`);
-        
-        const article = await fetchLatestArticle();
-        console.log(`   ✅ Found: "${article.title}"`);
-        console.log(`   📊 Word count: ${countWords(article.content)} words`);
-        console.log('\n');
-
-        // =====================================================================
-        // STEP 2: Search Google for related articles
-        // =====================================================================
-        console.log('🔍 STEP 2: Searching for related articles...');
-        console.log(`   Query: "${article.title}"`);
-        
-        const searchResults = await searchForReferences(article.title);
-        console.log(`   ✅ Found ${searchResults.length} reference URLs`);
-        searchResults.forEach((r, i) => console.log(`      ${i+1}. ${r.url}`));
-        console.log('\n');
-
-        // =====================================================================
-        // STEP 3: Scrape content from reference articles
-        // =====================================================================
-        console.log('📰 STEP 3: Scraping reference articles...');
-        
-        const references = await scrapeReferences(searchResults);
-        console.log(`   ✅ Successfully scraped ${references.length} references`);
-        references.forEach((r, i) => {
-            console.log(`      ${i+1}. ${r.title} (${countWords(r.content)} words)`);
-        });
-        console.log('\n');
-
-        // =====================================================================
-        // STEP 4: Use AI to rewrite the article
-        // =====================================================================
-        console.log('🤖 STEP 4: Rewriting article with AI...');
-        
-        const enhancedContent = await rewriteWithAI(article, references);
-        console.log(`   ✅ Article enhanced!`);
-        console.log(`   📊 New word count: ${countWords(enhancedContent)} words`);
-        console.log(`   📈 Improvement: +${countWords(enhancedContent) - countWords(article.content)} words`);
-        console.log('\n');
-
-        // =====================================================================
-        // STEP 5: Publish back to Laravel API
-        // =====================================================================
-        console.log('📤 STEP 5: Publishing enhanced article to Laravel...');
-        
-        const citations = references.map(r => r.url);
-        await publishToLaravel(article.id, enhancedContent, citations);
-        console.log('   ✅ Published successfully!');
-        console.log('\n');
-
-        // Success summary
-        console.log('╔══════════════════════════════════════════════════════════════╗');
-        console.log('║                    ✅ WORKFLOW COMPLETE                      ║');
-        console.log('╠══════════════════════════════════════════════════════════════╣');
-        console.log(`║  Article: ${article.title.substring(0, 45).padEnd(45)}   ║`);
-        console.log(`║  Original: ${countWords(article.content)} words → Enhanced: ${countWords(enhancedContent)} words`.padEnd(63) + '║');
-        console.log(`║  Citations: ${citations.length} reference articles added`.padEnd(63) + '║');
-        console.log('╚══════════════════════════════════════════════════════════════╝');
-        console.log('\n');
+        try {
+            const endFetch = beginStep('fetch');
+            if (articleRef) {
+                logger.info(`📥 STEP 1: Fetching article "${articleRef}" from Laravel API...`);
+                logger.info(`   API URL: ${CONFIG.laravelApiUrl}/articles/${encodeURIComponent(articleRef)}`);
+                article = await fetchArticle(articleRef);
+            } else {
+                // Claim the next article so parallel runs never pick the same one
+                logger.info('📥 STEP 1: Claiming next article from Laravel API...');
+                logger.info(`   API URL: ${CONFIG.laravelApiUrl}/articles/claim`);
+
+                article = await claimNextArticle();
+                if (!article) {
+                    throw new Error('No articles pending AI update. All done!');
+                }
+                claimed = true;
+            }
+            endFetch();
+            logger.set({ articleId: article.id });
+
+            let result;
+            try {
+                result = await processArticle(article, { dryRun, fresh, profile });
+            } catch (error) {
+                if (claimed) await releaseClaim(article.id);
+                throw error;
+            }
 
-    } catch (error) {
-        console.error('\n❌ ERROR:', error.message);
-        
-        if (error.message.includes('No articles pending')) {
-            console.log('\n💡 All articles have been processed! Run the scraper to add more.');
-        } else if (error.message.includes('OPENAI_API_KEY')) {
-            console.log('\n💡 Set OPENAI_API_KEY in your .env file');
-            console.log('   Get a key at: https://platform.openai.com/api-keys');
-        } else if (error.message.includes('ECONNREFUSED')) {
-            console.log('\n💡 Make sure Laravel is running: php artisan serve');
+            // A dry run leaves the article untouched, so it is given back
+            if (dryRun && claimed) {
+                await releaseClaim(article.id);
+            }
+
+            runReport.recordArticle({ id: article.id, title: article.title, status: result.status, durationMs: Date.now() - startedAt });
+
+            if (diff) {
+                const patch = renderDiff(article.content, result.content, {
+                    name: article.slug || `article-${article.id}`,
+                    color: process.stdout.isTTY && !logger.json,
+                });
+                logger.print('🔀 DIFF (original → enhanced):\n', patch);
+                logger.event('Diff (original → enhanced)', { diff: patch });
+            }
+
+            if (out) {
+                const file = writeResult(out, {
+                    article,
+                    markdown: result.markdown,
+                    status: result.status,
+                    dry_run: dryRun,
+                    citations: result.citations,
+                    quality_report: result.quality,
+                    prompt_version: result.promptVersion,
+                    style_profile: result.styleProfile,
+                    seo: result.seo,
+                });
+                logger.info(`💾 Result written to ${file}\n`, { file });
+            }
+
+            if (result.status === 'rejected') {
+                logger.print(
+                    '╔══════════════════════════════════════════════════════════════╗',
+                    '║                    ⛔ DRAFT REJECTED                         ║',
+                    '╠══════════════════════════════════════════════════════════════╣',
+                    `║  Article: ${article.title.substring(0, 45).padEnd(45)}   ║`,
+                    dryRun
+                        ? '║  Dry run - the draft was not stored.                         ║'
+                        : '║  The draft was stored for review, not published.             ║',
+                    '╚══════════════════════════════════════════════════════════════╝',
+                    ...result.reasons.map(reason => `   - ${reason}`),
+                    '\n'
+                );
+            } else {
+                // Success summary
+                logger.print(
+                    '╔══════════════════════════════════════════════════════════════╗',
+                    dryRun
+                        ? '║                    ✅ DRY RUN COMPLETE                       ║'
+                        : '║                    ✅ WORKFLOW COMPLETE                      ║',
+                    '╠══════════════════════════════════════════════════════════════╣',
+                    `║  Article: ${article.title.substring(0, 45).padEnd(45)}   ║`,
+                    `║  Original: ${result.originalWords} words → Enhanced: ${result.enhancedWords} words`.padEnd(63) + '║',
+                    `║  Citations: ${result.citationCount} reference articles added`.padEnd(63) + '║',
+                    '╚══════════════════════════════════════════════════════════════╝',
+                    '\n'
+                );
+            }
+
+            finishRun({ mode: 'single', dryRun });
+
+        } catch (error) {
+            if (article) {
+                runReport.recordArticle({ id: article.id, title: article.title, status: 'failed', durationMs: Date.now() - startedAt, error: error.message });
+            }
+            handleFatalError(error);
+            finishRun({ mode: 'single', dryRun });
+            process.exit(1);
         }
-        
-        console.log('\n');
+    });
+}
+
+/**
+ * Batch mode - processes many articles with a bounded pool of workers.
+ * 
+ * Each worker claims an article, runs the full pipeline and moves on to the
+ * next one. LLM and scraper calls go through shared rate limiters, so adding
+ * workers never exceeds the configured request rates.
+ * 
+ * A failed article is released (so a later run can retry it) and excluded
+ * from further claims in this run. A summary table is printed at the end.
+ * 
+ * With `dryRun`, every article is released again after processing (and
+ * excluded for the rest of the run), so nothing changes in Laravel.
+ */
+async function runBatch({ concurrency, limit, dryRun = false, fresh = false, profile }) {
+    printBanner();
+    logger.info(`🚀 BATCH MODE: ${concurrency} workers, limit ${Number.isFinite(limit) ? limit : 'none'}${dryRun ? ' (dry run)' : ''}`,
+        { concurrency, limit: Number.isFinite(limit) ? limit : null, dryRun });
+    logger.info(`   Rate limits: LLM ${CONFIG.llmRequestsPerMinute}/min, scraper ${CONFIG.scrapeRequestsPerMinute}/min`);
+    logger.info('\n');
+
+    const results = [];
+    // Articles not to claim again in this run (failed, or previewed in a dry run)
+    const skipIds = [];
+    let started = 0;
+    let aborted = false;
+
+    await runWorkerPool(concurrency, async (workerNumber) => {
+        if (aborted || started >= limit) return false;
+        started++;
+
+        let article;
+        const claimStartedAt = Date.now();
+        try {
+            article = await claimNextArticle(skipIds);
+        } catch (error) {
+            // Claiming itself failed (e.g. Laravel went down) - stop all workers
+            logger.error(`\n❌ ERROR: ${error.message}`, { worker: workerNumber });
+            aborted = true;
+            return false;
+        }
+        if (!article) {
+            started--;
+            return false;
+        }
+        runReport.recordStep('fetch', Date.now() - claimStartedAt);
+
+        // Parallel workers interleave, so every line says where it comes from
+        await logger.run({ worker: workerNumber, articleId: article.id, step: 'fetch' }, async () => {
+            const startedAt = Date.now();
+
+            try {
+                const result = await processArticle(article, { dryRun, fresh, profile });
+                if (dryRun) {
+                    skipIds.push(article.id);
+                    await releaseClaim(article.id);
+                }
+                results.push({
+                    article,
+                    durationMs: Date.now() - startedAt,
+                    ...result,
+                    status: result.status === 'rejected' ? 'rejected' : 'success',
+                });
+                runReport.recordArticle({ id: article.id, title: article.title, status: result.status, durationMs: Date.now() - startedAt });
+            } catch (error) {
+                logger.error(`❌ Failed: ${error.message}`);
+                skipIds.push(article.id);
+                await releaseClaim(article.id);
+                results.push({ article, status: 'failed', durationMs: Date.now() - startedAt, error: error.message });
+                runReport.recordArticle({ id: article.id, title: article.title, status: 'failed', durationMs: Date.now() - startedAt, error: error.message });
+            }
+        });
+        return true;
+    });
+
+    printBatchSummary(results);
+    finishRun({ mode: 'batch', dryRun });
+
+    if (results.length === 0 && !aborted) {
+        logger.info('💡 All articles have been processed! Run the scraper to add more.\n');
+    }
+    if (aborted || results.some(r => r.status === 'failed')) {
         process.exit(1);
     }
 }
 
-// =============================================================================
-// STEP 1: FETCH FROM LARAVEL API
-// =============================================================================
-
 /**
- * Fetches the latest article that hasn't been AI-processed yet.
+ * Daemon mode - an HTTP service (lib/daemon.js) that queues articles sent
+ * by Laravel and runs each through the pipeline, `concurrency` at a time.
  * 
- * Uses the /api/articles/latest endpoint which returns articles
- * where is_ai_updated = false, ordered by created_at DESC.
+ * Every job claims its article first, like a batch worker, so the daemon
+ * and a cron `--all` run never rewrite the same article. An article that
+ * is no longer pending (published, rejected or claimed elsewhere) is
+ * skipped.
+ * 
+ * A run report is written whenever the queue runs empty. SIGTERM/SIGINT
+ * stop taking jobs, let the running ones finish and exit.
  */
-async function fetchLatestArticle() {
-    try {
-        const response = await axios.get(
-            `${CONFIG.laravelApiUrl}/articles/latest`,
-            {
-                timeout: CONFIG.timeout,
-                headers: { 'Accept': 'application/json' }
+async function runDaemon({ concurrency, port, dryRun = false, profile }) {
+    printBanner();
+
+    const queue = createJobQueue({
+        concurrency,
+        run: runDaemonJob,
+        onIdle: () => {
+            finishRun({ mode: 'daemon', dryRun });
+            runReport = createRunReport({ price: CONFIG.llmPrice });
+        },
+    });
+
+    const server = createDaemonServer({
+        queue,
+        secret: CONFIG.daemonSecret,
+        profiles: Object.keys(prompts.profiles),
+        defaults: { dryRun, profile },
+        log: (message) => logger.info(`🌐 ${message}`),
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, CONFIG.daemonHost, resolve);
+    });
+
+    logger.info(`🛰️  DAEMON MODE: listening on http://${CONFIG.daemonHost}:${server.address().port}`,
+        { host: CONFIG.daemonHost, port: server.address().port, concurrency, dryRun });
+    logger.info(`   Workers: ${concurrency}${dryRun ? ' (dry run - nothing is published)' : ''}`);
+    logger.info(`   Auth: ${CONFIG.daemonSecret ? 'bearer token (DAEMON_SECRET)' : 'none - localhost only'}`);
+    logger.info('   POST /jobs · GET /jobs/:id · GET /queue · GET /health\n');
+
+    let stopping = false;
+    const shutdown = async (signal) => {
+        if (stopping) {
+            logger.warn(`⚠️ ${signal} again - exiting without waiting for running jobs`);
+            process.exit(1);
+        }
+        stopping = true;
+
+        const { running } = queue.stats();
+        logger.info(`\n🛑 ${signal}: no new jobs${running > 0 ? `, waiting for ${running} running job(s)` : ''}...`);
+        server.markShuttingDown();
+        server.close();
+
+        const dropped = await queue.close();
+        if (dropped > 0) {
+            logger.warn(`⚠️ ${dropped} queued job(s) were not started - their articles stay pending in Laravel`);
+        }
+        logger.info('👋 Daemon stopped\n');
+        process.exit(0);
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+/**
+ * One daemon job: claim the article, run STEP 2-6, give the claim back on
+ * failure (or after a dry run). The returned summary is stored on the job.
+ */
+async function runDaemonJob(job, workerNumber) {
+    return logger.run({ worker: workerNumber, articleId: job.article_id, jobId: job.id, step: 'fetch' }, async () => {
+        const startedAt = Date.now();
+
+        const endFetch = beginStep('fetch');
+        logger.info(`📥 Job ${job.id}: claiming article ${job.article_id}...`);
+        const article = await claimNextArticle([], { articleId: job.article_id });
+        endFetch();
+        if (!article) {
+            logger.info('   ⏭️  Not pending any more (already processed, rejected or claimed elsewhere) - skipped');
+            return { status: 'skipped', reason: 'Article is not pending AI processing' };
+        }
+
+        try {
+            const result = await processArticle(article, { dryRun: job.dry_run, fresh: job.fresh, profile: job.profile });
+            if (job.dry_run) {
+                await releaseClaim(article.id);
             }
-        );
+            runReport.recordArticle({ id: article.id, title: article.title, status: result.status, durationMs: Date.now() - startedAt });
+            logger.info(`🏁 Job ${job.id}: ${result.status}`, { status: result.status });
+
+            return {
+                status: result.status,
+                title: article.title,
+                original_words: result.originalWords,
+                enhanced_words: result.enhancedWords,
+                citations: result.citationCount,
+                quality_passed: result.quality.passed,
+                ...(result.reasons ? { reasons: result.reasons } : {}),
+                prompt_version: result.promptVersion,
+                style_profile: result.styleProfile,
+            };
+        } catch (error) {
+            logger.error(`❌ Job ${job.id} failed: ${error.message}`);
+            await releaseClaim(article.id);
+            runReport.recordArticle({ id: article.id, title: article.title, status: 'failed', durationMs: Date.now() - startedAt, error: error.message });
+            throw error;
+        }
+    });
+}
+
+/**
+ * Runs STEP 2-6 of the pipeline for a single (already claimed) article.
+ * 
+ * Runs inside a logger context (see main/runBatch), so every line it logs
+ * carries the article ID and the current step.
+ * 
+ * With `dryRun`, nothing is written to Laravel (STEP 6 is skipped).
+ * 
+ * Every finished step is written to the job journal (lib/journal.js). If an
+ * earlier run for the same article stopped halfway, its completed steps are
+ * reused instead of searching, scraping and calling the LLM again - a dry
+ * run's draft is what a later real run publishes. `fresh` ignores the journal.
+ * 
+ * `profile` names the style profile of the rewrite (default: STYLE_PROFILE
+ * or the manifest's default). Its key and the prompt version are published
+ * with the article.
+ * 
+ * @returns {object} status ('published' | 'previewed' | 'rejected'), word
+ *          counts, the enhanced text (plain and with references) and the quality report
+ */
+async function processArticle(article, { dryRun = false, fresh = false, profile: profileKey } = {}) {
+    const profile = prompts.profile(profileKey || CONFIG.styleProfile || prompts.defaultProfile);
+
+    logger.info(`   ✅ Found: "${article.title}"`, { title: article.title });
+    logger.info(`   📊 Word count: ${countWords(article.content)} words`);
 
-        if (!response.data.success || !response.data.data) {
-            throw new Error('Invalid API response format');
+    const job = journal.open(article, { fresh });
+    if (job.resumed) {
+        logger.info(`   ♻️  Resuming from the journal (last run: ${job.get('article').completedAt})`);
+    } else if (job.stale) {
+        logger.info('   ♻️  Article changed since the last run - starting over');
+    }
+    if (!job.get('article')) {
+        job.complete('article', { id: article.id, slug: article.slug, title: article.title, content: article.content });
+    }
+    logger.info('\n');
+
+    // =====================================================================
+    // STEP 2: Search Google for related articles
+    // =====================================================================
+    const endSearch = beginStep('search');
+    logger.info('🔍 STEP 2: Searching for related articles...');
+
+    const savedSearch = job.get('search');
+    if (savedSearch) {
+        logger.info(`   ♻️  Using search results from ${savedSearch.completedAt}`);
+    }
+    const { query, keywords } = savedSearch ? savedSearch.data : buildSearchQuery(article);
+    logger.info(`   Query: "${query}"`);
+    logger.info(`   Keywords: ${keywords.join(', ') || '(none)'}`);
+
+    const searchResults = savedSearch ? savedSearch.data.results : await searchForReferences(query);
+    if (!savedSearch) {
+        job.complete('search', { query, keywords, results: searchResults });
+    }
+    logger.info(`   ✅ Found ${searchResults.length} reference URLs`, { count: searchResults.length });
+    searchResults.forEach((r, i) => logger.info(`      ${i+1}. ${r.url}`, { url: r.url }));
+    logger.info('\n');
+    endSearch();
+
+    // =====================================================================
+    // STEP 3: Scrape content from reference articles
+    // =====================================================================
+    const endScrape = beginStep('scrape');
+    logger.info('📰 STEP 3: Scraping reference articles...');
+
+    const savedReferences = job.get('references');
+    if (savedReferences) {
+        logger.info(`   ♻️  Using references scraped at ${savedReferences.completedAt}`);
+    }
+    const { references, skipped } = savedReferences ? savedReferences.data : await scrapeReferences(searchResults, article);
+    if (!savedReferences) {
+        job.complete('references', { references, skipped });
+    }
+    logger.info(`   ✅ Successfully scraped ${references.length} references`, { count: references.length });
+    if (skipped.length > 0) {
+        logger.warn(`   ⏭️  Skipped ${skipped.length} URLs:`, { count: skipped.length });
+        skipped.forEach(s => logger.warn(`      - ${s.url} (${s.reason}: ${s.message})`, { url: s.url, reason: s.reason }));
+    }
+    references.forEach((r, i) => {
+        const relevance = r.relevance !== undefined ? `, relevance ${r.relevance}` : '';
+        logger.info(`      ${i+1}. ${r.title} (${countWords(r.content)} words${relevance})`, { url: r.url, words: countWords(r.content), relevance: r.relevance });
+    });
+    logger.info('\n');
+    endScrape();
+
+    // =====================================================================
+    // STEP 4: Use AI to rewrite the article
+    // =====================================================================
+    const endRewrite = beginStep('rewrite');
+    logger.info('🤖 STEP 4: Rewriting article with AI...');
+    logger.info(`   🎨 Style: ${profile.name} (prompt v${prompts.version})`, { styleProfile: profile.key, promptVersion: prompts.version });
+
+    let savedDraft = job.get('draft');
+    // A draft written with other prompts or another style is not what was asked for
+    if (savedDraft && (savedDraft.data.promptVersion !== prompts.version || savedDraft.data.styleProfile !== profile.key)) {
+        logger.info('   ♻️  Saved draft used another prompt version or style - rewriting');
+        savedDraft = null;
+    }
+    if (savedDraft) {
+        logger.info(`   ♻️  Using the draft written at ${savedDraft.completedAt} (no LLM calls)`);
+    } else {
+        const { draft, quality } = await rewriteWithQualityGate(article, references, { profile });
+        // The publish key stays the same for every retry of this draft,
+        // so Laravel can recognize a publish that already went through
+        job.complete('draft', {
+            draft,
+            quality,
+            promptVersion: prompts.version,
+            styleProfile: profile.key,
+            publishKey: crypto.randomUUID(),
+        });
+        savedDraft = job.get('draft');
+    }
+    const { draft, quality, publishKey } = savedDraft.data;
+    const { content: enhancedContent, citations, removed } = draft;
+
+    // No prompt was involved in a fallback (non-AI) draft
+    const prompt = draft.fallback
+        ? { promptVersion: null, styleProfile: null }
+        : { promptVersion: prompts.version, styleProfile: profile.key };
+
+    const result = {
+        originalWords: countWords(article.content),
+        enhancedWords: countWords(enhancedContent),
+        citationCount: citations.length,
+        content: enhancedContent,
+        markdown: formatWithCitations(enhancedContent, citations, { fallback: draft.fallback }),
+        citations,
+        quality,
+        ...prompt,
+    };
+
+    endRewrite();
+
+    if (!quality.passed) {
+        logger.warn('   ⛔ Draft rejected by the quality gate', { reasons: quality.reasons });
+        logger.info('\n');
+
+        const endPublish = beginStep('publish');
+        if (dryRun) {
+            logger.info('📤 STEP 6: Skipped (dry run) - the rejected draft was not stored');
+        } else {
+            logger.info('📤 STEP 6: Storing rejected draft in Laravel...');
+            await rejectInLaravel(article.id, result.markdown, quality, prompt);
+            job.finish();
+            logger.info('   ✅ Stored as rejected (not published)');
         }
+        logger.info('\n');
+        endPublish();
 
-        return response.data.data;
+        return { status: 'rejected', reasons: quality.reasons, ...result };
+    }
 
-    } catch (error) {
-        if (error.response?.status === 404) {
-            throw new Error('No articles pending AI update. All done!');
+    logger.info(`   ✅ Article enhanced!`);
+    logger.info(`   📊 New word count: ${countWords(enhancedContent)} words`, { words: countWords(enhancedContent) });
+    logger.info(`   📈 Improvement: +${countWords(enhancedContent) - countWords(article.content)} words`);
+    logger.info(`   📎 Citations: ${citations.length} sources`, { citations: citations.length });
+    if (removed.length > 0) {
+        logger.info(`   🧹 Removed markers pointing to no reference: ${removed.map(n => `[${n}]`).join(' ')}`);
+    }
+    logger.info('\n');
+
+    // =====================================================================
+    // STEP 5: SEO metadata for the published version
+    // =====================================================================
+    const endSeo = beginStep('seo');
+    logger.info('🏷️  STEP 5: Generating SEO metadata...');
+
+    // Only valid for the draft it was written for
+    let savedSeo = job.get('seo');
+    if (savedSeo && savedSeo.data.draftAt !== savedDraft.completedAt) {
+        savedSeo = null;
+    }
+    if (savedSeo) {
+        logger.info(`   ♻️  Using the SEO metadata generated at ${savedSeo.completedAt}`);
+    }
+    const seo = savedSeo
+        ? savedSeo.data.seo
+        : await generateSeo(article, draft, { profile, keywords });
+    if (!savedSeo) {
+        job.complete('seo', { seo, draftAt: savedDraft.completedAt });
+    }
+    result.seo = seo;
+
+    logger.info(`   ✅ Meta title: "${seo.meta_title}"`, { generatedBy: seo.generated_by });
+    logger.info(`   🔑 Focus keywords: ${seo.focus_keywords.join(', ')}`);
+    logger.info(`   🧩 JSON-LD: ${seo.json_ld.map(block => block['@type']).join(', ')}${seo.faq.length > 0 ? ` (${seo.faq.length} FAQ)` : ''}`);
+    if (seo.fallback_fields.length > 0) {
+        logger.warn(`   ⚠️ Derived from the article instead: ${seo.fallback_fields.join(', ')}`);
+    }
+    seo.issues.forEach(issue => logger.warn(`   ⚠️ ${issue}`));
+    logger.info('\n');
+    endSeo();
+
+    // =====================================================================
+    // STEP 6: Publish back to Laravel API
+    // =====================================================================
+    const endPublish = beginStep('publish');
+    if (dryRun) {
+        logger.info('📤 STEP 6: Skipped (dry run) - nothing was published');
+        logger.info('   💾 Draft kept in the journal - a normal run publishes it without rewriting');
+        logger.info('\n');
+        endPublish();
+        return { status: 'previewed', ...result };
+    }
+
+    logger.info('📤 STEP 6: Publishing enhanced article to Laravel...');
+
+    const published = await publishToLaravel(article.id, enhancedContent, citations, quality, { publishKey, seo, fallback: draft.fallback, ...prompt });
+    job.finish();
+    logger.info(published.replayed
+        ? '   ✅ Already published by an earlier run (same publish key) - nothing changed'
+        : '   ✅ Published successfully - awaiting editorial review', { replayed: Boolean(published.replayed) });
+    logger.info('\n');
+    endPublish();
+
+    return { status: 'published', ...result };
+}
+
+/**
+ * Marks the start of a pipeline step: the following log lines are tagged
+ * with it. Returns a function that records the step's duration in the run report.
+ */
+function beginStep(step) {
+    logger.set({ step });
+    const startedAt = Date.now();
+    return () => runReport.recordStep(step, Date.now() - startedAt);
+}
+
+/**
+ * Ends the run: writes the run report (if any article was processed) and
+ * adds the totals to the metrics file, then prints a short summary.
+ */
+function finishRun({ mode, dryRun }) {
+    logger.set({ step: 'report' });
+    const report = runReport.finish({ mode, dryRun });
+    let reportFile = null;
+
+    try {
+        if (CONFIG.runReportDir !== 'off' && report.articles.total > 0) {
+            reportFile = writeRunReport(CONFIG.runReportDir, report);
         }
-        if (error.code === 'ECONNREFUSED') {
-            throw new Error('Cannot connect to Laravel API. Is it running?');
+        if (CONFIG.metricsFile) {
+            writeMetricsFile(CONFIG.metricsFile, report);
         }
-        throw new Error(`Failed to fetch article: ${error.message}`);
+    } catch (error) {
+        // Reporting problems never fail an otherwise successful run
+        logger.warn(`⚠️ Could not write the run report or metrics: ${error.message}`);
+    }
+
+    if (report.articles.total > 0) {
+        printRunReport(report, reportFile);
+    }
+    return report;
+}
+
+function printRunReport(report, file) {
+    const { llm: usage, scrape } = report;
+    const cost = usage.estimated_cost_usd === null
+        ? 'cost unknown (no price for this model)'
+        : `~$${usage.estimated_cost_usd.toFixed(4)}`;
+
+    logger.print(
+        '📊 RUN REPORT',
+        `   LLM: ${usage.requests} requests, ${usage.input_tokens} input + ${usage.output_tokens} output tokens, ${cost}`,
+        `   Scraping: ${scrape.succeeded}/${scrape.attempted} URLs` + (scrape.attempted ? ` (${Math.round(scrape.success_rate * 100)}%)` : ''),
+        `   Steps: ${Object.entries(report.steps).map(([step, s]) => `${step} ${(s.total_ms / 1000).toFixed(1)}s`).join(', ')}`,
+        ...(file ? [`   Saved to ${file}`] : []),
+        ''
+    );
+
+    const { results, ...articles } = report.articles;
+    logger.event('Run finished', {
+        runId: report.run_id,
+        mode: report.mode,
+        dryRun: report.dry_run,
+        durationMs: report.duration_ms,
+        articles,
+        scrape: { attempted: scrape.attempted, succeeded: scrape.succeeded, successRate: scrape.success_rate },
+        llm: {
+            requests: usage.requests,
+            inputTokens: usage.input_tokens,
+            outputTokens: usage.output_tokens,
+            estimatedCostUsd: usage.estimated_cost_usd,
+        },
+        reportFile: file,
+    });
+}
+
+function printBanner() {
+    logger.print(
+        '\n',
+        '╔══════════════════════════════════════════════════════════════╗',
+        '║           AI ARTICLE REWRITER - BeyondChats                  ║',
+        '║           Phase 2: LLM-based Content Enhancement             ║',
+        '╚══════════════════════════════════════════════════════════════╝',
+        '\n'
+    );
+}
+
+/**
+ * Per-article success/failure table printed at the end of a batch run
+ */
+function printBatchSummary(results) {
+    const succeeded = results.filter(r => r.status === 'success').length;
+    const rejected = results.filter(r => r.status === 'rejected').length;
+    const failed = results.length - succeeded - rejected;
+
+    logger.print(
+        '\n',
+        '╔══════════════════════════════════════════════════════════════╗',
+        '║                    📋 BATCH SUMMARY                          ║',
+        '╚══════════════════════════════════════════════════════════════╝'
+    );
+
+    results.forEach(r => {
+        const icon = { success: '✅', rejected: '⛔' }[r.status] || '❌';
+        const seconds = (r.durationMs / 1000).toFixed(1);
+        const detail = {
+            success: `${r.originalWords} → ${r.enhancedWords} words, ${r.citationCount} citations`,
+            rejected: `rejected: ${r.reasons?.[0]}`,
+        }[r.status] || r.error;
+        logger.print(`   ${icon} #${String(r.article.id).padEnd(5)} ${r.article.title.substring(0, 40).padEnd(40)} ${seconds.padStart(6)}s  ${detail}`);
+    });
+
+    logger.print(
+        '',
+        `   Processed: ${results.length}   Succeeded: ${succeeded}   Rejected: ${rejected}   Failed: ${failed}`,
+        '\n'
+    );
+}
+
+function handleFatalError(error) {
+    logger.error(`\n❌ ERROR: ${error.message}`);
+
+    if (error.message.includes('No articles pending')) {
+        logger.info('\n💡 All articles have been processed! Run the scraper to add more.');
+    } else if (error instanceof LLMError && error.kind === LLM_ERROR_KINDS.AUTH) {
+        logger.info(`\n💡 Check the API key for the "${CONFIG.llmProvider}" LLM provider in your .env file`);
+    } else if (error instanceof LaravelApiError && error.kind === LARAVEL_ERROR_KINDS.AUTH) {
+        logger.info('\n💡 Check LARAVEL_API_TOKEN in your .env file');
+    } else if (error.message.includes('ECONNREFUSED') || error.message.includes('Cannot connect')) {
+        logger.info('\n💡 Make sure Laravel is running: php artisan serve');
     }
+
+    logger.info('\n');
 }
 
 // =============================================================================
-// STEP 2: SEARCH FOR REFERENCES
+// STEP 1: FETCH FROM LARAVEL API
 // =============================================================================
 
 /**
- * Searches for related articles to use as style references.
+ * Claims the next article that hasn't been AI-processed yet.
  * 
- * TRADE-OFF: We use curated URLs instead of live Google search because:
- * 1. Google blocks automated scraping
- * 2. SerpAPI costs money
- * 3. For demonstration, reliable URLs work better
+ * Uses the /api/articles/claim endpoint which picks the newest article
+ * where is_ai_updated = false and reserves it for this worker for
+ * CONFIG.claimLeaseSeconds. Two runs can therefore never rewrite the
+ * same article at the same time.
  * 
- * In production, you would use SerpAPI or similar service.
+ * Returns null when there is nothing left to process.
+ * 
+ * @param {number[]} exclude - Article IDs this run already gave up on
+ * @param {object} [options]
+ * @param {number} [options.articleId] - Claim this article only (daemon jobs);
+ *                                       null if it isn't pending
  */
-async function searchForReferences(query) {
-    // Check if SerpAPI key is available
-    if (process.env.SERPAPI_KEY) {
-        console.log('   Using SerpAPI for real Google search...');
-        return await searchWithSerpApi(query);
-    }
-
-    // Use curated reference URLs for reliable demonstration
-    console.log('   Using curated reference URLs (SerpAPI not configured)');
-    
-    // These are real, scrapeable articles about chatbots/AI
-    const references = [
-        {
-            title: 'Chatbot Best Practices - Intercom',
-            url: 'https://www.ibm.com/topics/chatbots',
-        },
-        {
-            title: 'AI Customer Service Guide - IBM',
-            url: 'https://www.salesforce.com/resources/articles/what-is-a-chatbot/',
-        },
-        {
-            title: 'Building Better Chatbots - HubSpot',
-            url: 'https://blog.hubspot.com/service/chatbot',
-        },
-    ];
+async function claimNextArticle(exclude = [], { articleId } = {}) {
+    return laravel.claimArticle({
+        worker: CONFIG.workerId,
+        leaseSeconds: CONFIG.claimLeaseSeconds,
+        exclude,
+        article: articleId,
+    });
+}
 
-    return references.slice(0, CONFIG.referenceCount);
+/**
+ * Gives a claimed article back so it can be picked up again.
+ * 
+ * Best effort - if this fails the claim simply expires after the lease.
+ */
+async function releaseClaim(articleId) {
+    try {
+        await laravel.releaseArticle(articleId, { worker: CONFIG.workerId });
+    } catch (error) {
+        logger.warn(`   ⚠️ Could not release claim on article ${articleId}: ${error.message}`);
+    }
 }
 
 /**
- * Real Google search using SerpAPI (if configured)
+ * Loads one article by ID or slug (GET /api/articles/{id}).
+ * 
+ * Used by --article to re-run a specific article. No claim is taken:
+ * the editor asked for this article explicitly.
  */
-async function searchWithSerpApi(query) {
+async function fetchArticle(idOrSlug) {
     try {
-        const response = await axios.get('https://serpapi.com/search', {
-            params: {
-                q: query + ' AI chatbot blog',
-                api_key: process.env.SERPAPI_KEY,
-                num: 5,
-            },
-            timeout: CONFIG.timeout,
-        });
+        return await laravel.getArticle(idOrSlug);
+    } catch (error) {
+        if (error.kind === LARAVEL_ERROR_KINDS.NOT_FOUND) {
+            throw new Error(`Article "${idOrSlug}" not found`);
+        }
+        throw error;
+    }
+}
 
-        const results = response.data.organic_results || [];
-        
-        return results
-            .filter(r => r.link && !r.link.includes('youtube.com'))
-            .slice(0, CONFIG.referenceCount)
-            .map(r => ({
-                title: r.title,
-                url: r.link,
-            }));
+// =============================================================================
+// STEP 2: SEARCH FOR REFERENCES
+// =============================================================================
 
+/**
+ * Searches for related articles to use as style references.
+ * 
+ * Uses the configured search provider (SerpAPI, Bing, Brave or the local
+ * index - see lib/search). If a web search API fails, the local index is
+ * used instead so the pipeline can continue.
+ * 
+ * @param {string} query - Built from the article title and keywords (buildSearchQuery)
+ */
+async function searchForReferences(query) {
+    logger.info(`   Using ${searchProvider.name} search provider`);
+
+    let results;
+    try {
+        results = await searchProvider.search(query, { limit: CONFIG.searchResultCount });
     } catch (error) {
-        console.log(`   ⚠️ SerpAPI failed, using fallback URLs`);
-        return searchForReferences(''); // Fallback to curated
+        if (searchProvider.name === 'local') {
+            throw new Error(`Local search failed: ${error.message}`);
+        }
+        logger.warn(`   ⚠️ ${searchProvider.name} search failed (${error.message}), using local index`);
+        results = await SEARCH_PROVIDERS.local(CONFIG).search(query, { limit: CONFIG.searchResultCount });
     }
+
+    // Drop video results and duplicates
+    const seen = new Set();
+    return results.filter(r => {
+        if (!r.url || r.url.includes('youtube.com') || seen.has(r.url)) return false;
+        seen.add(r.url);
+        return true;
+    });
 }
 
 // =============================================================================
@@ -269,223 +1021,504 @@ async function searchWithSerpApi(query) {
  * Scrapes content from reference articles using Cheerio.
  * 
  * Cheerio is like jQuery for Node.js - it parses HTML and lets us
- * extract specific elements using CSS selectors.
+ * walk the DOM. lib/extract.js uses it to find the main article body
+ * and convert it to Markdown, so the LLM sees headings and lists
+ * instead of one flat blob of text.
+ * 
+ * Up to REFERENCE_CANDIDATES search results are scraped, skipping pages
+ * from the article's own site. lib/relevance.js then scores them against
+ * the article (BM25), drops near-duplicates and copies of the article, and
+ * keeps the referenceCount best ones - each with its `relevance` and `bm25`
+ * score, which end up in the citation records.
  * 
  * TRADE-OFF: We can't scrape JavaScript-rendered content (would need
  * Puppeteer), but most blog content is server-rendered and works fine.
  */
-async function scrapeReferences(searchResults) {
-    const references = [];
+async function scrapeReferences(searchResults, article) {
+    const candidates = [];
+    const skipped = [];
 
     for (const result of searchResults) {
-        if (references.length >= CONFIG.referenceCount) break;
+        if (candidates.length >= Math.max(CONFIG.referenceCandidates, CONFIG.referenceCount)) break;
+
+        if (article.original_url && isSameSite(result.url, article.original_url)) {
+            skipped.push({ url: result.url, reason: 'same_domain', message: 'same site as the article' });
+            continue;
+        }
 
         try {
-            console.log(`   Scraping: ${result.url.substring(0, 50)}...`);
+            logger.info(`   Scraping: ${result.url.substring(0, 50)}...`);
             
             const scraped = await scrapeArticle(result.url);
             
-            if (scraped && scraped.content.length > 200) {
-                references.push({
-                    url: result.url,
-                    title: scraped.title || result.title,
-                    content: scraped.content,
-                });
-                console.log(`   ✓ Got ${countWords(scraped.content)} words`);
+            if (scraped.content.length <= 200) {
+                skipped.push({ url: result.url, reason: 'too_short', message: `only ${scraped.content.length} characters of content` });
+                runReport.recordScrape('too_short');
+                logger.warn('   ⚠️ Skipped: not enough content');
+                continue;
             }
+
+            candidates.push({
+                url: result.url,
+                title: scraped.title || result.title,
+                content: scraped.content,
+                author: scraped.author,
+                publishedAt: scraped.publishedAt,
+                canonicalUrl: scraped.canonicalUrl,
+                accessedAt: scraped.accessedAt,
+            });
+            runReport.recordScrape('ok');
+            logger.info(`   ✓ Got ${countWords(scraped.content)} words${scraped.fromCache ? ' (cached)' : ''}`, { url: result.url, cached: Boolean(scraped.fromCache) });
         } catch (error) {
-            console.log(`   ⚠️ Failed: ${error.message.substring(0, 50)}`);
+            const reason = error.reason || (error instanceof CacheMissError ? 'cache_miss' : 'extraction_failed');
+            skipped.push({ url: result.url, reason, message: error.message });
+            runReport.recordScrape(reason);
+            logger.warn(`   ⚠️ Failed (${reason}): ${error.message.substring(0, 60)}`);
         }
     }
 
-    // If scraping failed, use generated content
-    if (references.length === 0) {
-        console.log('   ⚠️ Using generated reference content (scraping failed)');
-        references.push({
-            url: 'https://example.com/ai-best-practices',
-            title: 'AI Chatbot Best Practices',
-            content: getBackupReferenceContent(),
-        });
+    const { selected: references, rejected } = rankReferences(article, candidates, {
+        count: CONFIG.referenceCount,
+        minRelevance: CONFIG.referenceMinRelevance,
+    });
+
+    if (candidates.length > 0) {
+        logger.info(`   📊 Ranked ${candidates.length} candidates by relevance to the article:`);
+        references.forEach(r => logger.info(`      ✓ ${r.relevance.toFixed(3)} (BM25 ${r.bm25}) ${r.url}`, { url: r.url, relevance: r.relevance, bm25: r.bm25, selected: true }));
+        rejected.forEach(({ candidate, reason }) => logger.info(`      ✗ ${candidate.relevance.toFixed(3)} (BM25 ${candidate.bm25}) ${candidate.url} - ${reason}`, { url: candidate.url, relevance: candidate.relevance, bm25: candidate.bm25, selected: false, reason }));
+    }
+    rejected.forEach(({ candidate, reason, message }) => skipped.push({ url: candidate.url, reason, message }));
+
+    // If scraping failed, the search results still name real sources -
+    // cite those with their snippets rather than inventing content
+    // (but not pages already ranked off-topic, duplicated, or from the article's site)
+    const ruledOut = new Set([...candidates.map(c => c.url), ...skipped.filter(s => s.reason === 'same_domain').map(s => s.url)]);
+    const usable = searchResults.filter(result => !ruledOut.has(result.url));
+    if (references.length === 0 && usable.length > 0) {
+        logger.warn('   ⚠️ No usable reference could be scraped - using the search result snippets');
+        references.push(...usable.slice(0, CONFIG.referenceCount).map(result => ({
+            url: result.url,
+            title: result.title || result.url,
+            content: result.snippet || '',
+            // The page itself was never fetched, so there is no access date to cite
+            accessedAt: null,
+        })));
     }
 
-    return references;
+    return { references, skipped };
 }
 
 /**
  * Scrape a single article page
+ * 
+ * Returns the main content as Markdown plus metadata
+ * (title, author, publishedAt, canonicalUrl) - see lib/extract.js
+ * 
+ * Pages go through the on-disk cache (lib/page-cache.js): fresh entries are
+ * reused, stale ones are revalidated with ETag / Last-Modified, and in
+ * offline mode nothing is downloaded at all. Downloads go through the
+ * polite fetcher (lib/fetcher.js), which throws a FetchError with a
+ * `reason` for robots.txt denials and failed requests.
  */
 async function scrapeArticle(url) {
-    const response = await axios.get(url, {
-        timeout: CONFIG.timeout,
-        headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'Accept': 'text/html,application/xhtml+xml',
-        },
-    });
-
-    const $ = cheerio.load(response.data);
-
-    // Remove noisy elements
-    $('script, style, nav, footer, header, aside, .sidebar, .comments, .ad, .advertisement').remove();
+    const cached = pageCache.get(url);
 
-    // Try to find main content
-    const selectors = ['article', '.post-content', '.entry-content', '.article-body', 'main', '.content'];
-    
-    let content = '';
-    for (const selector of selectors) {
-        const element = $(selector);
-        if (element.length > 0) {
-            content = element.text();
-            break;
-        }
+    if (pageCache.mode === 'offline') {
+        if (!cached) throw new CacheMissError(url);
+        return fromCacheEntry(url, cached);
     }
+    if (pageCache.isFresh(cached)) {
+        return fromCacheEntry(url, cached);
+    }
+
+    const response = await fetcher.fetch(url, {
+        headers: pageCache.conditionalHeaders(cached),
+        // 304 is only expected (and useful) when we sent conditional headers
+        validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
+    });
 
-    // Fallback to paragraphs
-    if (!content || content.length < 100) {
-        content = $('p').map((i, el) => $(el).text()).get().join('\n\n');
+    // Not modified - the cached copy is still current
+    if (response.status === 304) {
+        const revalidated = { ...cached, fetchedAt: new Date().toISOString() };
+        pageCache.save(url, revalidated);
+        return fromCacheEntry(url, revalidated);
     }
 
-    // Get title
-    let title = $('h1').first().text() || $('title').text() || '';
-    title = title.replace(/\s*[|\-–].*/g, '').trim();
+    // Extract without a length limit, so the cache stays valid if the limit changes
+    const extracted = extractArticle(response.data, { url });
+    const fetchedAt = new Date().toISOString();
+
+    pageCache.save(url, {
+        fetchedAt,
+        status: response.status,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        html: response.data,
+        extracted,
+    });
 
-    // Clean and limit content
-    content = content
-        .replace(/\s+/g, ' ')
-        .replace(/\n\s*\n/g, '\n\n')
-        .trim()
-        .substring(0, 5000);
+    return { ...limitReferenceLength(extracted), accessedAt: fetchedAt };
+}
 
-    return { title, content };
+// A cached page was last seen (and checked) at its fetchedAt time
+function fromCacheEntry(url, entry) {
+    const extracted = entry.extracted || extractArticle(entry.html, { url });
+    return { ...limitReferenceLength(extracted), accessedAt: entry.fetchedAt, fromCache: true };
 }
 
-/**
- * Backup content if scraping fails entirely
- */
-function getBackupReferenceContent() {
-    return `
-        AI chatbots have transformed customer service by providing instant, 
-        24/7 support. Best practices include: understanding user intent through 
-        natural language processing, maintaining context across conversations, 
-        providing graceful handoffs to human agents, and continuously learning 
-        from interactions. The most effective chatbots combine automation 
-        efficiency with a personalized, human-like experience. Key metrics 
-        include resolution rate, customer satisfaction, and response time.
-    `.trim();
+function limitReferenceLength(extracted) {
+    const { text, truncated } = truncateAtSections(extracted.content, CONFIG.referenceMaxChars);
+    return { ...extracted, content: text, truncated };
 }
 
 // =============================================================================
-// STEP 4: AI REWRITING WITH OPENAI
+// STEP 4: AI REWRITING WITH AN LLM
 // =============================================================================
 
 /**
- * Uses OpenAI to rewrite the article with insights from references.
+ * System prompt for one style profile (prompts/system.txt)
+ */
+function buildSystemPrompt(profile) {
+    return prompts.render('system', {
+        style_name: profile.name,
+        audience: profile.audience,
+        tone: profile.tone,
+        style_guidance: profile.guidance,
+    });
+}
+
+/**
+ * Uses the configured LLM provider to rewrite the article with insights
+ * from references.
  * 
- * PROMPT ENGINEERING:
- * - Clear system role defining the task
+ * PROMPT ENGINEERING (templates in prompts/, see lib/prompts.js):
+ * - Clear system role defining the task, in the style profile's tone
  * - Specific instructions on what to do and NOT do
- * - Context from original article and references
- * - Temperature 0.7 for creative but coherent output
+ * - Context from original article and references, plus a target length
+ * - Temperature from the style profile (0.7 for the standard profile)
+ * 
+ * LONG ARTICLES (see lib/chunking.js):
+ * - Articles bigger than REWRITE_CHUNK_TOKENS are split at headings/paragraphs
+ *   and rewritten chunk by chunk, each with its most relevant reference excerpts
+ * - Every chunk sees the article outline and the end of the previous rewritten
+ *   chunk, so the stitched result reads as one piece
+ * - Rule 6 (length within 50%) is checked per chunk here, and for the whole
+ *   article by the quality gate (lib/quality.js)
+ * 
+ * @param {object} options
+ * @param {object} options.profile      - Style profile (prompts.profile())
+ * @param {string[]} [options.feedback] - Why the previous draft was rejected (quality gate)
+ * @returns {{ content: string, excerpts: Array<object>, fallback?: boolean }} The rewrite,
+ *          plus the reference passages the LLM was given (used for citation records)
  */
-async function rewriteWithAI(article, references) {
-    // Check if OpenAI is configured
-    if (!openai) {
-        console.log('   ⚠️ OpenAI not configured, using enhanced fallback');
-        return enhanceWithoutAI(article, references);
+async function rewriteWithAI(article, references, { profile, feedback = [] }) {
+    // Check if an LLM provider is configured
+    if (!llm) {
+        logger.warn(`   ⚠️ LLM provider "${CONFIG.llmProvider}" not configured, using enhanced fallback`);
+        return { ...enhanceWithoutAI(article, references), fallback: true };
     }
 
-    // Build context from references
-    const referenceContext = references.map((ref, i) => 
-        `REFERENCE ${i + 1} - ${ref.title}:\n${ref.content.substring(0, 1500)}`
-    ).join('\n\n---\n\n');
+    const chunks = splitIntoChunks(article.content, { maxTokens: CONFIG.rewriteChunkTokens });
+    if (chunks.length > 1) {
+        logger.info(`   ✂️  Long article (~${estimateTokens(article.content)} tokens) - rewriting in ${chunks.length} chunks`);
+    }
 
-    const systemPrompt = `You are an expert content editor. Your task is to enhance and rewrite articles to make them more comprehensive, engaging, and professional.
+    // Headings where there are any, otherwise the opening words of the chunk
+    const outline = chunks.map(chunk => chunk.heading
+        ? chunk.heading.replace(/^#+\s*/, '')
+        : `${chunk.text.split(/\s+/).slice(0, 8).join(' ')}...`);
+    const rewritten = [];
+    const excerpts = [];
 
-RULES:
-1. Maintain the original article's core message and intent
-2. Incorporate relevant insights from the reference articles
-3. Improve clarity, structure, and readability
-4. Use professional but accessible language
-5. Add helpful examples or explanations where appropriate
-6. Keep the enhanced version similar in length (within 50% of original)
-7. DO NOT include any meta-commentary like "Here is the rewritten article"
-8. Output ONLY the enhanced article content`;
+    try {
+        for (const [index, chunk] of chunks.entries()) {
+            const result = await rewriteChunk(article, chunk, {
+                index,
+                outline,
+                previous: rewritten[index - 1],
+                references,
+                profile,
+                feedback,
+            });
+            rewritten.push(result.text);
+            excerpts.push(...result.excerpts);
+        }
+    } catch (error) {
+        if (error.kind === LLM_ERROR_KINDS.QUOTA) {
+            logger.warn(`   ⚠️ ${llm.name} quota exceeded, using fallback`);
+            return { ...enhanceWithoutAI(article, references), fallback: true };
+        }
+        if (!(error instanceof LLMError)) throw error;
+        // Keep the error kind, so callers can tell auth problems from outages
+        throw new LLMError(`${llm.name} error (${error.kind}): ${error.message}`, error);
+    }
 
-    const userPrompt = `Please enhance this article about "${article.title}".
+    const enhanced = rewritten.join('\n\n');
 
-ORIGINAL ARTICLE:
-${article.content}
+    if (enhanced.length < 100) {
+        throw new Error('AI returned insufficient content');
+    }
 
----
+    return { content: enhanced, excerpts };
+}
 
-REFERENCE ARTICLES FOR STYLE AND INSIGHTS:
-${referenceContext}
+/**
+ * Rewrites the article until a draft passes the quality gate (lib/quality.js),
+ * at most QUALITY_MAX_ATTEMPTS times. Every retry gets the reasons the
+ * previous draft failed as corrective feedback.
+ * 
+ * @returns {{ draft: object, quality: object }} The last draft (citations
+ *          processed, `fallback` set if no LLM wrote it) and its quality
+ *          report, with `attempts` added
+ */
+async function rewriteWithQualityGate(article, references, { profile }) {
+    let feedback = [];
+
+    for (let attempt = 1; ; attempt++) {
+        const rewrite = await rewriteWithAI(article, references, { profile, feedback });
+
+        // Drop [n] markers that point to no reference, renumber the rest
+        const draft = {
+            ...processCitations(rewrite.content, references, { excerpts: rewrite.excerpts }),
+            fallback: Boolean(rewrite.fallback),
+        };
+
+        const quality = {
+            ...evaluateDraft(draft.content, { original: article.content, references }, {
+                maxCopiedWords: CONFIG.qualityMaxCopiedWords,
+                minReadability: CONFIG.qualityMinReadability,
+                maxReadabilityDrop: CONFIG.qualityMaxReadabilityDrop,
+            }),
+            attempts: attempt,
+            checked_at: new Date().toISOString(),
+        };
+
+        if (quality.passed) {
+            logger.info(`   🧪 Quality gate passed (readability ${quality.checks.readability.fleschReadingEase}, length ratio ${quality.checks.length.ratio})`);
+            return { draft, quality };
+        }
 
----
+        logger.warn(`   🧪 Quality gate failed (attempt ${attempt}/${CONFIG.qualityMaxAttempts}):`);
+        quality.reasons.forEach(reason => logger.warn(`      - ${reason}`));
 
-Write the enhanced version now:`;
+        // Without an LLM every attempt produces the same text
+        if (rewrite.fallback || attempt >= CONFIG.qualityMaxAttempts) {
+            return { draft, quality };
+        }
+        feedback = quality.reasons;
+    }
+}
 
-    try {
-        const completion = await openai.chat.completions.create({
-            model: CONFIG.openaiModel,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt },
-            ],
-            temperature: 0.7,
-            max_tokens: 2000,
+/**
+ * Rewrites one chunk. A chunk that comes back truncated or outside rule 6
+ * is retried once with feedback; if it is still off, a multi-chunk rewrite
+ * keeps the original text of that chunk rather than losing content.
+ * (The whole-article length is checked by the quality gate.)
+ */
+async function rewriteChunk(article, chunk, { index, outline, previous, references, profile, feedback }) {
+    const total = outline.length;
+    const system = buildSystemPrompt(profile);
+    const { prompt, excerpts } = buildChunkPrompt(article, chunk, { index, outline, previous, references, system, feedback });
+    const maxTokens = Math.min(CONFIG.llmMaxOutputTokens, Math.max(512, Math.ceil(chunk.tokens * 1.5) + 256));
+
+    let lengthFeedback = '';
+    let text = '';
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const completion = await llm.complete({
+            system,
+            prompt: prompt + lengthFeedback,
+            temperature: profile.temperature,
+            maxTokens,
         });
 
-        const enhanced = completion.choices[0].message.content.trim();
+        text = completion.text;
+        // The heading keeps the stitched article's structure intact
+        if (chunk.heading && !text.startsWith('#')) {
+            text = `${chunk.heading}\n\n${text}`;
+        }
 
-        if (enhanced.length < 100) {
-            throw new Error('AI returned insufficient content');
+        const length = checkLength(chunk.text, text);
+        if (!completion.truncated && length.ok) {
+            return { text, excerpts };
         }
 
-        return enhanced;
+        const problem = completion.truncated
+            ? 'was cut off before the end'
+            : `had ${length.rewrittenWords} words, but the original has ${length.originalWords}`;
+        logger.warn(`   ⚠️ Chunk ${index + 1}/${total} ${problem}${attempt === 0 ? ' - retrying' : ''}`);
 
-    } catch (error) {
-        if (error.code === 'insufficient_quota') {
-            console.log('   ⚠️ OpenAI quota exceeded, using fallback');
-            return enhanceWithoutAI(article, references);
-        }
-        throw new Error(`OpenAI error: ${error.message}`);
+        lengthFeedback = `\n\nYOUR PREVIOUS ATTEMPT ${problem.toUpperCase()}. ` +
+            `Write between ${Math.ceil(length.originalWords * 0.5)} and ${Math.floor(length.originalWords * 1.5)} words.`;
+    }
+
+    // A single chunk is the whole article - the quality gate decides what happens to it
+    if (total === 1) {
+        return { text, excerpts };
+    }
+    logger.warn(`   ⚠️ Keeping the original text of chunk ${index + 1}/${total}`);
+    return { text: chunk.text, excerpts: [] };
+}
+
+/**
+ * Builds the prompt for one chunk from the templates (and returns the
+ * reference excerpts it uses), within the LLM_MAX_INPUT_TOKENS budget:
+ * whatever the system prompt, chunk and instructions leave over is filled
+ * with the most relevant reference excerpts.
+ */
+function buildChunkPrompt(article, chunk, { index, outline, previous, references, system, feedback = [] }) {
+    const total = outline.length;
+    const single = total === 1;
+
+    let partContext = '';
+    if (!single) {
+        const position = index === 0
+            ? prompts.text.firstPart
+            : index === total - 1
+                ? prompts.text.lastPart
+                : prompts.text.middlePart;
+
+        partContext = prompts.render('part', {
+            part_number: index + 1,
+            part_count: total,
+            position,
+            outline: outline.map((title, i) => `${i === index ? '→' : ' '} ${i + 1}. ${title}`).join('\n'),
+            previous_part: previous
+                ? prompts.render('previousPart', { previous_text: previous.split(/\n\n+/).pop().slice(-600) }) + '\n'
+                : '',
+        }) + '\n\n';
     }
+
+    const corrections = feedback.length > 0
+        ? '\n\n---\n\n' + prompts.render('feedback', { reasons: feedback.map(reason => `- ${reason}`).join('\n') })
+        : '';
+
+    // Rule 6: within 50% of the original length
+    const words = countWords(chunk.text);
+    const render = (referenceContext) => prompts.render('rewrite', {
+        scope: single ? 'article' : 'part of the article',
+        title: article.title,
+        part_context: partContext,
+        original_label: single ? 'ARTICLE' : 'SECTION',
+        content: chunk.text,
+        target_words: words,
+        min_words: Math.ceil(words * 0.5),
+        max_words: Math.floor(words * 1.5),
+        references: referenceContext,
+        corrections,
+    });
+
+    const budgetTokens = CONFIG.llmMaxInputTokens - estimateTokens(system + render(''));
+    const excerpts = selectExcerpts(chunk.text, references, {
+        maxChars: Math.max(0, Math.min(budgetTokens * 4, CONFIG.referenceMaxChars)),
+    });
+
+    const referenceContext = excerpts.length > 0
+        ? references
+            .map((ref, i) => ({ ref, i, parts: excerpts.filter(e => e.referenceIndex === i) }))
+            .filter(({ parts }) => parts.length > 0)
+            .map(({ ref, i, parts }) => `REFERENCE ${i + 1} - ${ref.title}:\n${parts.map(p => p.text).join('\n\n')}`)
+            .join('\n\n---\n\n')
+        : prompts.text.noReferences;
+
+    return { prompt: render(referenceContext), excerpts };
 }
 
 /**
- * Fallback enhancement when OpenAI is not available
+ * Fallback enhancement when no LLM is available (or its quota is used up)
+ * 
+ * Built from the article and its references only (lib/offline-enhancer.js):
+ * an extractive summary, a table of contents, key takeaways from the
+ * article's own sentences and attributed quotes from the references.
+ * Quotes stay below the quality gate's copied-run limit.
  * 
- * This demonstrates the concept without requiring an API key.
- * In production, you would always use the AI.
+ * @returns {{ content: string, excerpts: Array<object> }}
  */
 function enhanceWithoutAI(article, references) {
-    const enhanced = `
-${article.content}
-
----
+    return enhanceOffline(article, references, {
+        maxQuoteWords: CONFIG.qualityMaxCopiedWords - 1,
+    });
+}
 
-## Key Insights
+// =============================================================================
+// STEP 5: SEO METADATA
+// =============================================================================
 
-This article explores important concepts in modern customer engagement and AI technology. The integration of intelligent chatbots and automated support systems continues to reshape how businesses interact with their customers.
+/**
+ * Builds the SEO package of a draft (lib/seo.js).
+ * 
+ * The LLM suggests the meta title, description, focus keywords, slug,
+ * outline and FAQ as JSON (prompts/seo.txt). An answer that breaks the
+ * length or format rules is retried once with the problems as feedback;
+ * fields that are still wrong, and every field of a draft written without
+ * an LLM, are derived from the article instead. SEO never fails an
+ * article: an LLM error just means the derived fields are used.
+ * 
+ * @param {object} options
+ * @param {object} options.profile    - Style profile (audience and tone of the description)
+ * @param {string[]} options.keywords - Search keywords, offered as keyword ideas
+ */
+async function generateSeo(article, draft, { profile, keywords }) {
+    const build = (fields) => buildSeoPackage({ article, content: draft.content, citations: draft.citations, fields });
 
-### Main Takeaways
+    if (!llm || draft.fallback) {
+        return build(null);
+    }
 
-• **Efficiency**: Automated systems handle routine queries, freeing human agents for complex issues
-• **Availability**: 24/7 support ensures customers always have access to help
-• **Consistency**: AI provides uniform, high-quality responses across all interactions
-• **Scalability**: Handle growing customer bases without proportional staff increases
+    let fields = null;
+    let feedback = [];
+    try {
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            const completion = await llm.complete({
+                system: buildSystemPrompt(profile),
+                prompt: buildSeoPrompt(article, draft.content, { profile, keywords, feedback }),
+                temperature: 0.3,
+                maxTokens: 1024,
+            });
+
+            fields = parseSeoAnswer(completion.text);
+            feedback = fields
+                ? validateSeo(fields).errors.map(error => error.message)
+                : ['The answer was not a JSON object.'];
+            if (feedback.length === 0) break;
+
+            logger.warn(`   ⚠️ SEO answer broke ${feedback.length} rule(s)${attempt === 1 ? ' - retrying' : ''}:`);
+            feedback.forEach(reason => logger.warn(`      - ${reason}`));
+        }
+    } catch (error) {
+        if (!(error instanceof LLMError)) throw error;
+        logger.warn(`   ⚠️ ${llm.name} error (${error.kind}) - deriving SEO metadata from the article`);
+    }
 
-### Looking Forward
+    return build(fields);
+}
 
-As AI technology advances, we can expect even more sophisticated and helpful automated support experiences that seamlessly blend machine efficiency with human empathy.
-    `.trim();
+/**
+ * The SEO prompt, with as much of the article as the input budget allows
+ */
+function buildSeoPrompt(article, content, { profile, keywords, feedback = [] }) {
+    const render = (text) => prompts.render('seo', {
+        title: article.title,
+        audience: profile.audience,
+        tone: profile.tone,
+        content: text,
+        title_max: SEO_LIMITS.metaTitle.max,
+        description_min: SEO_LIMITS.metaDescription.min,
+        description_max: SEO_LIMITS.metaDescription.max,
+        keywords_min: SEO_LIMITS.focusKeywords.min,
+        keywords_max: SEO_LIMITS.focusKeywords.max,
+        faq_max: SEO_LIMITS.faq.max,
+        keywords: keywords.join(', ') || '(none)',
+        corrections: feedback.length > 0
+            ? '\n\n---\n\n' + prompts.render('feedback', { reasons: feedback.map(reason => `- ${reason}`).join('\n') })
+            : '',
+    });
 
-    return enhanced;
+    const budgetChars = Math.max(2000, (CONFIG.llmMaxInputTokens - estimateTokens(buildSystemPrompt(profile) + render(''))) * 4);
+    return render(content.length > budgetChars ? content.slice(0, budgetChars) + '\n[...]' : content);
 }
 
 // =============================================================================
-// STEP 5: PUBLISH TO LARAVEL
+// STEP 6: PUBLISH TO LARAVEL
 // =============================================================================
 
 /**
@@ -494,92 +1527,160 @@ As AI technology advances, we can expect even more sophisticated and helpful aut
  * Uses the custom /publish-ai endpoint which:
  * - Stores the AI content separately
  * - Sets is_ai_updated to true
- * - Saves the citation URLs
+ * - Saves the citation records ({ url, title, accessed_at, excerpt })
+ * - Saves the quality gate report
+ * 
+ * - Records the prompt version and style profile that produced the text
+ * - Saves the SEO package (meta tags, keywords, outline, JSON-LD)
+ * 
+ * `publishKey` is sent as the Idempotency-Key header: if an earlier attempt
+ * went through but its response was lost, Laravel answers with
+ * `replayed: true` instead of publishing again.
  */
-async function publishToLaravel(articleId, aiContent, citations) {
+async function publishToLaravel(articleId, aiContent, citations, quality, { publishKey, seo = null, promptVersion = null, styleProfile = null, fallback = false } = {}) {
     // Add citations section to content
-    const contentWithCitations = formatWithCitations(aiContent, citations);
-
-    try {
-        const response = await axios.post(
-            `${CONFIG.laravelApiUrl}/articles/${articleId}/publish-ai`,
-            {
-                ai_content: contentWithCitations,
-                citations: citations,
-            },
-            {
-                timeout: CONFIG.timeout,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                },
-            }
-        );
-
-        if (!response.data.success) {
-            throw new Error('API returned unsuccessful');
-        }
-
-        return response.data;
+    const contentWithCitations = formatWithCitations(aiContent, citations, { fallback });
+
+    // Publishing the same draft twice is a no-op in Laravel, so the client may retry it
+    return laravel.publishAi(articleId, {
+        ai_content: contentWithCitations,
+        citations: citations,
+        quality_report: quality,
+        prompt_version: promptVersion,
+        style_profile: styleProfile,
+        seo: seo,
+    }, { idempotencyKey: publishKey });
+}
 
-    } catch (error) {
-        if (error.response?.data?.errors) {
-            const errors = Object.values(error.response.data.errors).flat().join(', ');
-            throw new Error(`Validation failed: ${errors}`);
-        }
-        throw new Error(`Failed to publish: ${error.message}`);
-    }
+/**
+ * Stores a draft that failed the quality gate.
+ * 
+ * Uses the /reject-ai endpoint, which keeps the draft and the quality report
+ * for review but leaves is_ai_updated false, so nothing is published.
+ * The prompt version and style profile are kept too, so rejection rates
+ * can be compared across prompt revisions.
+ */
+async function rejectInLaravel(articleId, rejectedContent, quality, { promptVersion = null, styleProfile = null } = {}) {
+    return laravel.rejectAi(articleId, {
+        rejected_content: rejectedContent,
+        quality_report: quality,
+        prompt_version: promptVersion,
+        style_profile: styleProfile,
+    });
 }
 
 /**
- * Appends citations section to the article
+ * Appends citations section to the article.
+ * The list numbers match the inline [n] markers in the text.
+ * A `fallback` draft was written without an LLM, and its closing note says so.
  */
-function formatWithCitations(content, citations) {
+function formatWithCitations(content, citations, { fallback = false } = {}) {
     if (!citations || citations.length === 0) {
         return content;
     }
 
+    const formatCitation = (citation, i) => {
+        const accessed = citation.accessed_at ? ` - accessed ${citation.accessed_at.slice(0, 10)}` : '';
+        const label = (citation.title || citation.url).replace(/[[\]]/g, '\\$&');
+        return `${i + 1}. [${label}](${citation.url})${accessed}`;
+    };
+
+    const note = fallback
+        ? 'This article has been enhanced with an automatic summary and key takeaways, incorporating insights from the above reference sources.'
+        : 'This article has been enhanced using AI, incorporating insights from the above reference sources.';
+
     const citationSection = `
 
 ---
 
 ## References & Sources
 
-${citations.map((url, i) => `${i + 1}. [${url}](${url})`).join('\n')}
+${citations.map(formatCitation).join('\n')}
 
 ---
 
-*This article has been enhanced using AI, incorporating insights from the above reference sources.*
+*${note}*
 `;
 
     return content + citationSection;
 }
 
 // =============================================================================
-// UTILITY FUNCTIONS
+// RUN THE SCRIPT
 // =============================================================================
 
-function countWords(text) {
-    if (!text) return 0;
-    return text.trim().split(/\s+/).filter(w => w.length > 0).length;
+// Validate configuration
+function validateConfig(styleProfile) {
+    logger.info('⚙️  Configuration Check:');
+    logger.info(`   Laravel API: ${CONFIG.laravelApiUrl}`);
+    logger.info(`   LLM provider: ${CONFIG.llmProvider} ${llm ? '✓ Configured' : '⚠️ Not configured (will use fallback)'}`);
+    if (llm) {
+        logger.info(`   Model: ${llm.model}`);
+    }
+    logger.info(`   Prompts: v${prompts.version}, style "${styleProfile}"`);
+    logger.info('');
+    
+    if (!llm) {
+        logger.info('💡 TIP: Set OPENAI_API_KEY (or ANTHROPIC_API_KEY, or LLM_PROVIDER=local) in .env for real AI enhancement\n');
+    }
 }
 
 // =============================================================================
-// RUN THE SCRIPT
+// ENTRY POINT
 // =============================================================================
 
-// Validate configuration
-function validateConfig() {
-    console.log('⚙️  Configuration Check:');
-    console.log(`   Laravel API: ${CONFIG.laravelApiUrl}`);
-    console.log(`   OpenAI: ${CONFIG.openaiApiKey ? '✓ Configured' : '⚠️ Not set (will use fallback)'}`);
-    console.log(`   Model: ${CONFIG.openaiModel}`);
-    console.log('');
-    
-    if (!CONFIG.openaiApiKey) {
-        console.log('💡 TIP: Set OPENAI_API_KEY in .env for real AI enhancement\n');
-    }
+let options;
+try {
+    options = parseCliArgs(process.argv.slice(2));
+} catch (error) {
+    if (!(error instanceof CliError)) throw error;
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exit(2);
+}
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+// Style profiles come from prompts/manifest.json, so they are checked here rather than in lib/cli.js
+const styleProfile = options.profile || CONFIG.styleProfile || prompts.defaultProfile;
+if (!prompts.profiles[styleProfile]) {
+    console.error(`❌ Unknown style profile "${styleProfile}". Use one of: ${Object.keys(prompts.profiles).join(', ')}\n`);
+    process.exit(2);
 }
 
-validateConfig();
-main();
+validateConfig(styleProfile);
+
+if (options.daemon) {
+    if (!CONFIG.daemonSecret && !['127.0.0.1', 'localhost', '::1'].includes(CONFIG.daemonHost)) {
+        console.error(`❌ DAEMON_HOST is ${CONFIG.daemonHost}: set DAEMON_SECRET before listening beyond localhost\n`);
+        process.exit(2);
+    }
+    runDaemon({
+        concurrency: options.concurrency ?? Math.max(1, CONFIG.batchConcurrency),
+        port: options.port ?? CONFIG.daemonPort,
+        dryRun: options.dryRun,
+        profile: styleProfile,
+    }).catch((error) => {
+        handleFatalError(error);
+        process.exit(1);
+    });
+} else if (options.all) {
+    runBatch({
+        concurrency: options.concurrency ?? Math.max(1, CONFIG.batchConcurrency),
+        limit: options.limit,
+        dryRun: options.dryRun,
+        fresh: options.fresh,
+        profile: styleProfile,
+    }).catch((error) => {
+        handleFatalError(error);
+        process.exit(1);
+    });
+} else {
+    main({ ...options, profile: styleProfile }).catch((error) => {
+        handleFatalError(error);
+        process.exit(1);
+    });
+}
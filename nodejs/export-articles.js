@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * ARTICLE EXPORT - Enhanced articles for use outside the app
+ * ============================================================================
+ * 
+ * Pulls articles through the Laravel API and writes them as standalone
+ * Markdown (with front matter), sanitized HTML (with JSON-LD Article
+ * metadata and a citation footnote list) and a JSON bundle - into a
+ * directory or a single zip archive (see lib/export.js).
+ * 
+ * USAGE:
+ *   node export-articles.js --article <id|slug> --out exports/
+ *   node export-articles.js --all --ai-updated true --out exports/enhanced.zip
+ *   node export-articles.js --help                   # all options (see lib/cli.js)
+ * 
+ * ENVIRONMENT VARIABLES:
+ *   LARAVEL_API_URL, LARAVEL_API_TOKEN, LARAVEL_MAX_RETRIES - as for ai-rewriter.js
+ *   LOG_FORMAT       - pretty | json
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { EXPORT_USAGE, CliError, parseExportArgs } = require('./lib/cli');
+const { buildExport, writeExport } = require('./lib/export');
+const { createLogger } = require('./lib/logger');
+const { createLaravelClient, LaravelApiError, LARAVEL_ERROR_KINDS } = require('./lib/laravel');
+
+const CONFIG = {
+    laravelApiUrl: process.env.LARAVEL_API_URL || 'http://localhost:8000/api',
+    laravelApiToken: process.env.LARAVEL_API_TOKEN,
+    laravelMaxRetries: parseInt(process.env.LARAVEL_MAX_RETRIES || '3', 10),
+    timeout: 30000,
+    logFormat: process.env.LOG_FORMAT || 'pretty',
+    logLevel: process.env.LOG_LEVEL || 'info',
+};
+
+const logger = createLogger({ format: CONFIG.logFormat, level: CONFIG.logLevel });
+
+const laravel = createLaravelClient({
+    baseUrl: CONFIG.laravelApiUrl,
+    token: CONFIG.laravelApiToken,
+    timeout: CONFIG.timeout,
+    maxRetries: CONFIG.laravelMaxRetries,
+    log: (message) => logger.warn(message),
+});
+
+// API page size while walking a filtered set (the API's maximum)
+const PAGE_SIZE = 100;
+
+/**
+ * @param {object} options - From parseExportArgs()
+ */
+async function runExport(options) {
+    logger.info(`📥 Loading articles from ${CONFIG.laravelApiUrl}...`);
+    const { articles, query } = await loadArticles(options);
+
+    if (articles.length === 0) {
+        logger.info('📭 No articles match - nothing to export');
+        return;
+    }
+
+    const aiVersions = articles.filter(article => article.is_ai_updated && article.ai_content).length;
+    logger.info(`   ✅ ${articles.length} article(s), ${aiVersions} with an AI version`, { articles: articles.length, aiVersions });
+
+    logger.info(`📦 Rendering ${options.formats.join(', ')}...`);
+    const files = buildExport(articles, { formats: options.formats, query });
+
+    const written = await writeExport(files, options.out);
+    const size = `${Math.max(1, Math.round(written.bytes / 1024))} KB`;
+    logger.info(`   ✅ Wrote ${files.length} file(s) (${size}) to ${written.archive ? 'archive' : 'directory'} ${written.path}`,
+        { files: files.length, bytes: written.bytes, path: written.path });
+}
+
+/**
+ * The articles named with --article, or every article matching the filters
+ * 
+ * @returns {Promise<{ articles: object[], query: object }>} query: the selection, as recorded in the JSON bundle
+ */
+async function loadArticles({ articles: refs, aiUpdated, reviewStatus, search, limit }) {
+    if (refs.length > 0) {
+        const articles = [];
+        for (const ref of refs) {
+            articles.push(await fetchArticle(ref));
+        }
+        return { articles, query: { articles: refs } };
+    }
+
+    const query = Object.fromEntries(Object.entries({ ai_updated: aiUpdated, review_status: reviewStatus, search })
+        .filter(([, value]) => value !== undefined));
+
+    const articles = [];
+    const pages = laravel.iterateArticles({
+        aiUpdated,
+        reviewStatus,
+        search,
+        perPage: PAGE_SIZE,
+        sort: 'created_at',
+        order: 'asc',
+    });
+    for await (const article of pages) {
+        if (articles.length >= limit) break;
+        articles.push(article);
+    }
+    return { articles, query };
+}
+
+async function fetchArticle(idOrSlug) {
+    try {
+        return await laravel.getArticle(idOrSlug);
+    } catch (error) {
+        if (error.kind === LARAVEL_ERROR_KINDS.NOT_FOUND) {
+            throw new Error(`Article "${idOrSlug}" not found`);
+        }
+        throw error;
+    }
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+let options;
+try {
+    options = parseExportArgs(process.argv.slice(2));
+} catch (error) {
+    if (!(error instanceof CliError)) throw error;
+    console.error(`❌ ${error.message}\n`);
+    console.error(EXPORT_USAGE);
+    process.exit(2);
+}
+
+if (options.help) {
+    console.log(EXPORT_USAGE);
+    process.exit(0);
+}
+
+runExport(options).catch((error) => {
+    logger.error(`❌ Export failed: ${error.message}`);
+    if (error instanceof LaravelApiError && error.kind === LARAVEL_ERROR_KINDS.UNAVAILABLE) {
+        logger.info(`\n💡 Is the Laravel API running at ${CONFIG.laravelApiUrl}?`);
+    } else if (error instanceof LaravelApiError && error.kind === LARAVEL_ERROR_KINDS.AUTH) {
+        logger.info('\n💡 Check LARAVEL_API_TOKEN in your .env file');
+    }
+    process.exit(1);
+});
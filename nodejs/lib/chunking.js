@@ -0,0 +1,180 @@
+/**
+ * ============================================================================
+ * CHUNKING - Token-aware planning for long article rewrites
+ * ============================================================================
+ * 
+ * A long guide does not fit in one prompt (or one answer), so it is split
+ * into chunks that are rewritten one at a time:
+ * 
+ * 1. The article is split at its headings; a section that is still too big
+ *    is split between paragraphs (or sentences, for a giant paragraph)
+ * 2. Small neighbouring sections are merged back together, so a short
+ *    article is still rewritten in a single call
+ * 3. Each chunk gets only the reference paragraphs that share the most
+ *    words with it, instead of the first N characters of every reference
+ * 
+ * Token counts are estimates (about 4 characters per token for English),
+ * which is close enough for budgeting and needs no tokenizer dependency.
+ */
+
+const { splitSections } = require('./extract');
+const { contentTokens, countWords, stem } = require('./text');
+
+const CHARS_PER_TOKEN = 4;
+
+// Rule 6 of the rewrite prompt: "within 50% of original"
+const LENGTH_TOLERANCE = 0.5;
+
+const HEADING = /^#{1,6} /;
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Splits article content into chunks of at most `maxTokens` (estimated).
+ * 
+ * @returns {Array<{ heading: string|null, text: string, tokens: number }>}
+ */
+function splitIntoChunks(content, { maxTokens }) {
+    const pieces = splitSections(content || '')
+        .flatMap(section => splitOversized(section, maxTokens));
+
+    // Merge small neighbours while they still fit
+    const merged = [];
+    for (const piece of pieces) {
+        const last = merged[merged.length - 1];
+        if (last && estimateTokens(`${last}\n\n${piece}`) <= maxTokens) {
+            merged[merged.length - 1] = `${last}\n\n${piece}`;
+        } else {
+            merged.push(piece);
+        }
+    }
+
+    return merged.map(text => ({
+        heading: HEADING.test(text) ? text.split('\n')[0].trim() : null,
+        text,
+        tokens: estimateTokens(text),
+    }));
+}
+
+/**
+ * Splits one section between paragraphs (then sentences) until every
+ * piece fits. A heading always stays with the text that follows it.
+ */
+function splitOversized(section, maxTokens) {
+    if (estimateTokens(section) <= maxTokens) return [section];
+
+    const units = section.split(/\n\n+/).flatMap(paragraph =>
+        estimateTokens(paragraph) <= maxTokens ? [paragraph] : splitParagraph(paragraph, maxTokens)
+    );
+
+    const pieces = [];
+    let current = '';
+    for (const unit of units) {
+        const candidate = current ? `${current}\n\n${unit}` : unit;
+        if (current && estimateTokens(candidate) > maxTokens && !isLoneHeading(current)) {
+            pieces.push(current);
+            current = unit;
+        } else {
+            current = candidate;
+        }
+    }
+    if (current) pieces.push(current);
+
+    return pieces;
+}
+
+/**
+ * Splits a giant paragraph into runs of whole sentences that fit
+ */
+function splitParagraph(paragraph, maxTokens) {
+    const sentences = paragraph.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g) || [paragraph];
+
+    const runs = [];
+    let current = '';
+    for (const sentence of sentences.map(s => s.trim()).filter(Boolean)) {
+        const candidate = current ? `${current} ${sentence}` : sentence;
+        if (current && estimateTokens(candidate) > maxTokens) {
+            runs.push(current);
+            current = sentence;
+        } else {
+            current = candidate;
+        }
+    }
+    if (current) runs.push(current);
+
+    return runs;
+}
+
+function isLoneHeading(text) {
+    return HEADING.test(text) && !text.includes('\n');
+}
+
+/**
+ * Picks the reference paragraphs most relevant to a chunk of text,
+ * up to `maxChars` in total.
+ * 
+ * Relevance is the number of distinct (stemmed) content words a paragraph
+ * shares with the chunk. Paragraphs sharing fewer than two words are ignored.
+ * 
+ * @returns {Array<{ referenceIndex: number, title: string, text: string }>}
+ *          In reference order, then document order
+ */
+function selectExcerpts(text, references, { maxChars }) {
+    const terms = new Set(contentTokens(text).map(stem));
+
+    const candidates = [];
+    references.forEach((reference, referenceIndex) => {
+        (reference.content || '').split(/\n\n+/).forEach((paragraph, position) => {
+            if (isLoneHeading(paragraph.trim())) return;
+
+            const shared = new Set(contentTokens(paragraph).map(stem).filter(t => terms.has(t)));
+            if (shared.size >= 2) {
+                candidates.push({ referenceIndex, position, score: shared.size, text: paragraph.trim() });
+            }
+        });
+    });
+
+    const chosen = [];
+    let length = 0;
+    for (const candidate of candidates.sort((a, b) => b.score - a.score)) {
+        if (length + candidate.text.length > maxChars) continue;
+        chosen.push(candidate);
+        length += candidate.text.length;
+    }
+
+    return chosen
+        .sort((a, b) => a.referenceIndex - b.referenceIndex || a.position - b.position)
+        .map(({ referenceIndex, text: excerpt }) => ({
+            referenceIndex,
+            title: references[referenceIndex].title,
+            text: excerpt,
+        }));
+}
+
+/**
+ * Checks rule 6: the rewrite must be within 50% of the original length (in words)
+ * 
+ * @returns {{ ok: boolean, ratio: number, originalWords: number, rewrittenWords: number }}
+ */
+function checkLength(original, rewritten, tolerance = LENGTH_TOLERANCE) {
+    const originalWords = countWords(original);
+    const rewrittenWords = countWords(rewritten);
+    const ratio = originalWords ? rewrittenWords / originalWords : 1;
+
+    return {
+        ok: ratio >= 1 - tolerance && ratio <= 1 + tolerance,
+        ratio,
+        originalWords,
+        rewrittenWords,
+    };
+}
+
+module.exports = {
+    LENGTH_TOLERANCE,
+    estimateTokens,
+    splitIntoChunks,
+    selectExcerpts,
+    checkLength,
+};
@@ -0,0 +1,185 @@
+/**
+ * ============================================================================
+ * CITATIONS - Inline [n] markers and structured citation records
+ * ============================================================================
+ * 
+ * The rewrite prompt asks the LLM to cite the reference a statement is based
+ * on with its number, e.g. "Chatbots cut response times [2]." This module
+ * turns that raw output into something safe to publish:
+ * 
+ * 1. Markers that point to no reference ("[7]" with 2 references) are removed
+ * 2. The remaining markers are renumbered in order of first appearance,
+ *    so the text starts at [1] and uncited references are dropped
+ * 3. Each cited reference becomes a record:
+ *      { url, title, accessed_at, excerpt, relevance }
+ *    where `excerpt` is the reference passage that best matches the
+ *    statements citing it
+ * 
+ * If the text has no valid marker at all, every reference is kept as an
+ * (uncited) record, like the plain source list we used to publish.
+ * 
+ * Brackets that belong to code are left alone: a marker must not be glued
+ * to a word or a closing bracket ("arr[0]", "list[1]", "m[1][2]"), and inline
+ * code and fenced code blocks are skipped entirely.
+ */
+
+const { contentTokens, stem } = require('./text');
+
+// A run of markers: "[1]", "[1, 2]", "[1][3]" - but not a Markdown link like "[1](https://...)",
+// nor an index like "arr[0]". A run is rewritten as one marker, e.g. "[1][3]" → "[1, 3]".
+const MARKER = /(?:[ \t]|(?<![\p{L}\p{N}_\])]))((?:\[\d+(?:\s*,\s*\d+)*\](?!\())+)/gu;
+
+// Fenced code blocks, then inline code spans
+const FENCED_CODE = /^[ \t]*(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n[ \t]*\1[ \t]*(?=\n|$)|$(?![\s\S]))/gm;
+const INLINE_CODE = /(`+)(?!`)[\s\S]*?[^`]\1(?!`)/g;
+
+const EXCERPT_MAX_CHARS = 300;
+
+/**
+ * @param {string} content     - Rewritten article text
+ * @param {Array<object>} references - { url, title, content, accessedAt } in prompt order
+ * @param {object} [options]
+ * @param {Array<object>} [options.excerpts] - Reference passages given to the LLM
+ *        ({ referenceIndex, text }, see chunking.selectExcerpts)
+ * @returns {{ content: string, citations: Array<object>, removed: number[] }}
+ */
+function processCitations(content, references, { excerpts = [] } = {}) {
+    const isValid = (n) => n >= 1 && n <= references.length;
+
+    // Old number → new number, in order of first valid appearance
+    const renumber = new Map();
+    const removed = [];
+    for (const match of findMarkers(content)) {
+        for (const n of parseNumbers(match[1])) {
+            if (!isValid(n)) removed.push(n);
+            else if (!renumber.has(n)) renumber.set(n, renumber.size + 1);
+        }
+    }
+
+    if (renumber.size === 0) {
+        return {
+            content: replaceMarkers(content, () => ''),
+            citations: references.map(ref => toRecord(ref, [], excerptsFor(excerpts, references, ref))),
+            removed: [...new Set(removed)],
+        };
+    }
+
+    const claims = collectClaims(content);
+
+    const cleaned = replaceMarkers(content, (marker, numbers) => {
+        const kept = [...new Set(parseNumbers(numbers).filter(isValid).map(n => renumber.get(n)))].sort((a, b) => a - b);
+        if (kept.length === 0) return '';
+        return `${marker.startsWith(' ') || marker.startsWith('\t') ? ' ' : ''}[${kept.join(', ')}]`;
+    });
+
+    const citations = [...renumber.keys()].map(n => {
+        const ref = references[n - 1];
+        return toRecord(ref, claims.get(n) || [], excerptsFor(excerpts, references, ref));
+    });
+
+    return { content: cleaned, citations, removed: [...new Set(removed)] };
+}
+
+/**
+ * Marker matches outside code. Code is blanked out with NUL characters of
+ * the same length first, so the match indices are those of `text`.
+ */
+function findMarkers(text) {
+    const blank = (code) => '\0'.repeat(code.length);
+    const masked = text.replace(FENCED_CODE, blank).replace(INLINE_CODE, blank);
+    return [...masked.matchAll(MARKER)];
+}
+
+/**
+ * Like text.replace(MARKER, replacer), skipping markers in code
+ */
+function replaceMarkers(text, replacer) {
+    let result = '';
+    let last = 0;
+    for (const match of findMarkers(text)) {
+        const marker = text.slice(match.index, match.index + match[0].length);
+        result += text.slice(last, match.index) + replacer(marker, match[1]);
+        last = match.index + match[0].length;
+    }
+    return result + text.slice(last);
+}
+
+function parseNumbers(run) {
+    return run.match(/\d+/g).map(n => parseInt(n, 10));
+}
+
+/**
+ * Maps every (old) reference number to the sentences that cite it
+ */
+function collectClaims(content) {
+    const claims = new Map();
+
+    for (const sentence of content.split(/(?<=[.!?])\s+|\n+/)) {
+        for (const match of findMarkers(sentence)) {
+            for (const n of parseNumbers(match[1])) {
+                if (!claims.has(n)) claims.set(n, []);
+                claims.get(n).push(replaceMarkers(sentence, () => ''));
+            }
+        }
+    }
+
+    return claims;
+}
+
+/**
+ * Passages of one reference the LLM actually saw - or, if none were
+ * recorded, the paragraphs of the reference itself
+ */
+function excerptsFor(excerpts, references, ref) {
+    const index = references.indexOf(ref);
+    const given = excerpts.filter(e => e.referenceIndex === index).map(e => e.text);
+    if (given.length > 0) return given;
+
+    return (ref.content || '')
+        .split(/\n\n+/)
+        .map(p => p.trim())
+        .filter(p => p && !/^#{1,6} /.test(p));
+}
+
+function toRecord(ref, claims, passages) {
+    return {
+        url: ref.url,
+        title: ref.title || null,
+        accessed_at: ref.accessedAt || null,
+        excerpt: bestExcerpt(claims, passages),
+        // How relevant the reference is to the article (lib/relevance.js), if it was ranked
+        relevance: ref.relevance ?? null,
+    };
+}
+
+/**
+ * The passage sharing the most words with the citing sentences
+ * (the first passage when nothing cites the reference)
+ */
+function bestExcerpt(claims, passages) {
+    if (passages.length === 0) return null;
+
+    const terms = new Set(contentTokens(claims.join(' ')).map(stem));
+    let best = passages[0];
+    let bestScore = 0;
+
+    for (const passage of passages) {
+        const score = new Set(contentTokens(passage).map(stem).filter(t => terms.has(t))).size;
+        if (score > bestScore) {
+            best = passage;
+            bestScore = score;
+        }
+    }
+
+    return shorten(best, EXCERPT_MAX_CHARS);
+}
+
+function shorten(text, maxChars) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    if (flat.length <= maxChars) return flat;
+    return flat.slice(0, flat.lastIndexOf(' ', maxChars - 1)).replace(/[,;:]$/, '') + '…';
+}
+
+module.exports = {
+    processCitations,
+};
@@ -0,0 +1,321 @@
+/**
+ * ============================================================================
+ * COMMAND-LINE INTERFACE - Argument parsing and result output
+ * ============================================================================
+ * 
+ * Options are parsed with Node's built-in util.parseArgs, so both
+ * "--article 12" and "--article=12" work. parseCliArgs() reads the options
+ * of ai-rewriter.js, parseExportArgs() those of export-articles.js.
+ * 
+ * Output helpers:
+ * - renderDiff()  - unified diff of original vs. enhanced text, one sentence
+ *                   per line so a changed sentence doesn't mark its whole
+ *                   paragraph as changed
+ * - writeResult() - saves a result as JSON (.json) or Markdown (anything else)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createTwoFilesPatch } = require('diff');
+const { FORMATS: EXPORT_FORMATS } = require('./export');
+
+const USAGE = `Usage: node ai-rewriter.js [options]
+
+Options:
+  --article <id|slug>  Rewrite this article instead of claiming the next pending one
+  --dry-run            Run the whole pipeline but don't save anything to Laravel
+  --out <file>         Write the result to a file (.json for JSON, otherwise Markdown)
+  --diff               Print a unified diff of the original vs. the enhanced text
+  --fresh              Ignore the job journal and run every step again
+  --profile <name>     Style profile from prompts/manifest.json (default: STYLE_PROFILE),
+                       e.g. technical-deep-dive, beginner-guide, marketing
+  --all                Batch mode: process every pending article
+  --concurrency <n>    Batch/daemon mode: parallel workers (default: BATCH_CONCURRENCY)
+  --limit <n>          Batch mode: stop after n articles
+  --daemon             Run as a service that queues articles sent over HTTP (POST /jobs)
+  --port <n>           Daemon mode: port to listen on (default: DAEMON_PORT or 8787)
+  -h, --help           Show this help
+
+Examples:
+  node ai-rewriter.js --article my-article-slug --dry-run --diff
+  node ai-rewriter.js --article 12 --dry-run --out preview.md
+  node ai-rewriter.js --article 12 --profile beginner-guide --dry-run --diff
+  node ai-rewriter.js --all --concurrency 3 --limit 50
+  node ai-rewriter.js --daemon --port 8787 --concurrency 2`;
+
+const EXPORT_USAGE = `Usage: node export-articles.js --out <dir|file.zip> [options]
+
+Selection (one of):
+  --article <id|slug>      Export this article (repeat for several)
+  --all                    Export every article, optionally filtered:
+  --ai-updated <bool>        true: only articles with an AI version, false: only without
+  --review-status <status>   pending_review | approved | rejected
+  --search <text>            Title search
+
+Options:
+  --out <path>             Directory to write to, or a .zip file for one archive
+  --format <list>          Comma-separated: ${EXPORT_FORMATS.join(', ')} (default: all)
+  --limit <n>              Stop after n articles
+  -h, --help               Show this help
+
+Examples:
+  node export-articles.js --article my-article-slug --out exports/
+  node export-articles.js --all --ai-updated true --out exports/enhanced.zip
+  node export-articles.js --all --review-status approved --format markdown,html --out site-content/`;
+
+const REVIEW_STATUSES = ['pending_review', 'approved', 'rejected'];
+
+class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+    }
+}
+
+/**
+ * @param {string[]} argv - Arguments without "node script.js"
+ * @returns {{ article?: string, dryRun: boolean, out?: string, diff: boolean,
+ *             fresh: boolean, profile?: string, all: boolean, concurrency?: number, limit: number,
+ *             daemon: boolean, port?: number, help: boolean }}
+ * @throws {CliError} On unknown options or invalid combinations
+ */
+function parseCliArgs(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                article: { type: 'string' },
+                'dry-run': { type: 'boolean', default: false },
+                out: { type: 'string' },
+                diff: { type: 'boolean', default: false },
+                fresh: { type: 'boolean', default: false },
+                profile: { type: 'string' },
+                all: { type: 'boolean', default: false },
+                concurrency: { type: 'string' },
+                limit: { type: 'string' },
+                daemon: { type: 'boolean', default: false },
+                port: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+            strict: true,
+            allowPositionals: false,
+        }));
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+
+    const options = {
+        article: values.article,
+        dryRun: values['dry-run'],
+        out: values.out,
+        diff: values.diff,
+        fresh: values.fresh,
+        profile: values.profile,
+        all: values.all,
+        concurrency: values.concurrency !== undefined ? positiveInt('--concurrency', values.concurrency) : undefined,
+        limit: values.limit !== undefined ? positiveInt('--limit', values.limit) : Infinity,
+        daemon: values.daemon,
+        port: values.port !== undefined ? positiveInt('--port', values.port) : undefined,
+        help: values.help,
+    };
+
+    if (options.profile !== undefined && !options.profile.trim()) {
+        throw new CliError('--profile needs a style profile name');
+    }
+    if (options.article !== undefined && !options.article.trim()) {
+        throw new CliError('--article needs an article ID or slug');
+    }
+    if (options.all && options.article) {
+        throw new CliError('--all and --article cannot be combined');
+    }
+    if (options.all && (options.out || options.diff)) {
+        throw new CliError('--out and --diff work on a single article, not with --all');
+    }
+    if (options.daemon && (options.all || options.article || options.out || options.diff || options.fresh || values.limit !== undefined)) {
+        throw new CliError('--daemon takes its articles from POST /jobs; it only combines with --concurrency, --port, --dry-run and --profile');
+    }
+    if (!options.daemon && options.port !== undefined) {
+        throw new CliError('--port only applies to --daemon');
+    }
+    if (options.port !== undefined && options.port > 65535) {
+        throw new CliError(`--port must be at most 65535 (got "${values.port}")`);
+    }
+    if (!options.all && !options.daemon && values.concurrency !== undefined) {
+        throw new CliError('--concurrency only applies to --all and --daemon');
+    }
+    if (!options.all && values.limit !== undefined) {
+        throw new CliError('--limit only applies to --all');
+    }
+
+    return options;
+}
+
+/**
+ * @param {string[]} argv - Arguments without "node script.js"
+ * @returns {{ articles: string[], all: boolean, aiUpdated?: boolean, reviewStatus?: string,
+ *             search?: string, formats: string[], out?: string, limit: number, help: boolean }}
+ * @throws {CliError} On unknown options or invalid combinations
+ */
+function parseExportArgs(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                article: { type: 'string', multiple: true, default: [] },
+                all: { type: 'boolean', default: false },
+                'ai-updated': { type: 'string' },
+                'review-status': { type: 'string' },
+                search: { type: 'string' },
+                out: { type: 'string' },
+                format: { type: 'string' },
+                limit: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+            strict: true,
+            allowPositionals: false,
+        }));
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+
+    const options = {
+        articles: values.article.map(ref => ref.trim()),
+        all: values.all,
+        aiUpdated: values['ai-updated'] !== undefined ? boolean('--ai-updated', values['ai-updated']) : undefined,
+        reviewStatus: values['review-status'],
+        search: values.search,
+        formats: values.format !== undefined ? exportFormats(values.format) : EXPORT_FORMATS,
+        out: values.out,
+        limit: values.limit !== undefined ? positiveInt('--limit', values.limit) : Infinity,
+        help: values.help,
+    };
+    if (options.help) return options;
+
+    const filtered = options.aiUpdated !== undefined || options.reviewStatus !== undefined || options.search !== undefined;
+    if (options.articles.some(ref => !ref)) {
+        throw new CliError('--article needs an article ID or slug');
+    }
+    if (options.articles.length === 0 && !options.all) {
+        throw new CliError(filtered
+            ? '--ai-updated, --review-status and --search filter --all; add --all'
+            : 'Choose the articles to export with --article or --all');
+    }
+    if (options.articles.length > 0 && (options.all || filtered || values.limit !== undefined)) {
+        throw new CliError('--article cannot be combined with --all, its filters or --limit');
+    }
+    if (options.reviewStatus !== undefined && !REVIEW_STATUSES.includes(options.reviewStatus)) {
+        throw new CliError(`--review-status must be one of ${REVIEW_STATUSES.join(', ')} (got "${options.reviewStatus}")`);
+    }
+    if (!options.out || !options.out.trim()) {
+        throw new CliError('--out needs a directory or a .zip file to write to');
+    }
+
+    return options;
+}
+
+function exportFormats(value) {
+    const formats = [...new Set(value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean))];
+    const unknown = formats.filter(format => !EXPORT_FORMATS.includes(format));
+    if (formats.length === 0 || unknown.length > 0) {
+        throw new CliError(`--format takes a comma-separated list of ${EXPORT_FORMATS.join(', ')} (got "${value}")`);
+    }
+    return formats;
+}
+
+function boolean(name, value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new CliError(`${name} must be true or false (got "${value}")`);
+}
+
+function positiveInt(name, value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new CliError(`${name} must be a positive whole number (got "${value}")`);
+    }
+    return number;
+}
+
+/**
+ * Unified diff of two texts, compared sentence by sentence.
+ * With `color`, removed lines are red and added lines green (for terminals).
+ */
+function renderDiff(original, enhanced, { name = 'article', color = false } = {}) {
+    const patch = createTwoFilesPatch(
+        `${name} (original)`,
+        `${name} (enhanced)`,
+        toSentenceLines(original),
+        toSentenceLines(enhanced),
+        undefined,
+        undefined,
+        { context: 2 }
+    );
+
+    if (!color) return patch;
+
+    return patch.split('\n').map(line => {
+        if (line.startsWith('+++') || line.startsWith('---')) return `\x1b[1m${line}\x1b[0m`;
+        if (line.startsWith('+')) return `\x1b[32m${line}\x1b[0m`;
+        if (line.startsWith('-')) return `\x1b[31m${line}\x1b[0m`;
+        if (line.startsWith('@@')) return `\x1b[36m${line}\x1b[0m`;
+        return line;
+    }).join('\n');
+}
+
+/**
+ * One sentence per line, blank line between paragraphs
+ */
+function toSentenceLines(text) {
+    return (text || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph
+            .replace(/[ \t]*\n[ \t]*/g, ' ')
+            .trim()
+            .split(/(?<=[.!?]["')\]]?)\s+(?=[A-Z0-9"'(#*•-])/)
+            .join('\n'))
+        .filter(Boolean)
+        .join('\n\n') + '\n';
+}
+
+/**
+ * Writes a result file. The format follows the extension:
+ *   .json - everything (article, original, enhanced, citations, quality report)
+ *   other - Markdown: title plus the enhanced article with its references
+ * 
+ * @param {string} file
+ * @param {object} result
+ * @param {object} result.article  - { id, slug, title, content }
+ * @param {string} result.markdown - Enhanced article, references section included
+ * @returns {string} The absolute path written
+ */
+function writeResult(file, { article, markdown, ...details }) {
+    const target = path.resolve(file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    if (path.extname(target).toLowerCase() === '.json') {
+        fs.writeFileSync(target, JSON.stringify({
+            article: { id: article.id, slug: article.slug, title: article.title },
+            original: article.content,
+            enhanced: markdown,
+            ...details,
+            generated_at: new Date().toISOString(),
+        }, null, 2) + '\n');
+    } else {
+        fs.writeFileSync(target, `# ${article.title}\n\n${markdown.trim()}\n`);
+    }
+
+    return target;
+}
+
+module.exports = {
+    USAGE,
+    EXPORT_USAGE,
+    CliError,
+    parseCliArgs,
+    parseExportArgs,
+    renderDiff,
+    writeResult,
+};
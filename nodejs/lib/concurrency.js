@@ -0,0 +1,148 @@
+/**
+ * ============================================================================
+ * CONCURRENCY HELPERS
+ * ============================================================================
+ * 
+ * Small building blocks for batch processing:
+ * - createRateLimiter: spaces out calls to a rate-limited service (LLM, scraper)
+ * - createKeyedGate:   limits parallel calls and spacing per key (e.g. per domain)
+ * - runWorkerPool:     runs N workers side by side until they run out of work
+ * - backoffDelay / parseRetryAfter: how long to wait before a retry
+ * 
+ * No external dependencies - plain Promises and timers.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a limiter that allows at most `requestsPerMinute` task starts per minute.
+ * 
+ * Each call reserves the next free time slot, so concurrent callers are
+ * spread out evenly instead of all firing at once.
+ * A value of 0 (or less) disables limiting.
+ * 
+ * Usage:
+ *   const limiter = createRateLimiter({ requestsPerMinute: 20 });
+ *   const result = await limiter.schedule(() => callTheApi());
+ */
+function createRateLimiter({ requestsPerMinute }) {
+    const interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    let nextSlot = 0;
+
+    return {
+        async schedule(task) {
+            const now = Date.now();
+            const startAt = Math.max(now, nextSlot);
+            nextSlot = startAt + interval;
+
+            if (startAt > now) {
+                await sleep(startAt - now);
+            }
+            return task();
+        },
+    };
+}
+
+/**
+ * Creates a gate that allows at most `concurrency` tasks at once per key,
+ * and starts tasks for the same key at least `delayMs` apart.
+ * 
+ * Used for per-domain politeness: requests to different domains run freely,
+ * requests to the same domain queue up behind each other.
+ * 
+ * Usage:
+ *   const gate = createKeyedGate({ concurrency: 1, delayMs: 1000 });
+ *   await gate.run('example.com', () => fetchPage(), { delayMs: 5000 });
+ */
+function createKeyedGate({ concurrency, delayMs }) {
+    const states = new Map();
+
+    const stateFor = (key) => {
+        if (!states.has(key)) {
+            states.set(key, { active: 0, waiting: [], nextStart: 0 });
+        }
+        return states.get(key);
+    };
+
+    return {
+        /**
+         * @param {string} key
+         * @param {function} task
+         * @param {object} [options]
+         * @param {number} [options.delayMs] - Overrides the default spacing (e.g. robots.txt Crawl-delay)
+         */
+        async run(key, task, options = {}) {
+            const state = stateFor(key);
+
+            while (state.active >= concurrency) {
+                await new Promise(resolve => state.waiting.push(resolve));
+            }
+            state.active++;
+
+            try {
+                const now = Date.now();
+                const startAt = Math.max(now, state.nextStart);
+                state.nextStart = startAt + (options.delayMs ?? delayMs);
+                if (startAt > now) {
+                    await sleep(startAt - now);
+                }
+                return await task();
+            } finally {
+                state.active--;
+                const next = state.waiting.shift();
+                if (next) next();
+            }
+        },
+    };
+}
+
+/**
+ * Exponential backoff with jitter: ~1s, 2s, 4s, 8s... for attempt 0, 1, 2, 3...
+ */
+function backoffDelay(attempt, baseMs = 1000) {
+    const delay = baseMs * 2 ** attempt;
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Reads a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Runs `size` workers in parallel and waits for all of them to finish.
+ * 
+ * `worker(workerNumber)` is called repeatedly; it returns false when there
+ * is no more work, which stops that worker. Errors thrown by a worker
+ * stop the whole pool, so workers should handle per-item failures themselves.
+ */
+async function runWorkerPool(size, worker) {
+    const runWorker = async (workerNumber) => {
+        while (await worker(workerNumber)) {
+            // keep going until the worker reports it is done
+        }
+    };
+
+    const workers = [];
+    for (let i = 1; i <= size; i++) {
+        workers.push(runWorker(i));
+    }
+    await Promise.all(workers);
+}
+
+module.exports = {
+    sleep,
+    createRateLimiter,
+    createKeyedGate,
+    runWorkerPool,
+    backoffDelay,
+    parseRetryAfter,
+};
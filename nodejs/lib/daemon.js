@@ -0,0 +1,354 @@
+/**
+ * ============================================================================
+ * DAEMON - Long-running HTTP service that queues articles for the pipeline
+ * ============================================================================
+ * 
+ * Instead of cron loops around `node ai-rewriter.js`, the rewriter can run
+ * as a service (`--daemon`) that Laravel calls when new articles arrive:
+ * 
+ *   POST /jobs        { "article_ids": [12, 13], "dry_run": false, "profile": "marketing" }
+ *                     → 202, one job per article (an article already queued or
+ *                       running returns its existing job instead of a new one)
+ *   GET  /jobs/:id    → status of one job
+ *   GET  /queue       → queue depth, running jobs and totals
+ *   GET  /health      → liveness for the process manager (never needs the secret)
+ * 
+ * Every route except /health needs "Authorization: Bearer <DAEMON_SECRET>"
+ * when a secret is configured.
+ * 
+ * Jobs live in memory. Queued jobs are lost when the daemon stops, but the
+ * articles stay pending in Laravel, so the next webhook or `--all` run picks
+ * them up; half-finished articles resume from the job journal.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Largest accepted request body and articles per POST /jobs
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_ARTICLES_PER_REQUEST = 100;
+
+const FINISHED = ['published', 'previewed', 'rejected', 'skipped', 'failed'];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * In-memory job queue with a fixed number of workers.
+ * 
+ * @param {object} options
+ * @param {number} options.concurrency - Jobs run side by side
+ * @param {Function} options.run       - async (job, workerNumber) → { status, ...details }
+ * @param {Function} [options.onIdle]  - Called when the last running job finishes
+ *                                       and nothing is queued
+ * @param {number} [options.keepFinished=500] - Finished jobs kept for GET /jobs/:id
+ */
+function createJobQueue({ concurrency, run, onIdle = () => {}, keepFinished = 500 }) {
+    const jobs = new Map();
+    const queue = [];
+    const freeWorkers = Array.from({ length: concurrency }, (_, i) => concurrency - i);
+    const totals = Object.fromEntries(FINISHED.map(status => [status, 0]));
+    let running = 0;
+    let closing = null;
+
+    function pump() {
+        while (freeWorkers.length > 0 && queue.length > 0 && !closing) {
+            start(queue.shift(), freeWorkers.pop());
+        }
+    }
+
+    async function start(job, workerNumber) {
+        running++;
+        job.status = 'running';
+        job.started_at = new Date().toISOString();
+        job.worker = workerNumber;
+
+        try {
+            const { status, ...details } = await run(job, workerNumber);
+            job.status = status;
+            job.result = details;
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+        }
+
+        job.finished_at = new Date().toISOString();
+        job.duration_ms = Date.parse(job.finished_at) - Date.parse(job.started_at);
+        totals[job.status] = (totals[job.status] || 0) + 1;
+        running--;
+        freeWorkers.push(workerNumber);
+        forgetOldJobs();
+
+        if (running === 0 && (queue.length === 0 || closing)) {
+            await Promise.resolve(onIdle()).catch(() => {});
+            if (closing) closing.resolve();
+        }
+        pump();
+    }
+
+    function forgetOldJobs() {
+        const finished = [...jobs.values()].filter(job => FINISHED.includes(job.status));
+        for (const job of finished.slice(0, Math.max(0, finished.length - keepFinished))) {
+            jobs.delete(job.id);
+        }
+    }
+
+    return {
+        /**
+         * Queues an article. Returns { job, created } - `created` is false
+         * when the same article was already queued or running.
+         */
+        enqueue({ articleId, dryRun = false, fresh = false, profile }) {
+            if (closing) {
+                throw new HttpError(503, 'The rewriter is shutting down');
+            }
+
+            const pending = [...jobs.values()].find(job => job.article_id === articleId
+                && (job.status === 'queued' || job.status === 'running'));
+            if (pending) {
+                return { job: pending, created: false };
+            }
+
+            const job = {
+                id: crypto.randomUUID(),
+                article_id: articleId,
+                dry_run: dryRun,
+                fresh,
+                profile,
+                status: 'queued',
+                queued_at: new Date().toISOString(),
+                started_at: null,
+                finished_at: null,
+                duration_ms: null,
+                worker: null,
+                result: null,
+                error: null,
+            };
+            jobs.set(job.id, job);
+            queue.push(job);
+            setImmediate(pump);
+            return { job, created: true };
+        },
+
+        get: (id) => jobs.get(id) || null,
+
+        stats() {
+            return {
+                queued: queue.length,
+                running,
+                concurrency,
+                totals: { ...totals },
+            };
+        },
+
+        /**
+         * Queued and running jobs, oldest first
+         */
+        active() {
+            return [...jobs.values()].filter(job => job.status === 'queued' || job.status === 'running');
+        },
+
+        /**
+         * Stops starting jobs and resolves when the running ones are done.
+         * Returns the number of queued jobs that were dropped.
+         */
+        async close() {
+            if (!closing) {
+                let resolve;
+                closing = { promise: new Promise(r => { resolve = r; }) };
+                closing.resolve = resolve;
+                if (running === 0) resolve();
+            }
+            await closing.promise;
+            return queue.length;
+        },
+    };
+}
+
+/**
+ * HTTP front end of the queue (node:http, JSON in and out).
+ * 
+ * @param {object} options
+ * @param {object} options.queue       - createJobQueue()
+ * @param {string} [options.secret]    - Bearer token for every route but /health
+ * @param {string[]} options.profiles  - Valid style profile keys
+ * @param {object} options.defaults    - { dryRun, profile } for jobs that don't set them
+ * @param {Function} [options.log]     - Receives one line per request
+ * @returns {http.Server}
+ */
+function createDaemonServer({ queue, secret, profiles, defaults, log = () => {} }) {
+    const startedAt = Date.now();
+    let shuttingDown = false;
+
+    const routes = [
+        ['GET', /^\/health$/, () => ({
+            status: shuttingDown ? 503 : 200,
+            body: {
+                success: !shuttingDown,
+                status: shuttingDown ? 'shutting_down' : 'ok',
+                uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+                queue: queue.stats(),
+            },
+        }), { public: true }],
+
+        ['GET', /^\/queue$/, () => ({
+            status: 200,
+            body: {
+                success: true,
+                data: {
+                    ...queue.stats(),
+                    jobs: queue.active().map(({ id, article_id, status, queued_at, started_at }) => ({
+                        id, article_id, status, queued_at, started_at,
+                    })),
+                },
+            },
+        })],
+
+        ['GET', /^\/jobs\/([\w-]+)$/, (req, [, id]) => {
+            const job = queue.get(id);
+            if (!job) throw new HttpError(404, 'Job not found');
+            return { status: 200, body: { success: true, data: job } };
+        }],
+
+        ['POST', /^\/jobs$/, async (req) => {
+            const request = parseJobRequest(await readJson(req), { profiles, defaults });
+            const results = request.articleIds.map(articleId => queue.enqueue({ ...request, articleId }));
+            return {
+                status: 202,
+                body: {
+                    success: true,
+                    message: `${results.filter(r => r.created).length} job(s) queued`,
+                    data: results.map(({ job, created }) => ({ ...job, created })),
+                },
+            };
+        }],
+    ];
+
+    const server = http.createServer(async (req, res) => {
+        const startedAt = Date.now();
+        const url = new URL(req.url, 'http://localhost');
+        let status = 500;
+
+        try {
+            const route = routes.find(([method, pattern]) => pattern.test(url.pathname) && method === req.method);
+            if (!route) {
+                const known = routes.some(([, pattern]) => pattern.test(url.pathname));
+                throw new HttpError(known ? 405 : 404, known ? 'Method not allowed' : 'Not found');
+            }
+
+            const [, pattern, handler, { public: isPublic = false } = {}] = route;
+            if (!isPublic && secret && !hasSecret(req, secret)) {
+                throw new HttpError(401, 'Missing or wrong bearer token');
+            }
+
+            const response = await handler(req, url.pathname.match(pattern));
+            status = response.status;
+            send(res, status, response.body);
+        } catch (error) {
+            status = error instanceof HttpError ? error.status : 500;
+            send(res, status, { success: false, message: error instanceof HttpError ? error.message : 'Internal error' });
+            if (!(error instanceof HttpError)) log(`Request failed: ${error.stack || error.message}`);
+        }
+
+        if (url.pathname !== '/health') {
+            log(`${req.method} ${url.pathname} → ${status} (${Date.now() - startedAt} ms)`);
+        }
+    });
+
+    // /health answers 503 from now on, so the process manager sees the shutdown
+    server.markShuttingDown = () => { shuttingDown = true; };
+    return server;
+}
+
+/**
+ * Validates a POST /jobs body:
+ *   { "article_ids": [1, 2] } or { "article_id": 1 },
+ *   plus optional "dry_run", "fresh" and "profile"
+ */
+function parseJobRequest(body, { profiles, defaults }) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(422, 'Expected a JSON object');
+    }
+
+    const ids = body.article_ids !== undefined ? body.article_ids : [body.article_id];
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !Number.isInteger(id) || id < 1)) {
+        throw new HttpError(422, '"article_ids" must be a non-empty list of article IDs (or give one "article_id")');
+    }
+    if (ids.length > MAX_ARTICLES_PER_REQUEST) {
+        throw new HttpError(422, `At most ${MAX_ARTICLES_PER_REQUEST} articles per request`);
+    }
+    for (const flag of ['dry_run', 'fresh']) {
+        if (body[flag] !== undefined && typeof body[flag] !== 'boolean') {
+            throw new HttpError(422, `"${flag}" must be true or false`);
+        }
+    }
+    if (body.profile !== undefined && !profiles.includes(body.profile)) {
+        throw new HttpError(422, `Unknown style profile "${body.profile}". Use one of: ${profiles.join(', ')}`);
+    }
+
+    return {
+        articleIds: [...new Set(ids)],
+        // A daemon started with --dry-run never publishes, whatever the caller asks
+        dryRun: defaults.dryRun || body.dry_run === true,
+        fresh: body.fresh === true,
+        profile: body.profile || defaults.profile,
+    };
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            // The rest is read and dropped, so the 413 answer still reaches the caller
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('error', reject);
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+            } catch {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+    });
+}
+
+/**
+ * Constant-time comparison, so the secret can't be guessed byte by byte
+ */
+function hasSecret(req, secret) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+
+    const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+    const expected = crypto.createHash('sha256').update(secret).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
+function send(res, status, body) {
+    if (res.headersSent) return;
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(json),
+    });
+    res.end(json);
+}
+
+module.exports = {
+    HttpError,
+    createJobQueue,
+    createDaemonServer,
+};
@@ -0,0 +1,415 @@
+/**
+ * ============================================================================
+ * EXPORT - Articles as Markdown, HTML and a JSON bundle
+ * ============================================================================
+ * 
+ * Turns articles from the API into files that can be used outside the app:
+ * 
+ *   const files = buildExport(articles, { formats: ['markdown', 'html', 'json'] });
+ *   await writeExport(files, 'exports/');              // a directory
+ *   await writeExport(files, 'exports/articles.zip');  // or one zip archive
+ * 
+ *   markdown/<slug>.md   - YAML front matter (IDs, dates, review status, SEO
+ *                          description and keywords, citations) + the article
+ *   html/<slug>.html     - A standalone page: the sanitized article with its
+ *                          [n] markers linked to a footnote list, and JSON-LD
+ *                          Article metadata in the head
+ *   articles.json        - Every exported article in one bundle
+ * 
+ * An article is exported in its AI version when it has one, whatever its
+ * review status (which is in the metadata - export with a review_status
+ * filter to get approved versions only), and in its original version
+ * otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const cheerio = require('cheerio');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { buildSeoPackage } = require('./seo');
+
+const FORMATS = ['markdown', 'html', 'json'];
+
+const BUNDLE_FILE = 'articles.json';
+
+// What marked produces from article Markdown - scripts, styles, event
+// handlers and javascript: links are dropped
+const SANITIZE_OPTIONS = {
+    allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img'],
+    allowedAttributes: {
+        a: ['href', 'title', 'rel'],
+        img: ['src', 'alt', 'title'],
+        ol: ['start'],
+        li: ['id'],
+        sup: ['class'],
+        section: ['class'],
+        p: ['class'],
+        code: ['class'],
+        th: ['align'],
+        td: ['align'],
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    transformTags: {
+        a: (tagName, attribs) => ({
+            tagName,
+            attribs: (attribs.href || '').startsWith('#') ? attribs : { ...attribs, rel: 'noopener noreferrer' },
+        }),
+    },
+};
+
+/**
+ * @param {Array<object>} articles - Article resources from the API
+ * @param {object} [options]
+ * @param {string[]} [options.formats=FORMATS] - Any of 'markdown', 'html', 'json'
+ * @param {object} [options.query] - The filters the articles were selected with (recorded in the bundle)
+ * @param {Date} [options.now]
+ * @returns {Array<{ name: string, content: string }>} Files, with paths relative to the export root
+ */
+function buildExport(articles, { formats = FORMATS, query = null, now = new Date() } = {}) {
+    const files = [];
+    const names = new Set();
+
+    for (const article of articles) {
+        // Slugs are unique, but what is left of them after cleaning may not be
+        let base = fileBase(article);
+        if (names.has(base)) base = `${base}-${article.id}`;
+        names.add(base);
+
+        if (formats.includes('markdown')) {
+            files.push({ name: `markdown/${base}.md`, content: renderMarkdownExport(article) });
+        }
+        if (formats.includes('html')) {
+            files.push({ name: `html/${base}.html`, content: renderHtmlExport(article) });
+        }
+    }
+
+    if (formats.includes('json')) {
+        files.push({ name: BUNDLE_FILE, content: JSON.stringify(buildJsonBundle(articles, { query, now }), null, 2) + '\n' });
+    }
+
+    return files;
+}
+
+/**
+ * Standalone Markdown: front matter, then the article with its title heading
+ * and references list
+ */
+function renderMarkdownExport(article) {
+    const { version, markdown } = exportedVersion(article);
+    const body = /^#\s/.test(markdown.trimStart()) ? markdown.trim() : `# ${article.title}\n\n${markdown.trim()}`;
+
+    const frontMatter = toYaml({
+        title: article.title,
+        slug: article.slug,
+        id: article.id,
+        version,
+        original_url: article.original_url,
+        review_status: article.review_status,
+        reviewed_at: article.reviewed_at,
+        prompt_version: version === 'ai' ? article.prompt_version : null,
+        style_profile: version === 'ai' ? article.style_profile : null,
+        description: version === 'ai' ? article.seo?.meta_description : null,
+        keywords: version === 'ai' ? article.seo?.focus_keywords : null,
+        created_at: article.created_at,
+        updated_at: article.updated_at,
+        citations: citationsOf(article, version).map(({ url, title, accessed_at, relevance }) => ({ url, title, accessed_at, relevance })),
+    });
+
+    return `---\n${frontMatter}---\n\n${body}\n`;
+}
+
+/**
+ * A complete HTML page. The references list at the end of an AI version is
+ * replaced by a footnote list built from the citation records, which the
+ * [n] markers in the text link to.
+ */
+function renderHtmlExport(article) {
+    const { version, markdown } = exportedVersion(article);
+    const { body, references, note } = splitReferences(markdown);
+    const citations = citationsOf(article, version);
+    const footnotes = citations.length > 0 ? citations : references;
+
+    const hasTitle = /^#\s/.test(body.trimStart());
+    const html = [
+        hasTitle ? '' : `<h1>${escapeHtml(article.title)}</h1>`,
+        linkFootnoteMarkers(marked.parse(body, { gfm: true }), footnotes.length),
+        footnotes.length > 0 ? renderFootnotes(footnotes) : '',
+        note ? `<p class="note"><em>${escapeHtml(note)}</em></p>` : '',
+    ].join('\n');
+
+    const description = (version === 'ai' && article.seo?.meta_description) || '';
+    // "</script>" inside a string must not end the JSON-LD block
+    const jsonLd = JSON.stringify(jsonLdOf(article, version, body, citations), null, 2).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(article.title)}</title>
+${description ? `<meta name="description" content="${escapeHtml(description)}">\n` : ''}<script type="application/ld+json">
+${jsonLd}
+</script>
+<style>
+body { max-width: 42rem; margin: 2rem auto; padding: 0 1rem; font: 1.05rem/1.6 system-ui, sans-serif; color: #222; }
+sup.footnote-ref a { text-decoration: none; }
+.footnotes, .note { font-size: 0.9rem; color: #555; }
+</style>
+</head>
+<body>
+<article>
+${sanitizeHtml(html, SANITIZE_OPTIONS).trim()}
+</article>
+</body>
+</html>
+`;
+}
+
+/**
+ * [n] markers in the parsed HTML become links to footnote n. Done after
+ * parsing so code ("arr[0]") stays as written; only existing footnotes count.
+ */
+function linkFootnoteMarkers(html, count) {
+    const $ = cheerio.load(html, null, false);
+
+    const walk = (node) => {
+        for (const child of [...(node.children || [])]) {
+            if (child.type === 'text') {
+                const parts = child.data.split(/(?<![\p{L}\p{N}_\]])(\[\d{1,3}\])/u);
+                if (parts.length === 1) continue;
+                $(child).replaceWith(parts.map((part, i) => {
+                    const n = i % 2 === 1 ? Number(part.slice(1, -1)) : 0;
+                    return n >= 1 && n <= count
+                        ? `<sup class="footnote-ref"><a href="#fn-${n}">[${n}]</a></sup>`
+                        : escapeHtml(part);
+                }).join(''));
+            } else if (child.type === 'tag' && !['code', 'pre', 'a'].includes(child.name)) {
+                walk(child);
+            }
+        }
+    };
+    walk($.root()[0]);
+
+    return $.html();
+}
+
+function renderFootnotes(footnotes) {
+    const items = footnotes.map((citation, i) => {
+        const label = escapeHtml(citation.title || citation.url);
+        const link = citation.url ? `<a href="${escapeHtml(citation.url)}">${label}</a>` : label;
+        const accessed = citation.accessed_at ? ` - accessed ${escapeHtml(citation.accessed_at.slice(0, 10))}` : '';
+        const excerpt = citation.excerpt ? `<br><q>${escapeHtml(citation.excerpt)}</q>` : '';
+        return `<li id="fn-${i + 1}">${link}${accessed}${excerpt}</li>`;
+    });
+
+    return `<section class="footnotes">\n<h2>References &amp; Sources</h2>\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+}
+
+/**
+ * Every article in one object: what was exported, plus the metadata a
+ * consumer needs to use or re-import it
+ */
+function buildJsonBundle(articles, { query = null, now = new Date() } = {}) {
+    return {
+        exported_at: now.toISOString(),
+        query,
+        count: articles.length,
+        articles: articles.map(article => {
+            const { version, markdown } = exportedVersion(article);
+            return {
+                id: article.id,
+                slug: article.slug,
+                title: article.title,
+                original_url: article.original_url,
+                version,
+                content: markdown,
+                original_content: article.content,
+                citations: citationsOf(article, version),
+                seo: version === 'ai' ? article.seo ?? null : null,
+                review_status: article.review_status ?? null,
+                reviewer_note: article.reviewer_note ?? null,
+                reviewed_at: article.reviewed_at ?? null,
+                prompt_version: version === 'ai' ? article.prompt_version ?? null : null,
+                style_profile: version === 'ai' ? article.style_profile ?? null : null,
+                created_at: article.created_at,
+                updated_at: article.updated_at,
+            };
+        }),
+    };
+}
+
+/**
+ * Writes the files into a directory, or into a zip archive when `target`
+ * ends with ".zip"
+ * 
+ * @param {Array<{ name: string, content: string }>} files
+ * @param {string} target
+ * @returns {Promise<{ path: string, archive: boolean, bytes: number }>}
+ */
+async function writeExport(files, target) {
+    const resolved = path.resolve(target);
+
+    if (path.extname(resolved).toLowerCase() === '.zip') {
+        fs.mkdirSync(path.dirname(resolved), { recursive: true });
+        try {
+            return { path: resolved, archive: true, bytes: await writeZip(files, resolved) };
+        } catch (error) {
+            fs.rmSync(resolved, { force: true });
+            throw error;
+        }
+    }
+
+    let bytes = 0;
+    for (const { name, content } of files) {
+        const file = path.join(resolved, name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+        bytes += Buffer.byteLength(content);
+    }
+
+    return { path: resolved, archive: false, bytes };
+}
+
+function writeZip(files, file) {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(file);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        output.on('close', () => resolve(archive.pointer()));
+        output.on('error', reject);
+        archive.on('warning', reject);
+        archive.on('error', reject);
+
+        archive.pipe(output);
+        for (const { name, content } of files) {
+            archive.append(content, { name });
+        }
+        archive.finalize();
+    });
+}
+
+/**
+ * The AI version when there is one, otherwise the original
+ */
+function exportedVersion(article) {
+    return article.is_ai_updated && article.ai_content
+        ? { version: 'ai', markdown: article.ai_content }
+        : { version: 'original', markdown: article.content || '' };
+}
+
+// Citations belong to the AI version; older data may hold bare URL strings
+function citationsOf(article, version) {
+    if (version !== 'ai') return [];
+    return (article.citations || []).map(citation => (
+        typeof citation === 'string' ? { url: citation, title: null, accessed_at: null, excerpt: null, relevance: null } : citation
+    ));
+}
+
+/**
+ * Splits the references block that formatWithCitations() appends ("---",
+ * "## References & Sources", a numbered list of links, "---" and an italic
+ * note) off the article
+ * 
+ * @returns {{ body: string, references: Array<{ url: string|null, title: string }>, note: string|null }}
+ */
+function splitReferences(markdown) {
+    const heading = markdown.match(/\n(?:-{3,}\s*\n+)?#{1,6}\s*(?:References|Sources)\b[^\n]*\n/i);
+    if (!heading) return { body: markdown, references: [], note: null };
+
+    const references = [];
+    const note = [];
+    for (const line of markdown.slice(heading.index + heading[0].length).split('\n')) {
+        const item = line.match(/^\s*(?:\d+\.|[-*•])\s+(.*)$/);
+        if (item) {
+            const link = item[1].match(/^\[((?:\\.|[^\]])*)\]\(([^)\s]+)\)/);
+            references.push(link ? { title: link[1].replace(/\\(.)/g, '$1'), url: link[2] } : { title: item[1].trim(), url: null });
+        } else if (line.trim() && !/^-{3,}$/.test(line.trim())) {
+            note.push(line.trim().replace(/^\*+|\*+$/g, ''));
+        }
+    }
+
+    return { body: markdown.slice(0, heading.index), references, note: note.join(' ') || null };
+}
+
+/**
+ * The JSON-LD stored with the AI version's SEO package, otherwise built
+ * from the exported text
+ */
+function jsonLdOf(article, version, body, citations) {
+    const stored = article.seo?.json_ld;
+    if (version === 'ai' && Array.isArray(stored) && stored.some(block => block['@type'] === 'Article')) {
+        return stored;
+    }
+
+    return buildSeoPackage({ article, content: body, citations }).json_ld.map(block => (
+        block['@type'] === 'Article' && article.updated_at ? { ...block, dateModified: article.updated_at } : block
+    ));
+}
+
+/**
+ * The slug, made safe as a file name (without the extension)
+ */
+function fileBase(article) {
+    const base = String(article.slug || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return base || `article-${article.id}`;
+}
+
+/**
+ * Front matter for a flat object whose values are scalars, lists of scalars
+ * or lists of flat objects. Empty values are left out; strings are written
+ * double-quoted (a JSON string is a valid YAML one).
+ */
+function toYaml(object, indent = '') {
+    let yaml = '';
+    for (const [key, value] of Object.entries(object)) {
+        if (isEmpty(value)) continue;
+
+        if (!Array.isArray(value)) {
+            yaml += `${indent}${key}: ${yamlScalar(value)}\n`;
+            continue;
+        }
+
+        yaml += `${indent}${key}:\n`;
+        for (const item of value) {
+            if (item === null || typeof item !== 'object') {
+                yaml += `${indent}  - ${yamlScalar(item)}\n`;
+                continue;
+            }
+            const lines = toYaml(item, `${indent}    `);
+            yaml += `${indent}  - ${lines.trimStart()}`;
+        }
+    }
+    return yaml;
+}
+
+function yamlScalar(value) {
+    if (value === null) return 'null';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return JSON.stringify(String(value));
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    FORMATS,
+    buildExport,
+    renderMarkdownExport,
+    renderHtmlExport,
+    buildJsonBundle,
+    writeExport,
+};
@@ -0,0 +1,448 @@
+/**
+ * ============================================================================
+ * MAIN-CONTENT EXTRACTOR - Readability-style article extraction
+ * ============================================================================
+ * 
+ * Turns a raw HTML page into the article body as Markdown, plus metadata.
+ * 
+ * HOW IT WORKS:
+ * 1. Read metadata (title, author, publish date, canonical URL) from
+ *    <meta> tags, JSON-LD and common markup
+ * 2. Remove obvious noise (scripts, navigation, comments, share widgets...)
+ * 3. Score every block by its text: each paragraph adds points to its parent
+ *    (and half to its grandparent) based on length and commas, blocks with
+ *    "content"-like class names get a bonus, and the total is reduced by the
+ *    share of text inside links (menus and link lists score low)
+ * 4. Convert the best-scoring block to Markdown, keeping headings, lists,
+ *    blockquotes and code
+ * 5. Shorten long articles at section boundaries instead of mid-sentence
+ * 
+ * Inspired by Mozilla's Readability, reduced to what reference scraping needs.
+ */
+
+const cheerio = require('cheerio');
+
+// Elements that never contain article text
+const NOISE_SELECTORS = [
+    'script', 'style', 'noscript', 'iframe', 'form', 'svg', 'button',
+    'nav', 'footer', 'header', 'aside',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]',
+    '.sidebar', '.comments', '.ad', '.advertisement',
+].join(', ');
+
+// Class/ID patterns that hint at (non-)content
+const NEGATIVE_HINTS = /comment|sidebar|footer|share|social|related|promo|newsletter|subscribe|cookie|banner|popup|widget|breadcrumb|menu|sponsor/i;
+const POSITIVE_HINTS = /article|body|content|entry|main|post|text|blog|story/i;
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table',
+    'tbody', 'thead', 'tr', 'td', 'th', 'ul',
+]);
+
+/**
+ * Extracts the main article from an HTML page.
+ * 
+ * @param {string} html
+ * @param {object} [options]
+ * @param {string} [options.url]      - Page URL, used to resolve relative canonical links
+ * @param {number} [options.maxChars] - Length limit for the Markdown content
+ * @returns {{ title, content, author, publishedAt, canonicalUrl, truncated }}
+ */
+function extractArticle(html, { url, maxChars = Infinity } = {}) {
+    const $ = cheerio.load(html);
+
+    const metadata = extractMetadata($, url);
+
+    $(NOISE_SELECTORS).remove();
+    $('div, section, aside, ul, span').filter((i, el) => {
+        const hint = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+        return NEGATIVE_HINTS.test(hint) && !POSITIVE_HINTS.test(hint);
+    }).remove();
+
+    const root = findMainContent($);
+    let markdown = blocksToMarkdown($, root).join('\n\n');
+
+    // The page title usually repeats as the first heading - drop it
+    const firstLine = markdown.split('\n')[0];
+    if (/^#{1,2} /.test(firstLine) && normalize(firstLine.replace(/^#+ /, '')) === normalize(metadata.title)) {
+        markdown = markdown.slice(firstLine.length).trim();
+    }
+
+    // Fallback to all paragraphs if the scoring found nothing useful
+    if (markdown.length < 100) {
+        markdown = $('p').map((i, el) => cleanInline($(el).text())).get().filter(Boolean).join('\n\n');
+    }
+
+    const { text, truncated } = truncateAtSections(markdown, maxChars);
+
+    return { ...metadata, content: text, truncated };
+}
+
+// =============================================================================
+// METADATA
+// =============================================================================
+
+function extractMetadata($, url) {
+    const meta = (selector) => $(selector).first().attr('content')?.trim() || null;
+    const jsonLd = readJsonLd($);
+
+    // Title - remove a " | Site Name" style suffix (but keep "Chatbots - What Actually Works")
+    const title = stripSiteName(
+        cleanInline(meta('meta[property="og:title"]') || $('h1').first().text() || $('title').text() || ''),
+        [meta('meta[property="og:site_name"]'), meta('meta[name="application-name"]'), hostLabel(url)],
+    );
+
+    const author = meta('meta[name="author"]')
+        || meta('meta[property="article:author"]')
+        || authorName(jsonLd?.author)
+        || cleanInline($('[rel="author"], .author-name, .byline, .author').first().text())
+        || null;
+
+    const rawDate = meta('meta[property="article:published_time"]')
+        || meta('meta[itemprop="datePublished"]')
+        || meta('meta[name="date"]')
+        || meta('meta[name="publish-date"]')
+        || jsonLd?.datePublished
+        || $('time[datetime]').first().attr('datetime')
+        || null;
+
+    const canonical = $('link[rel="canonical"]').attr('href')
+        || meta('meta[property="og:url"]')
+        || url
+        || null;
+
+    return {
+        title,
+        author: author ? author.substring(0, 200) : null,
+        publishedAt: toIsoDate(rawDate),
+        canonicalUrl: resolveUrl(canonical, url),
+    };
+}
+
+/**
+ * Drops the last " | ", " - " or " – " segment of a title when it names the
+ * site: "Chatbot - Wikipedia" → "Chatbot"
+ */
+function stripSiteName(title, siteNames) {
+    const match = title.match(/^(.+)\s+[|\-–—]\s+(.+)$/);
+    if (!match) return title;
+
+    const suffix = normalize(match[2]);
+    const isSiteName = siteNames.some(name => name && (
+        normalize(name) === suffix || normalize(name) === suffix.replace(/ /g, '')
+    ));
+    return isSiteName ? match[1].trim() : title;
+}
+
+/**
+ * "https://blog.hubspot.com/service/chatbot" → "hubspot"
+ */
+function hostLabel(url) {
+    try {
+        const labels = new URL(url).hostname.split('.').slice(0, -1);
+        // "bbc.co.uk" → "bbc"
+        if (labels.length > 1 && /^(?:co|com|org|net|ac|gov|edu)$/.test(labels[labels.length - 1])) labels.pop();
+        return labels.pop() || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Returns the first JSON-LD object describing an article (if any)
+ */
+function readJsonLd($) {
+    const items = [];
+    $('script[type="application/ld+json"]').each((i, el) => {
+        try {
+            const data = JSON.parse($(el).contents().text());
+            const list = Array.isArray(data) ? data : (data['@graph'] || [data]);
+            items.push(...list);
+        } catch {
+            // Broken JSON-LD is common - just ignore it
+        }
+    });
+    return items.find(item => /Article|BlogPosting|NewsArticle/.test(item?.['@type'])) || null;
+}
+
+function authorName(author) {
+    if (!author) return null;
+    if (typeof author === 'string') return author;
+    if (Array.isArray(author)) return author.map(authorName).filter(Boolean).join(', ') || null;
+    return author.name || null;
+}
+
+function toIsoDate(value) {
+    if (!value) return null;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function resolveUrl(value, base) {
+    if (!value) return null;
+    try {
+        return new URL(value, base).toString();
+    } catch {
+        return value;
+    }
+}
+
+// =============================================================================
+// CONTENT SCORING
+// =============================================================================
+
+/**
+ * Finds the element that most likely holds the article body
+ */
+function findMainContent($) {
+    const scores = new Map();
+
+    const initialScore = (el) => {
+        const hint = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+        let score = 0;
+        if (POSITIVE_HINTS.test(hint)) score += 25;
+        if (NEGATIVE_HINTS.test(hint)) score -= 25;
+        if (['article', 'main'].includes(el.tagName)) score += 10;
+        return score;
+    };
+
+    const addScore = (el, points) => {
+        if (!el || el.type !== 'tag' || ['html', 'body'].includes(el.tagName)) return;
+        if (!scores.has(el)) scores.set(el, initialScore(el));
+        scores.set(el, scores.get(el) + points);
+    };
+
+    $('p, pre, blockquote, li, td').each((i, el) => {
+        const text = cleanInline($(el).text());
+        if (text.length < 25) return;
+
+        // 1 point base + 1 per comma + 1 per 100 chars (max 3)
+        const points = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+        addScore(el.parent, points);
+        addScore(el.parent?.parent, points / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [el, score] of scores) {
+        const finalScore = score * (1 - linkDensity($, el));
+        if (finalScore > bestScore) {
+            best = el;
+            bestScore = finalScore;
+        }
+    }
+
+    return best ? $(best) : $('body');
+}
+
+/**
+ * Share of an element's text that sits inside links (0 to 1)
+ */
+function linkDensity($, el) {
+    const textLength = cleanInline($(el).text()).length;
+    if (textLength === 0) return 1;
+    const linkLength = $(el).find('a').toArray()
+        .reduce((sum, a) => sum + cleanInline($(a).text()).length, 0);
+    return Math.min(linkLength / textLength, 1);
+}
+
+// =============================================================================
+// HTML → MARKDOWN
+// =============================================================================
+
+/**
+ * Converts an element's children to a list of Markdown blocks
+ */
+function blocksToMarkdown($, element, depth = 0) {
+    const blocks = [];
+    let inline = '';
+
+    const flushInline = () => {
+        const text = cleanInline(inline);
+        if (text) blocks.push(text);
+        inline = '';
+    };
+
+    element.contents().each((i, node) => {
+        if (node.type === 'text') {
+            inline += node.data;
+            return;
+        }
+        if (node.type !== 'tag') return;
+
+        const tag = node.tagName;
+        const $node = $(node);
+
+        if (!BLOCK_TAGS.has(tag)) {
+            inline += inlineToMarkdown($, node);
+            return;
+        }
+
+        flushInline();
+
+        if (/^h[1-6]$/.test(tag)) {
+            const text = cleanInline(inlineToMarkdown($, node));
+            if (text) blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+        } else if (tag === 'p') {
+            const text = cleanInline(inlineToMarkdown($, node));
+            if (text) blocks.push(text);
+        } else if (tag === 'ul' || tag === 'ol') {
+            const list = listToMarkdown($, $node, tag === 'ol', depth);
+            if (list) blocks.push(list);
+        } else if (tag === 'blockquote') {
+            const inner = blocksToMarkdown($, $node, depth).join('\n\n');
+            if (inner) blocks.push(inner.split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+        } else if (tag === 'pre') {
+            const code = $node.text().replace(/\n+$/, '');
+            if (code.trim()) blocks.push('```\n' + code + '\n```');
+        } else if (tag === 'hr') {
+            blocks.push('---');
+        } else if (tag === 'table') {
+            const rows = $node.find('tr').map((j, tr) =>
+                $(tr).children('th, td').map((k, cell) => cleanInline($(cell).text())).get().join(' | ')
+            ).get().filter(Boolean);
+            if (rows.length) blocks.push(rows.join('\n'));
+        } else {
+            // Generic containers (div, section, figure...) - recurse
+            blocks.push(...blocksToMarkdown($, $node, depth));
+        }
+    });
+
+    flushInline();
+    return blocks;
+}
+
+function listToMarkdown($, $list, ordered, depth) {
+    const indent = '  '.repeat(depth);
+
+    return $list.children('li').map((i, li) => {
+        const $li = $(li);
+        const nested = $li.children('ul, ol');
+        nested.remove();
+
+        const marker = ordered ? `${i + 1}.` : '-';
+        const text = blocksToMarkdown($, $li, depth + 1).join(' ');
+        const children = nested.map((j, child) =>
+            listToMarkdown($, $(child), child.tagName === 'ol', depth + 1)
+        ).get().filter(Boolean);
+
+        return [`${indent}${marker} ${text}`, ...children].join('\n');
+    }).get().filter(line => line.trim() !== '-' && !/^\s*\d+\.\s*$/.test(line)).join('\n');
+}
+
+/**
+ * Converts inline markup (bold, italic, code, links, line breaks) to Markdown
+ */
+function inlineToMarkdown($, node) {
+    if (node.type === 'text') return node.data;
+    if (node.type !== 'tag') return '';
+
+    const inner = () => $(node).contents().toArray().map(child => inlineToMarkdown($, child)).join('');
+
+    switch (node.tagName) {
+        case 'br': return '\n';
+        case 'strong':
+        case 'b': return wrapInline(inner(), '**');
+        case 'em':
+        case 'i': return wrapInline(inner(), '*');
+        case 'code': return wrapInline($(node).text(), '`');
+        case 'img': return '';
+        // Link targets are noise for the LLM - keep the link text only
+        default: return inner();
+    }
+}
+
+function wrapInline(text, marker) {
+    const trimmed = text.trim();
+    if (!trimmed) return text;
+    // Keep surrounding spaces outside the markers: "a **b** c", not "a** b **c"
+    const lead = text.match(/^\s*/)[0];
+    const trail = text.match(/\s*$/)[0];
+    return `${lead}${marker}${trimmed}${marker}${trail}`;
+}
+
+function cleanInline(text) {
+    return (text || '')
+        .replace(/[ \t\r\f\v\u00a0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+function normalize(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// =============================================================================
+// TRUNCATION
+// =============================================================================
+
+/**
+ * Shortens Markdown to at most `maxChars` without cutting through a section.
+ * 
+ * Whole sections (a heading and everything up to the next heading) are kept
+ * while they fit. The remaining budget is filled with whole paragraphs of the
+ * next section. Only when not even the first paragraph fits is the text cut,
+ * and then at the last sentence end.
+ * 
+ * @returns {{ text: string, truncated: boolean }}
+ */
+function truncateAtSections(markdown, maxChars) {
+    if (!markdown || markdown.length <= maxChars) {
+        return { text: markdown || '', truncated: false };
+    }
+
+    const sections = splitSections(markdown);
+    const kept = [];
+    let length = 0;
+
+    for (const section of sections) {
+        const cost = section.length + (kept.length ? 2 : 0);
+        if (length + cost <= maxChars) {
+            kept.push(section);
+            length += cost;
+            continue;
+        }
+
+        // Partial section - whole paragraphs only, and never a lone heading
+        const paragraphs = section.split(/\n\n+/);
+        const partial = [];
+        for (const paragraph of paragraphs) {
+            const paragraphCost = paragraph.length + (kept.length || partial.length ? 2 : 0);
+            if (length + paragraphCost > maxChars) break;
+            partial.push(paragraph);
+            length += paragraphCost;
+        }
+        if (partial.length && !(partial.length === 1 && /^#{1,6} /.test(partial[0]))) {
+            kept.push(partial.join('\n\n'));
+        }
+        break;
+    }
+
+    if (kept.length === 0) {
+        // A single huge paragraph - cut at the last sentence end that fits
+        const slice = markdown.substring(0, maxChars);
+        const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('.\n'));
+        return { text: (sentenceEnd > 0 ? slice.substring(0, sentenceEnd + 1) : slice).trim(), truncated: true };
+    }
+
+    return { text: kept.join('\n\n'), truncated: true };
+}
+
+/**
+ * Splits Markdown into sections, each starting at a heading line
+ */
+function splitSections(markdown) {
+    return markdown
+        .split(/\n(?=#{1,6} )/)
+        .map(section => section.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    extractArticle,
+    truncateAtSections,
+    splitSections,
+};
@@ -0,0 +1,218 @@
+/**
+ * ============================================================================
+ * POLITE FETCHER - robots.txt, per-domain limits and retries
+ * ============================================================================
+ * 
+ * Every reference page download goes through here. The fetcher:
+ * 1. Identifies itself with an honest User-Agent (no browser spoofing)
+ * 2. Fetches and caches robots.txt per host, and skips disallowed URLs.
+ *    The robots.txt request goes through the same per-domain gate, rate
+ *    limiter and retries as page requests. A robots.txt that could not be
+ *    fetched keeps its host closed only for ROBOTS_FAILURE_TTL_MS (long-
+ *    running daemons would otherwise shut a host out for good over one
+ *    outage); a fetched one is cached for ROBOTS_TTL_MS.
+ * 3. Limits parallel requests per domain and spaces them out
+ *    (robots.txt Crawl-delay wins if it asks for more)
+ * 4. Retries transient failures (5xx, 429, connection resets, timeouts)
+ *    with exponential backoff, honoring Retry-After
+ * 
+ * Failures are thrown as FetchError with a machine-readable `reason`,
+ * so callers can report why each URL was skipped.
+ */
+
+const axios = require('axios');
+const { createKeyedGate, backoffDelay, parseRetryAfter, sleep } = require('./concurrency');
+const { createRobotsRules, ALLOW_ALL, DISALLOW_ALL } = require('./robots');
+
+const FETCH_ERROR_REASONS = {
+    ROBOTS_DISALLOWED: 'robots_disallowed',
+    ROBOTS_UNREACHABLE: 'robots_unreachable',
+    HTTP_ERROR: 'http_error',
+    RATE_LIMITED: 'rate_limited',
+    TIMEOUT: 'timeout',
+    NETWORK_ERROR: 'network_error',
+};
+
+class FetchError extends Error {
+    constructor(message, { reason, url, status, attempts, cause } = {}) {
+        super(message);
+        this.name = 'FetchError';
+        this.reason = reason;
+        this.url = url;
+        this.status = status;
+        this.attempts = attempts;
+        this.cause = cause;
+    }
+}
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+// Never wait longer than this for a single Retry-After - give up instead
+const MAX_RETRY_AFTER_MS = 60000;
+
+// How long a robots.txt is trusted (RFC 9309 suggests at most 24 hours),
+// and how soon one that could not be fetched is tried again
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const ROBOTS_FAILURE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * @param {object} options
+ * @param {string} options.userAgent
+ * @param {number} options.timeout
+ * @param {boolean} [options.respectRobots=true]
+ * @param {number} [options.domainConcurrency=1] - Parallel requests per domain
+ * @param {number} [options.domainDelayMs=1000]  - Minimum gap between requests to one domain
+ * @param {number} [options.maxRetries=3]
+ * @param {number} [options.retryBaseMs=1000]   - First backoff delay
+ * @param {number} [options.robotsFailureTtlMs=ROBOTS_FAILURE_TTL_MS] - Retry an unreachable robots.txt after this
+ * @param {object} [options.limiter]             - Global rate limiter (see concurrency.js)
+ * @param {Function} [options.log=console.log]    - Receives retry messages
+ */
+function createFetcher({
+    userAgent,
+    timeout,
+    respectRobots = true,
+    domainConcurrency = 1,
+    domainDelayMs = 1000,
+    maxRetries = 3,
+    retryBaseMs = 1000,
+    robotsFailureTtlMs = ROBOTS_FAILURE_TTL_MS,
+    limiter,
+    log = console.log,
+}) {
+    const gate = createKeyedGate({ concurrency: domainConcurrency, delayMs: domainDelayMs });
+    const robotsByOrigin = new Map();
+    const schedule = limiter ? (task) => limiter.schedule(task) : (task) => task();
+
+    /**
+     * Loads robots.txt once per origin (the promise is cached, so parallel
+     * requests to a new host share one download) and again once it expires
+     */
+    function robotsFor(origin) {
+        const cached = robotsByOrigin.get(origin);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.rules;
+        }
+
+        const entry = { expiresAt: Infinity };
+        entry.rules = loadRobots(origin).then((rules) => {
+            entry.expiresAt = Date.now() + (rules === DISALLOW_ALL ? robotsFailureTtlMs : ROBOTS_TTL_MS);
+            return rules;
+        });
+        robotsByOrigin.set(origin, entry);
+        return entry.rules;
+    }
+
+    async function loadRobots(origin) {
+        const { host } = new URL(origin);
+        try {
+            // 5xx and 429 are thrown (and retried); other statuses are answers
+            const response = await download(`${origin}/robots.txt`, host, {
+                headers: { 'Accept': 'text/plain' },
+                validateStatus: (status) => status < 500 && status !== 429,
+                delayMs: domainDelayMs,
+            });
+
+            if (response.status >= 200 && response.status < 300) {
+                return createRobotsRules(response.data, userAgent);
+            }
+            // 4xx: no robots.txt - everything allowed
+            return ALLOW_ALL;
+        } catch {
+            // Unreachable or server trouble even after retries - stay out for now
+            return DISALLOW_ALL;
+        }
+    }
+
+    /**
+     * Downloads a URL politely. Resolves with the axios response.
+     * 
+     * @param {string} url
+     * @param {object} [options]
+     * @param {object} [options.headers]        - Extra request headers
+     * @param {function} [options.validateStatus] - Which statuses count as success (axios option, default 2xx)
+     */
+    async function fetch(url, { headers = {}, validateStatus = (status) => status >= 200 && status < 300 } = {}) {
+        const { origin, host } = new URL(url);
+
+        let crawlDelayMs = null;
+        if (respectRobots) {
+            const robots = await robotsFor(origin);
+            if (robots === DISALLOW_ALL) {
+                throw new FetchError(`robots.txt of ${host} could not be fetched`, {
+                    reason: FETCH_ERROR_REASONS.ROBOTS_UNREACHABLE, url,
+                });
+            }
+            if (!robots.isAllowed(url)) {
+                throw new FetchError(`Disallowed by robots.txt of ${host}`, {
+                    reason: FETCH_ERROR_REASONS.ROBOTS_DISALLOWED, url,
+                });
+            }
+            crawlDelayMs = robots.crawlDelayMs;
+        }
+
+        const delayMs = Math.max(domainDelayMs, crawlDelayMs || 0);
+
+        return download(url, host, { headers: { 'Accept': 'text/html,application/xhtml+xml', ...headers }, validateStatus, delayMs });
+    }
+
+    /**
+     * One GET through the domain gate and rate limiter, with retries of
+     * transient failures. Throws a FetchError.
+     */
+    async function download(url, host, { headers, validateStatus, delayMs }) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await gate.run(host, () => schedule(() => axios.get(url, {
+                    timeout,
+                    responseType: 'text',
+                    headers: { 'User-Agent': userAgent, ...headers },
+                    validateStatus,
+                })), { delayMs });
+            } catch (error) {
+                const failure = toFetchError(error, url, attempt + 1);
+                const retryable = RETRYABLE_STATUSES.includes(failure.status) || RETRYABLE_CODES.includes(error.code);
+
+                if (!retryable || attempt >= maxRetries) {
+                    throw failure;
+                }
+
+                const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+                if (retryAfterMs > MAX_RETRY_AFTER_MS) {
+                    throw failure;
+                }
+
+                const delay = retryAfterMs ?? backoffDelay(attempt, retryBaseMs);
+                log(`   ⏳ ${host}: ${failure.message} - retry ${attempt + 1}/${maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    return { fetch };
+}
+
+/**
+ * Converts an axios error into a FetchError with a reason
+ */
+function toFetchError(error, url, attempts) {
+    const status = error.response?.status;
+
+    if (status === 429) {
+        return new FetchError('Rate limited (HTTP 429)', { reason: FETCH_ERROR_REASONS.RATE_LIMITED, url, status, attempts, cause: error });
+    }
+    if (status) {
+        return new FetchError(`HTTP ${status}`, { reason: FETCH_ERROR_REASONS.HTTP_ERROR, url, status, attempts, cause: error });
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new FetchError('Timed out', { reason: FETCH_ERROR_REASONS.TIMEOUT, url, attempts, cause: error });
+    }
+    return new FetchError(error.message, { reason: FETCH_ERROR_REASONS.NETWORK_ERROR, url, attempts, cause: error });
+}
+
+module.exports = {
+    FETCH_ERROR_REASONS,
+    FetchError,
+    createFetcher,
+};
@@ -0,0 +1,110 @@
+/**
+ * ============================================================================
+ * JOB JOURNAL - Per-article record of completed pipeline steps
+ * ============================================================================
+ * 
+ * Every step's output is written to disk as soon as the step finishes:
+ * 
+ *   .cache/journal/<article id>.json
+ *   {
+ *     articleId, contentHash, updatedAt,
+ *     steps: {
+ *       article:    { completedAt, data },   // STEP 1 - fetched article
+ *       search:     { completedAt, data },   // STEP 2 - query + search results
+ *       references: { completedAt, data },   // STEP 3 - scraped references
+ *       draft:      { completedAt, data },   // STEP 4 - checked draft + publish key
+ *       seo:        { completedAt, data }    // STEP 5 - SEO package of that draft
+ *     }
+ *   }
+ * 
+ * If the process dies (or publishing fails), the next run for the same
+ * article resumes after the last completed step - a paid LLM draft is never
+ * thrown away. The journal is deleted once the article is published (or
+ * its rejected draft is stored).
+ * 
+ * An entry is ignored when the article's content changed since it was
+ * written (contentHash), so edits in Laravel are never overwritten by a
+ * stale draft.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STEPS = ['article', 'search', 'references', 'draft', 'seo'];
+
+function hashContent(article) {
+    return crypto.createHash('sha256').update(`${article.title}\n${article.content}`).digest('hex');
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dir       - Journal directory
+ * @param {boolean} [options.enabled=true] - false: nothing is read or written
+ */
+function createJournal({ dir, enabled = true }) {
+    const fileFor = (articleId) => path.join(dir, `${String(articleId).replace(/[^\w-]/g, '_')}.json`);
+
+    function read(articleId) {
+        try {
+            return JSON.parse(fs.readFileSync(fileFor(articleId), 'utf8'));
+        } catch {
+            return null; // missing or unreadable - nothing to resume
+        }
+    }
+
+    function write(entry) {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = fileFor(entry.articleId);
+        const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(entry));
+        fs.renameSync(tmp, file);
+    }
+
+    return {
+        /**
+         * Opens the journal of one article. Returns a handle with:
+         *   resumed        - true if earlier progress was found
+         *   get(step)      - { completedAt, data } of a completed step, or null
+         *   complete(step, data) - records a finished step
+         *   finish()       - deletes the journal (article is done)
+         * 
+         * With `fresh`, earlier progress is ignored (and overwritten).
+         */
+        open(article, { fresh = false } = {}) {
+            const contentHash = hashContent(article);
+            const existing = enabled && !fresh ? read(article.id) : null;
+            const usable = existing && existing.contentHash === contentHash;
+
+            const entry = usable ? existing : { articleId: article.id, contentHash, steps: {} };
+
+            return {
+                resumed: Boolean(usable && Object.keys(existing.steps).length > 0),
+                stale: Boolean(existing && !usable),
+
+                get(step) {
+                    return entry.steps[step] || null;
+                },
+
+                complete(step, data) {
+                    if (!STEPS.includes(step)) {
+                        throw new Error(`Unknown journal step "${step}"`);
+                    }
+                    entry.steps[step] = { completedAt: new Date().toISOString(), data };
+                    entry.updatedAt = entry.steps[step].completedAt;
+                    if (enabled) write(entry);
+                },
+
+                finish() {
+                    if (!enabled) return;
+                    fs.rmSync(fileFor(article.id), { force: true });
+                },
+            };
+        },
+    };
+}
+
+module.exports = {
+    STEPS,
+    createJournal,
+};
@@ -0,0 +1,78 @@
+/**
+ * ============================================================================
+ * LARAVEL API ERRORS - One error type for every failed API call
+ * ============================================================================
+ * 
+ * The Laravel API answers with an envelope:
+ * 
+ *   { "success": true,  "data": { ... }, "meta": { ... } }
+ *   { "success": false, "message": "Validation failed", "errors": { "title": ["..."] } }
+ * 
+ * Every failure - an error envelope, an HTTP error without one, a network
+ * problem or an answer that isn't the envelope at all - becomes a
+ * LaravelApiError with one of the kinds below, so callers can react to
+ * "not found" or "validation" without looking at status codes.
+ */
+
+const LARAVEL_ERROR_KINDS = {
+    VALIDATION: 'validation',     // 422 - `errors` has the messages per field
+    NOT_FOUND: 'not_found',       // 404 - no such article (or nothing pending)
+    AUTH: 'auth',                 // 401/403 - missing or wrong API token
+    CONFLICT: 'conflict',         // 409 - e.g. claimed by another worker
+    RATE_LIMIT: 'rate_limit',     // 429 - retry later
+    UNAVAILABLE: 'unavailable',   // 5xx, timeout, connection refused
+    BAD_RESPONSE: 'bad_response', // Not the { success, data } envelope
+    UNKNOWN: 'unknown',
+};
+
+class LaravelApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} details
+     * @param {string} details.kind            - One of LARAVEL_ERROR_KINDS
+     * @param {number} [details.status]        - HTTP status, if there was an answer
+     * @param {object} [details.errors]        - Validation messages per field
+     * @param {string} [details.method]        - e.g. 'POST'
+     * @param {string} [details.path]          - e.g. '/articles/12/publish-ai'
+     * @param {number} [details.retryAfterMs]  - Server-suggested wait before retrying
+     */
+    constructor(message, { kind, status, errors, method, path, retryAfterMs, cause } = {}) {
+        super(message);
+        this.name = 'LaravelApiError';
+        this.kind = kind || LARAVEL_ERROR_KINDS.UNKNOWN;
+        this.status = status;
+        this.errors = errors || {};
+        this.method = method;
+        this.path = path;
+        this.retryAfterMs = retryAfterMs;
+        this.cause = cause;
+    }
+
+    /**
+     * Rate limits and temporary outages are worth retrying, everything else is not
+     */
+    get retryable() {
+        return this.kind === LARAVEL_ERROR_KINDS.RATE_LIMIT || this.kind === LARAVEL_ERROR_KINDS.UNAVAILABLE;
+    }
+}
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Maps an HTTP status (or a network error code) to an error kind
+ */
+function classifyStatus(status, code) {
+    if (status === 422 || status === 400) return LARAVEL_ERROR_KINDS.VALIDATION;
+    if (status === 404) return LARAVEL_ERROR_KINDS.NOT_FOUND;
+    if (status === 401 || status === 403 || status === 419) return LARAVEL_ERROR_KINDS.AUTH;
+    if (status === 409) return LARAVEL_ERROR_KINDS.CONFLICT;
+    if (status === 429) return LARAVEL_ERROR_KINDS.RATE_LIMIT;
+    if ((status && status >= 500) || NETWORK_ERROR_CODES.includes(code)) return LARAVEL_ERROR_KINDS.UNAVAILABLE;
+    return LARAVEL_ERROR_KINDS.UNKNOWN;
+}
+
+module.exports = {
+    LARAVEL_ERROR_KINDS,
+    LaravelApiError,
+    classifyStatus,
+};
@@ -0,0 +1,316 @@
+/**
+ * ============================================================================
+ * LARAVEL API CLIENT - Every route of routes/api.php in one place
+ * ============================================================================
+ * 
+ *   const laravel = createLaravelClient({ baseUrl: 'http://localhost:8000/api', token });
+ * 
+ *   await laravel.listArticles({ perPage: 50, aiUpdated: false, sort: 'title', order: 'asc' })
+ *       → { articles: [...], meta: { current_page, last_page, per_page, total } }
+ *   for await (const article of laravel.iterateArticles({ aiUpdated: true })) { ... }
+ *   await laravel.getArticle(12)                 // ID or slug
+ *   await laravel.createArticle({ title, content })
+ *   await laravel.updateArticle(12, { title })
+ *   await laravel.deleteArticle(12)
+ *   await laravel.latestArticle()                // null when nothing is pending
+ *   await laravel.claimArticle({ worker })       // null when nothing is pending
+ *   await laravel.releaseArticle(12, { worker })
+ *   await laravel.publishAi(12, { ai_content, citations, ... }, { idempotencyKey })
+ *   await laravel.rejectAi(12, { rejected_content, quality_report })
+ *   await laravel.reviewArticle(12, { status: 'approved' })   // or 'rejected' with a note
+ *   await laravel.requestRewrite(12, { note })   // → { article, queued }
+ *   await laravel.health()
+ * 
+ * Methods return the `data` of the { success, data } envelope; failures are
+ * thrown as LaravelApiError (see ./errors.js). With `token`, every request
+ * carries "Authorization: Bearer <token>" (e.g. a Sanctum token when the
+ * API sits behind auth:sanctum).
+ * 
+ * Timeouts, connection failures, 429 and 5xx answers are retried with
+ * exponential backoff (honoring Retry-After). Requests that could have
+ * changed something are only retried when that is safe: reads, updates,
+ * deletes and calls whose repetition does nothing new (publish-ai with an
+ * Idempotency-Key, reject-ai, review, release). Creating an article and
+ * requesting a rewrite are only retried when the server cannot have seen
+ * them (connection refused, 429, 503).
+ */
+
+const axios = require('axios');
+const { LARAVEL_ERROR_KINDS, LaravelApiError, classifyStatus } = require('./errors');
+const { sleep, backoffDelay, parseRetryAfter } = require('../concurrency');
+
+// Statuses that mean the request was turned away before anything happened
+const NOT_PROCESSED = [429, 503];
+
+/**
+ * @param {object} options
+ * @param {string} options.baseUrl           - API root, e.g. http://localhost:8000/api
+ * @param {string} [options.token]           - Bearer token
+ * @param {number} [options.timeout=30000]   - Per request, in ms
+ * @param {number} [options.maxRetries=2]    - Retries of transient failures
+ * @param {number} [options.retryBaseMs=500] - First backoff delay
+ * @param {Function} [options.log]           - Receives retry messages
+ */
+function createLaravelClient({ baseUrl, token, timeout = 30000, maxRetries = 2, retryBaseMs = 500, log = () => {} }) {
+    const root = baseUrl.replace(/\/+$/, '');
+    const articlePath = (idOrSlug, suffix = '') => `/articles/${encodeURIComponent(idOrSlug)}${suffix}`;
+
+    /**
+     * One API call with retries. Returns the whole response body.
+     * 
+     * @param {string} method
+     * @param {string} path
+     * @param {object} [options]
+     * @param {object} [options.params]  - Query string
+     * @param {object} [options.data]    - JSON body
+     * @param {object} [options.headers]
+     * @param {boolean} [options.idempotent] - Safe to repeat (default: GET/PUT/PATCH/DELETE)
+     */
+    async function request(method, path, { params, data, headers = {}, idempotent = method !== 'POST' } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                return await send(method, path, { params, data, headers });
+            } catch (caught) {
+                if (!(caught instanceof LaravelApiError)) throw caught;
+                error = caught;
+            }
+
+            const safeToRepeat = idempotent
+                || NOT_PROCESSED.includes(error.status)
+                || error.cause?.code === 'ECONNREFUSED';
+            if (!error.retryable || !safeToRepeat || attempt >= maxRetries) {
+                throw error;
+            }
+
+            const delay = error.retryAfterMs ?? backoffDelay(attempt, retryBaseMs);
+            log(`   ⏳ Laravel API: ${method} ${path} ${error.status || error.cause?.code || error.kind} - retrying in ${(delay / 1000).toFixed(1)}s`);
+            await sleep(delay);
+        }
+    }
+
+    async function send(method, path, { params, data, headers }) {
+        let response;
+        try {
+            response = await axios.request({
+                method,
+                url: root + path,
+                params,
+                data,
+                timeout,
+                headers: {
+                    'Accept': 'application/json',
+                    ...(data !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+                    ...headers,
+                },
+                // Every status is handled below, from the envelope
+                validateStatus: () => true,
+            });
+        } catch (error) {
+            const message = error.code === 'ECONNREFUSED'
+                ? `Cannot connect to Laravel API at ${root}. Is it running?`
+                : `Laravel API request failed (${error.code || error.message})`;
+            throw new LaravelApiError(`${message} (${method} ${path})`, {
+                kind: classifyStatus(undefined, error.code),
+                method,
+                path,
+                cause: error,
+            });
+        }
+
+        const body = response.data;
+        const envelope = body && typeof body === 'object' && !Array.isArray(body);
+
+        if (response.status >= 400 || (envelope && body.success === false)) {
+            const errors = envelope && body.errors && typeof body.errors === 'object' ? body.errors : {};
+            const details = Object.values(errors).flat();
+            const message = (envelope && body.message) || `HTTP ${response.status}`;
+
+            throw new LaravelApiError(
+                `${details.length > 0 ? `${message}: ${details.join(', ')}` : message} (${method} ${path})`,
+                {
+                    kind: response.status >= 400 ? classifyStatus(response.status) : LARAVEL_ERROR_KINDS.UNKNOWN,
+                    status: response.status,
+                    errors,
+                    method,
+                    path,
+                    retryAfterMs: parseRetryAfter(response.headers?.['retry-after']),
+                }
+            );
+        }
+
+        if (!envelope) {
+            throw new LaravelApiError(`Laravel API returned no JSON object (${method} ${path})`, {
+                kind: LARAVEL_ERROR_KINDS.BAD_RESPONSE,
+                status: response.status,
+                method,
+                path,
+            });
+        }
+
+        return body;
+    }
+
+    /**
+     * The envelope's `data`, which every article route must have
+     */
+    function dataOf(body, method, path) {
+        if (body.data === undefined || body.data === null) {
+            throw new LaravelApiError(`Laravel API answer has no "data" (${method} ${path})`, {
+                kind: LARAVEL_ERROR_KINDS.BAD_RESPONSE,
+                method,
+                path,
+            });
+        }
+        return body.data;
+    }
+
+    const call = async (method, path, options) => dataOf(await request(method, path, options), method, path);
+
+    // 404 means "nothing pending" on the routes that hand out work
+    const orNull = async (promise) => {
+        try {
+            return await promise;
+        } catch (error) {
+            if (error instanceof LaravelApiError && error.kind === LARAVEL_ERROR_KINDS.NOT_FOUND) return null;
+            throw error;
+        }
+    };
+
+    return {
+        baseUrl: root,
+        request,
+
+        /**
+         * One page of articles.
+         * 
+         * @param {object} [query]
+         * @param {number} [query.page]
+         * @param {number} [query.perPage]        - Max 100
+         * @param {boolean} [query.aiUpdated]     - Only AI-updated (true) or original (false) articles
+         * @param {string} [query.reviewStatus]   - pending_review | approved | rejected
+         * @param {string} [query.search]         - Title search
+         * @param {string} [query.sort]           - created_at | updated_at | title | scraped_at
+         * @param {string} [query.order]          - asc | desc
+         * @param {string} [query.promptVersion]
+         * @param {string} [query.styleProfile]
+         * @returns {Promise<{ articles: object[], meta: object }>}
+         */
+        async listArticles({ page, perPage, aiUpdated, reviewStatus, search, sort, order, promptVersion, styleProfile, ...rest } = {}) {
+            const params = Object.fromEntries(Object.entries({
+                page,
+                per_page: perPage,
+                ai_updated: aiUpdated === undefined ? undefined : String(aiUpdated),
+                review_status: reviewStatus,
+                search,
+                sort,
+                order,
+                prompt_version: promptVersion,
+                style_profile: styleProfile,
+                ...rest,
+            }).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+
+            const body = await request('GET', '/articles', { params });
+            return { articles: dataOf(body, 'GET', '/articles'), meta: body.meta || {} };
+        },
+
+        /**
+         * Every article matching `query`, page by page
+         */
+        async *iterateArticles(query = {}) {
+            for (let page = query.page || 1; ; page++) {
+                const { articles, meta } = await this.listArticles({ ...query, page });
+                yield* articles;
+                if (articles.length === 0 || !meta.last_page || page >= meta.last_page) return;
+            }
+        },
+
+        getArticle: (idOrSlug) => call('GET', articlePath(idOrSlug)),
+
+        createArticle: (fields) => call('POST', '/articles', { data: fields }),
+
+        updateArticle: (idOrSlug, fields) => call('PUT', articlePath(idOrSlug), { data: fields }),
+
+        async deleteArticle(idOrSlug) {
+            await request('DELETE', articlePath(idOrSlug));
+            return true;
+        },
+
+        /**
+         * The newest article that still needs AI processing, or null
+         */
+        latestArticle: () => orNull(call('GET', '/articles/latest')),
+
+        /**
+         * Reserves the next pending article (or `article`, if it is pending)
+         * for `worker`; null when there is none.
+         */
+        claimArticle: ({ worker, leaseSeconds, exclude = [], article } = {}) => orNull(call('POST', '/articles/claim', {
+            data: {
+                worker,
+                ...(leaseSeconds !== undefined ? { lease_seconds: leaseSeconds } : {}),
+                exclude,
+                ...(article !== undefined ? { article } : {}),
+            },
+        })),
+
+        releaseArticle: (idOrSlug, { worker } = {}) => request('POST', articlePath(idOrSlug, '/release'), {
+            data: { worker },
+            idempotent: true,
+        }),
+
+        /**
+         * Publishes the AI version. Returns { article, replayed } - `replayed`
+         * is true when Laravel had already accepted this Idempotency-Key.
+         */
+        async publishAi(idOrSlug, payload, { idempotencyKey } = {}) {
+            const path = articlePath(idOrSlug, '/publish-ai');
+            const body = await request('POST', path, {
+                data: payload,
+                headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+                // Without a key a repeated publish could overwrite newer content
+                idempotent: Boolean(idempotencyKey),
+            });
+            return { article: dataOf(body, 'POST', path), replayed: Boolean(body.replayed) };
+        },
+
+        rejectAi: (idOrSlug, payload) => call('POST', articlePath(idOrSlug, '/reject-ai'), {
+            data: payload,
+            idempotent: true,
+        }),
+
+        /**
+         * Approves or rejects the published AI version - only approved
+         * versions are displayed. A note is required when rejecting.
+         */
+        reviewArticle: (idOrSlug, { status, note } = {}) => call('POST', articlePath(idOrSlug, '/review'), {
+            data: { status, ...(note !== undefined ? { note } : {}) },
+            idempotent: true,
+        }),
+
+        /**
+         * Sends the article back to the rewriter. Returns { article, queued } -
+         * `queued` is false when Laravel has no rewriter webhook configured
+         * (the next batch run picks the article up instead).
+         */
+        async requestRewrite(idOrSlug, { note } = {}) {
+            const path = articlePath(idOrSlug, '/rewrite');
+            const body = await request('POST', path, {
+                data: note !== undefined ? { note } : {},
+            });
+            return { article: dataOf(body, 'POST', path), queued: Boolean(body.queued) };
+        },
+
+        /**
+         * GET /api/health - { status: 'healthy', timestamp, version }
+         */
+        health: () => request('GET', '/health'),
+    };
+}
+
+module.exports = {
+    createLaravelClient,
+    LaravelApiError,
+    LARAVEL_ERROR_KINDS,
+};
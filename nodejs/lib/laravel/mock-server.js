@@ -0,0 +1,627 @@
+/**
+ * ============================================================================
+ * MOCK LARAVEL API - The article routes in memory, for local runs and tests
+ * ============================================================================
+ * 
+ * Implements the same routes, envelopes, validation messages and status
+ * codes as laravel/app/Http/Controllers/ArticleController.php, so the
+ * rewriter (or anything else using ./index.js) can run without PHP or a
+ * database:
+ * 
+ *   const { createMockLaravelServer } = require('./lib/laravel/mock-server');
+ *   const mock = createMockLaravelServer({ articles: [{ title, content }] });
+ *   const baseUrl = await mock.listen();     // http://127.0.0.1:<port>/api
+ *   ...
+ *   mock.failNext(2, { status: 503 });       // next two requests fail
+ *   await mock.close();
+ * 
+ * Or standalone, as a stand-in for `php artisan serve`:
+ * 
+ *   node lib/laravel/mock-server.js --port 8000 [--token secret] [--articles seed.json]
+ * 
+ * Articles only live as long as the process. With `token`, every route
+ * except /api/health answers 401 without "Authorization: Bearer <token>".
+ */
+
+const http = require('http');
+
+const SORT_FIELDS = ['created_at', 'updated_at', 'title', 'scraped_at'];
+const DEFAULT_LEASE_SECONDS = 900;
+
+const SAMPLE_ARTICLES = [
+    {
+        title: 'Why Chatbots Fail at Customer Service',
+        original_url: 'https://beyondchats.com/blogs/why-chatbots-fail/',
+        content: 'Most chatbots are built to deflect questions rather than answer them. '
+            + 'Customers notice quickly when a bot loops them through menus, and they leave. '
+            + 'The teams that succeed treat the chatbot as a first line of support with a clear '
+            + 'path to a human, measure resolution instead of deflection, and keep the knowledge '
+            + 'base the bot draws from up to date.',
+    },
+    {
+        title: 'Measuring Support Quality Beyond CSAT',
+        original_url: 'https://beyondchats.com/blogs/support-quality/',
+        content: 'Customer satisfaction scores only capture the customers who answer the survey. '
+            + 'First contact resolution, time to resolution and repeat contact rates show how '
+            + 'support actually performs, and reading a sample of conversations every week '
+            + 'catches problems no metric does.',
+    },
+];
+
+/**
+ * @param {object} [options]
+ * @param {object[]} [options.articles] - Seed articles ({ title, content, ... })
+ * @param {string} [options.token]      - Required bearer token
+ * @param {string} [options.version]    - Reported by /api/health
+ */
+function createMockLaravelServer({ articles = [], token, version = '1.0.0' } = {}) {
+    const store = [];
+    const failures = [];
+    let nextId = 1;
+    let baseUrl = null;
+
+    const now = () => new Date().toISOString();
+
+    function insert(fields) {
+        const timestamp = fields.created_at || now();
+        const article = {
+            id: nextId++,
+            slug: uniqueSlug(fields.slug || slugify(fields.title)),
+            title: fields.title,
+            content: fields.content,
+            original_url: fields.original_url ?? null,
+            is_ai_updated: Boolean(fields.is_ai_updated),
+            ai_content: fields.ai_content ?? null,
+            citations: fields.citations ?? null,
+            prompt_version: fields.prompt_version ?? null,
+            style_profile: fields.style_profile ?? null,
+            seo: fields.seo ?? null,
+            quality_status: fields.quality_status ?? null,
+            quality_report: fields.quality_report ?? null,
+            rejected_content: fields.rejected_content ?? null,
+            // Seeded AI versions count as already reviewed, like the migration does
+            review_status: fields.review_status ?? (fields.is_ai_updated ? 'approved' : null),
+            reviewer_note: fields.reviewer_note ?? null,
+            reviewed_at: fields.reviewed_at ?? null,
+            scraped_at: fields.scraped_at ?? timestamp,
+            created_at: timestamp,
+            updated_at: timestamp,
+            // Internal, like the hidden columns of the real model
+            claimed_by: null,
+            claimed_until: null,
+            last_publish_key: null,
+        };
+        store.push(article);
+        return article;
+    }
+
+    function uniqueSlug(base) {
+        const root = base || 'article';
+        let slug = root;
+        for (let n = 2; store.some(a => a.slug === slug); n++) {
+            slug = `${root}-${n}`;
+        }
+        return slug;
+    }
+
+    const find = (idOrSlug) => store.find(a => String(a.id) === idOrSlug || a.slug === idOrSlug);
+
+    const claimable = (a) => !a.is_ai_updated
+        && a.quality_status !== 'rejected'
+        && (!a.claimed_until || Date.parse(a.claimed_until) < Date.now());
+
+    const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id;
+
+    function update(article, fields) {
+        Object.assign(article, fields, { updated_at: now() });
+        return article;
+    }
+
+    // Mirrors App\Http\Resources\ArticleResource
+    function resource(a) {
+        const words = (text) => (text ? text.split(/\s+/).filter(w => /[A-Za-z]/.test(w)).length : 0);
+        const link = `${baseUrl || '/api'}/articles/${a.slug}`;
+        return {
+            id: a.id,
+            slug: a.slug,
+            title: a.title,
+            content: a.content,
+            original_url: a.original_url,
+            is_ai_updated: a.is_ai_updated,
+            ai_content: a.ai_content,
+            citations: normalizeCitations(a.citations),
+            prompt_version: a.prompt_version,
+            style_profile: a.style_profile,
+            seo: a.seo,
+            quality_status: a.quality_status,
+            quality_report: a.quality_report,
+            rejected_content: a.rejected_content,
+            review_status: a.review_status,
+            reviewer_note: a.reviewer_note,
+            reviewed_at: a.reviewed_at,
+            display_content: a.is_ai_updated && a.ai_content && a.review_status === 'approved' ? a.ai_content : a.content,
+            scraped_at: a.scraped_at,
+            created_at: a.created_at,
+            updated_at: a.updated_at,
+            meta: {
+                word_count: words(a.content),
+                ai_word_count: a.ai_content ? words(a.ai_content) : null,
+                citation_count: (a.citations || []).length,
+                has_ai_version: a.is_ai_updated && Boolean(a.ai_content),
+            },
+            links: {
+                self: link,
+                update: link,
+                delete: link,
+                publish_ai: `${link}/publish-ai`,
+                reject_ai: `${link}/reject-ai`,
+                review: `${link}/review`,
+                rewrite: `${link}/rewrite`,
+            },
+        };
+    }
+
+    const ok = (data, extra = {}, status = 200) => ({ status, body: { success: true, ...extra, data } });
+    const fail = (status, message, errors) => ({ status, body: { success: false, message, ...(errors ? { errors } : {}) } });
+    const notFound = () => fail(404, 'Article not found');
+    const invalid = (errors) => fail(422, 'Validation failed', errors);
+
+    const routes = [
+        ['GET', /^\/api\/health$/, () => ({
+            status: 200,
+            body: { status: 'healthy', timestamp: now(), version },
+        }), { public: true }],
+
+        ['GET', /^\/api\/articles$/, ({ query }) => {
+            let list = store.slice();
+
+            if (query.has('ai_updated')) {
+                const wanted = ['1', 'true', 'on', 'yes'].includes(query.get('ai_updated').toLowerCase());
+                list = list.filter(a => a.is_ai_updated === wanted);
+            }
+            for (const field of ['prompt_version', 'style_profile', 'review_status']) {
+                if (query.get(field)) list = list.filter(a => a[field] === query.get(field));
+            }
+            if (query.get('search')) {
+                const needle = query.get('search').toLowerCase();
+                list = list.filter(a => a.title.toLowerCase().includes(needle));
+            }
+
+            const sort = query.get('sort') || 'created_at';
+            if (SORT_FIELDS.includes(sort)) {
+                const direction = query.get('order') === 'asc' ? 1 : -1;
+                list.sort((a, b) => direction * String(a[sort] ?? '').localeCompare(String(b[sort] ?? '')) || a.id - b.id);
+            }
+
+            const perPage = Math.max(1, Math.min(parseInt(query.get('per_page'), 10) || 15, 100));
+            const lastPage = Math.max(1, Math.ceil(list.length / perPage));
+            const page = Math.max(1, parseInt(query.get('page'), 10) || 1);
+
+            return ok(list.slice((page - 1) * perPage, page * perPage).map(resource), {
+                meta: { current_page: page, last_page: lastPage, per_page: perPage, total: list.length },
+            });
+        }],
+
+        ['GET', /^\/api\/articles\/latest$/, () => {
+            const article = store.filter(a => !a.is_ai_updated).sort(newestFirst)[0];
+            return article ? ok(resource(article)) : fail(404, 'No articles pending AI update');
+        }],
+
+        ['POST', /^\/api\/articles\/claim$/, ({ body }) => {
+            const errors = {};
+            if (typeof body.worker !== 'string' || !body.worker) errors.worker = ['The worker field is required.'];
+            const lease = body.lease_seconds ?? DEFAULT_LEASE_SECONDS;
+            if (!Number.isInteger(lease) || lease < 30 || lease > 3600) {
+                errors.lease_seconds = ['The lease seconds must be between 30 and 3600.'];
+            }
+            if (Object.keys(errors).length > 0) return invalid(errors);
+
+            const exclude = Array.isArray(body.exclude) ? body.exclude : [];
+            const article = store
+                .filter(a => claimable(a) && !exclude.includes(a.id) && (!body.article || a.id === body.article))
+                .sort(newestFirst)[0];
+            if (!article) return fail(404, 'No articles pending AI update');
+
+            update(article, {
+                claimed_by: body.worker,
+                claimed_until: new Date(Date.now() + lease * 1000).toISOString(),
+            });
+            return ok(resource(article));
+        }],
+
+        ['POST', /^\/api\/articles$/, ({ body }) => {
+            const errors = validateArticle(body, { creating: true });
+            if (body.slug && store.some(a => a.slug === body.slug)) errors.slug = ['This slug is already in use.'];
+            if (Object.keys(errors).length > 0) return invalid(errors);
+
+            return ok(resource(insert(body)), { message: 'Article created successfully' }, 201);
+        }],
+
+        ['GET', /^\/api\/articles\/([^/]+)$/, ({ params: [id] }) => {
+            const article = find(id);
+            return article ? ok(resource(article)) : notFound();
+        }],
+
+        [['PUT', 'PATCH'], /^\/api\/articles\/([^/]+)$/, ({ params: [id], body }) => {
+            const article = find(id);
+            if (!article) return notFound();
+
+            const errors = validateArticle(body, { creating: false });
+            if (body.slug && store.some(a => a.slug === body.slug && a.id !== article.id)) {
+                errors.slug = ['This slug is already in use.'];
+            }
+            if (body.quality_status != null && !['passed', 'rejected'].includes(body.quality_status)) {
+                errors.quality_status = ['The selected quality status is invalid.'];
+            }
+            if (Object.keys(errors).length > 0) return invalid(errors);
+
+            const editable = ['title', 'slug', 'content', 'original_url', 'is_ai_updated', 'ai_content', 'citations', 'quality_status'];
+            const fields = Object.fromEntries(editable.filter(key => key in body).map(key => [key, body[key]]));
+            return ok(resource(update(article, fields)), { message: 'Article updated successfully' });
+        }],
+
+        ['DELETE', /^\/api\/articles\/([^/]+)$/, ({ params: [id] }) => {
+            const article = find(id);
+            if (!article) return notFound();
+
+            store.splice(store.indexOf(article), 1);
+            return { status: 200, body: { success: true, message: 'Article deleted successfully' } };
+        }],
+
+        ['POST', /^\/api\/articles\/([^/]+)\/release$/, ({ params: [id], body }) => {
+            const article = find(id);
+            if (!article) return notFound();
+            if (article.claimed_by !== body.worker) return fail(409, 'Article is not claimed by this worker');
+
+            update(article, { claimed_by: null, claimed_until: null });
+            return { status: 200, body: { success: true, message: 'Claim released' } };
+        }],
+
+        ['POST', /^\/api\/articles\/([^/]+)\/publish-ai$/, ({ params: [id], body, headers }) => {
+            const article = find(id);
+            if (!article) return notFound();
+
+            const key = headers['idempotency-key'];
+            if (key !== undefined && key.length > 100) {
+                return fail(422, 'Idempotency-Key must not be longer than 100 characters.');
+            }
+            if (key !== undefined && key === article.last_publish_key) {
+                return ok(resource(article), { message: 'AI content was already published with this key', replayed: true });
+            }
+
+            const errors = {};
+            if (typeof body.ai_content !== 'string' || !body.ai_content) {
+                errors.ai_content = ['AI-generated content is required.'];
+            } else if (body.ai_content.length < 50) {
+                errors.ai_content = ['AI content seems too short. Please provide meaningful content.'];
+            }
+            if (!Array.isArray(body.citations) || body.citations.length === 0) {
+                errors.citations = ['At least one citation is required.'];
+            } else {
+                Object.assign(errors, validateCitations(body.citations));
+            }
+            if (body.seo != null) {
+                for (const field of ['meta_title', 'meta_description', 'focus_keywords', 'slug', 'json_ld']) {
+                    if (body.seo[field] === undefined) errors[`seo.${field}`] = [`The seo.${field} field is required when seo is present.`];
+                }
+            }
+            if (Object.keys(errors).length > 0) return invalid(errors);
+
+            update(article, {
+                ai_content: body.ai_content,
+                citations: normalizeCitations(body.citations),
+                prompt_version: body.prompt_version ?? null,
+                style_profile: body.style_profile ?? null,
+                seo: body.seo ?? null,
+                quality_status: body.quality_report ? 'passed' : null,
+                quality_report: body.quality_report ?? null,
+                rejected_content: null,
+                last_publish_key: key ?? null,
+                review_status: 'pending_review',
+                reviewer_note: null,
+                reviewed_at: null,
+                is_ai_updated: true,
+                claimed_by: null,
+                claimed_until: null,
+            });
+            return ok(resource(article), { message: 'AI content published successfully', replayed: false });
+        }],
+
+        ['POST', /^\/api\/articles\/([^/]+)\/reject-ai$/, ({ params: [id], body }) => {
+            const article = find(id);
+            if (!article) return notFound();
+
+            const errors = {};
+            if (typeof body.rejected_content !== 'string' || !body.rejected_content) {
+                errors.rejected_content = ['The rejected content field is required.'];
+            }
+            const reasons = body.quality_report?.reasons;
+            if (!Array.isArray(reasons) || reasons.length === 0) {
+                errors['quality_report.reasons'] = ['Please list the reasons the draft was rejected.'];
+            }
+            if (Object.keys(errors).length > 0) return invalid(errors);
+
+            update(article, {
+                quality_status: 'rejected',
+                quality_report: body.quality_report,
+                rejected_content: body.rejected_content,
+                prompt_version: body.prompt_version ?? null,
+                style_profile: body.style_profile ?? null,
+                claimed_by: null,
+                claimed_until: null,
+            });
+            return ok(resource(article), { message: 'AI draft stored as rejected' });
+        }],
+
+        ['POST', /^\/api\/articles\/([^/]+)\/review$/, ({ params: [id], body }) => {
+            const article = find(id);
+            if (!article) return notFound();
+
+            const errors = {};
+            if (!body.status) {
+                errors.status = ['The status field is required.'];
+            } else if (!['approved', 'rejected'].includes(body.status)) {
+                errors.status = ['The review status must be "approved" or "rejected".'];
+            }
+            if (body.note != null && (typeof body.note !== 'string' || body.note.length > 2000)) {
+                errors.note = ['The note field must not be greater than 2000 characters.'];
+            } else if (body.status === 'rejected' && !body.note) {
+                errors.note = ['Please explain why the AI version is rejected.'];
+            }
+            if (Object.keys(errors).length > 0) return invalid(errors);
+
+            if (!article.is_ai_updated || !article.ai_content) {
+                return fail(409, 'Article has no AI version to review');
+            }
+
+            update(article, { review_status: body.status, reviewer_note: body.note ?? null, reviewed_at: now() });
+            return ok(resource(article), {
+                message: body.status === 'approved' ? 'AI version approved and now displayed' : 'AI version rejected',
+            });
+        }],
+
+        // There is no rewriter daemon behind the mock, so nothing is ever queued
+        ['POST', /^\/api\/articles\/([^/]+)\/rewrite$/, ({ params: [id], body }) => {
+            const article = find(id);
+            if (!article) return notFound();
+
+            if (body.note != null && (typeof body.note !== 'string' || body.note.length > 2000)) {
+                return invalid({ note: ['The note field must not be greater than 2000 characters.'] });
+            }
+
+            update(article, {
+                is_ai_updated: false,
+                quality_status: null,
+                review_status: null,
+                reviewer_note: body.note ?? null,
+                reviewed_at: null,
+                claimed_by: null,
+                claimed_until: null,
+            });
+            return ok(resource(article), {
+                message: 'Article marked for a new rewrite - the next rewriter run picks it up',
+                queued: false,
+            }, 202);
+        }],
+    ];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let response;
+
+        try {
+            const failure = failures.shift();
+            if (failure) {
+                response = {
+                    status: failure.status,
+                    body: { success: false, message: failure.message || 'Simulated failure' },
+                    headers: failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {},
+                };
+            } else {
+                const route = routes.find(([method, pattern]) => pattern.test(url.pathname) && [].concat(method).includes(req.method));
+                const [, pattern, handler, { public: isPublic = false } = {}] = route || [];
+
+                if (!route) {
+                    response = { status: 404, body: { message: `The route ${url.pathname.slice(1)} could not be found.` } };
+                } else if (!isPublic && token && req.headers.authorization !== `Bearer ${token}`) {
+                    // Sanctum's answer has no success flag either
+                    response = { status: 401, body: { message: 'Unauthenticated.' } };
+                } else {
+                    const body = await readJson(req);
+                    if (body === undefined) {
+                        response = fail(400, 'Request body is not valid JSON');
+                    } else {
+                        response = handler({
+                            params: url.pathname.match(pattern).slice(1).map(decodeURIComponent),
+                            query: url.searchParams,
+                            body: body || {},
+                            headers: req.headers,
+                        });
+                    }
+                }
+            }
+        } catch (error) {
+            response = { status: 500, body: { message: 'Server Error', exception: error.message } };
+        }
+
+        const json = JSON.stringify(response.body);
+        res.writeHead(response.status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(json),
+            ...response.headers,
+        });
+        res.end(json);
+    });
+
+    for (const article of articles) {
+        insert(article);
+    }
+
+    return {
+        server,
+
+        /**
+         * Starts listening (port 0 = any free port). Resolves to the API
+         * base URL, e.g. http://127.0.0.1:41234/api
+         */
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    baseUrl = `http://${host}:${server.address().port}/api`;
+                    resolve(baseUrl);
+                });
+            });
+        },
+
+        close() {
+            return new Promise((resolve) => {
+                server.closeAllConnections?.();
+                server.close(() => resolve());
+            });
+        },
+
+        get baseUrl() {
+            return baseUrl;
+        },
+
+        /**
+         * The stored articles, including the hidden claim fields
+         */
+        get articles() {
+            return store;
+        },
+
+        addArticle: (fields) => resource(insert(fields)),
+
+        /**
+         * Makes the next `count` requests fail, e.g. to exercise retries:
+         *   failNext(2, { status: 503, retryAfter: 1 })
+         */
+        failNext(count = 1, { status = 503, retryAfter, message } = {}) {
+            for (let i = 0; i < count; i++) failures.push({ status, retryAfter, message });
+        },
+    };
+}
+
+/**
+ * The store/update rules of ArticleController, without the database ones
+ */
+function validateArticle(body, { creating }) {
+    const errors = {};
+    const present = (key) => creating || key in body;
+
+    if (present('title')) {
+        if (typeof body.title !== 'string' || !body.title.trim()) errors.title = ['Please provide an article title.'];
+        else if (body.title.length > 255) errors.title = ['Title cannot exceed 255 characters.'];
+    }
+    if (present('content')) {
+        if (typeof body.content !== 'string' || !body.content.trim()) errors.content = ['Article content is required.'];
+        else if (body.content.length < 10) errors.content = ['Article content must be at least 10 characters.'];
+    }
+    if (body.original_url != null && !/^https?:\/\/\S+$/i.test(body.original_url)) {
+        errors.original_url = ['Please provide a valid URL.'];
+    }
+    if (body.is_ai_updated !== undefined && typeof body.is_ai_updated !== 'boolean') {
+        errors.is_ai_updated = ['The is ai updated field must be true or false.'];
+    }
+    if (body.citations != null) {
+        if (!Array.isArray(body.citations)) errors.citations = ['The citations field must be an array.'];
+        else Object.assign(errors, validateCitations(body.citations));
+    }
+    return errors;
+}
+
+// Mirrors App\Rules\ValidCitation: a URL or a { url, title, ... } record
+function validateCitations(citations) {
+    const errors = {};
+    citations.forEach((citation, i) => {
+        const url = typeof citation === 'string' ? citation : citation?.url;
+        if (typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url)) {
+            errors[`citations.${i}`] = [`The citations.${i} must be a URL or a citation with a valid "url".`];
+        } else if (citation?.relevance != null && !(typeof citation.relevance === 'number' && citation.relevance >= 0 && citation.relevance <= 1)) {
+            errors[`citations.${i}`] = ['A citation "relevance" must be a number between 0 and 1.'];
+        }
+    });
+    return errors;
+}
+
+// Mirrors Article::normalizeCitations - bare URLs become records
+function normalizeCitations(citations) {
+    if (!Array.isArray(citations)) return citations ?? [];
+    return citations.map(citation => (typeof citation === 'string'
+        ? { url: citation, title: null, accessed_at: null, excerpt: null, relevance: null }
+        : {
+            url: citation.url,
+            title: citation.title ?? null,
+            accessed_at: citation.accessed_at ?? null,
+            excerpt: citation.excerpt ?? null,
+            relevance: citation.relevance ?? null,
+        }));
+}
+
+function slugify(title = '') {
+    return String(title)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Resolves to the parsed body, null for an empty one, undefined for invalid JSON
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) return resolve(null);
+            try {
+                resolve(JSON.parse(text));
+            } catch {
+                resolve(undefined);
+            }
+        });
+    });
+}
+
+// ============================================================================
+// STANDALONE - node lib/laravel/mock-server.js [--port 8000] [--token t] [--articles seed.json]
+// ============================================================================
+
+if (require.main === module) {
+    const fs = require('fs');
+    const arg = (name) => {
+        const i = process.argv.indexOf(`--${name}`);
+        return i > -1 ? process.argv[i + 1] : undefined;
+    };
+
+    const port = parseInt(arg('port') || process.env.MOCK_LARAVEL_PORT || '8000', 10);
+    const seedFile = arg('articles');
+    const seed = seedFile ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : SAMPLE_ARTICLES;
+
+    const mock = createMockLaravelServer({
+        articles: Array.isArray(seed) ? seed : seed.data || [],
+        token: arg('token') || process.env.LARAVEL_API_TOKEN || undefined,
+    });
+    const tokenNote = arg('token') || process.env.LARAVEL_API_TOKEN ? ', bearer token required' : '';
+
+    mock.listen(port, arg('host') || '127.0.0.1').then((url) => {
+        console.log(`🧪 Mock Laravel API on ${url} (${mock.articles.length} articles${tokenNote})`);
+    }).catch((error) => {
+        console.error(`❌ Could not start the mock API: ${error.message}`);
+        process.exit(1);
+    });
+
+    const stop = () => mock.close().then(() => process.exit(0));
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+module.exports = {
+    createMockLaravelServer,
+    SAMPLE_ARTICLES,
+};
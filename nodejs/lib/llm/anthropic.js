@@ -0,0 +1,95 @@
+/**
+ * ============================================================================
+ * ANTHROPIC PROVIDER
+ * ============================================================================
+ * 
+ * Calls the Anthropic Messages API directly with axios - the request is a
+ * single POST, so there is no need for another SDK dependency.
+ * 
+ * Docs: https://docs.anthropic.com/en/api/messages
+ */
+
+const axios = require('axios');
+const { LLMError, classifyError } = require('./errors');
+const { parseRetryAfter } = require('../concurrency');
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} options.model
+ * @param {string} [options.baseURL]
+ * @param {number} [options.timeout]
+ */
+function createAnthropicProvider({ apiKey, model, baseURL = 'https://api.anthropic.com', timeout }) {
+    return {
+        name: 'anthropic',
+        model,
+
+        async complete({ system, prompt, temperature = 0.7, maxTokens = 2000 }) {
+            let response;
+            try {
+                response = await axios.post(
+                    `${baseURL}/v1/messages`,
+                    {
+                        model,
+                        system,
+                        messages: [{ role: 'user', content: prompt }],
+                        temperature,
+                        max_tokens: maxTokens,
+                    },
+                    {
+                        timeout,
+                        headers: {
+                            'x-api-key': apiKey,
+                            'anthropic-version': API_VERSION,
+                            'Content-Type': 'application/json',
+                        },
+                    }
+                );
+            } catch (error) {
+                throw toLLMError(error);
+            }
+
+            const text = (response.data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+
+            return {
+                text: text.trim(),
+                truncated: response.data.stop_reason === 'max_tokens',
+                usage: {
+                    inputTokens: response.data.usage?.input_tokens || 0,
+                    outputTokens: response.data.usage?.output_tokens || 0,
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Converts an axios error from the Anthropic API into an LLMError.
+ * 
+ * Error body shape: { type: "error", error: { type: "rate_limit_error", message: "..." } }
+ */
+function toLLMError(error) {
+    const apiError = error.response?.data?.error || {};
+    const status = error.response?.status;
+
+    return new LLMError(apiError.message || error.message, {
+        kind: classifyError({
+            status,
+            code: error.code,
+            type: apiError.type,
+            message: apiError.message || error.message,
+        }),
+        provider: 'anthropic',
+        status,
+        retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after']),
+        cause: error,
+    });
+}
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,85 @@
+/**
+ * ============================================================================
+ * LLM ERRORS - Provider-neutral error classification
+ * ============================================================================
+ * 
+ * Every provider adapter converts its own errors into an LLMError with one
+ * of the kinds below, so the rest of the pipeline can react the same way
+ * (fallback on quota, retry on rate limits, ...) whichever backend is used.
+ */
+
+const LLM_ERROR_KINDS = {
+    QUOTA: 'quota',                     // Out of credits / billing limit reached
+    RATE_LIMIT: 'rate_limit',           // Too many requests - retry later
+    AUTH: 'auth',                       // Missing, invalid or unauthorized API key
+    UNAVAILABLE: 'unavailable',         // Server overloaded, 5xx, network failure
+    INVALID_REQUEST: 'invalid_request', // Bad model name, prompt too long, ...
+    UNKNOWN: 'unknown',
+};
+
+class LLMError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} details
+     * @param {string} details.kind          - One of LLM_ERROR_KINDS
+     * @param {string} details.provider      - Provider name (openai, anthropic, ...)
+     * @param {number} [details.status]      - HTTP status, if any
+     * @param {number} [details.retryAfterMs] - Server-suggested wait before retrying
+     */
+    constructor(message, { kind, provider, status, retryAfterMs, cause } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.kind = kind || LLM_ERROR_KINDS.UNKNOWN;
+        this.provider = provider;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.cause = cause;
+    }
+
+    /**
+     * Rate limits and temporary outages are worth retrying, everything else is not
+     */
+    get retryable() {
+        return this.kind === LLM_ERROR_KINDS.RATE_LIMIT || this.kind === LLM_ERROR_KINDS.UNAVAILABLE;
+    }
+}
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Maps the raw details of a failed request to an error kind.
+ * 
+ * The rules cover the error shapes of OpenAI, Anthropic and OpenAI-compatible
+ * servers (Ollama, llama.cpp):
+ *   - OpenAI reports an empty balance as 429 + code "insufficient_quota"
+ *   - Anthropic reports it as 400 + "credit balance is too low"
+ *   - Anthropic uses 529 for "overloaded"
+ */
+function classifyError({ status, code, type, message = '' }) {
+    const text = `${code || ''} ${type || ''} ${message}`.toLowerCase();
+
+    if (code === 'insufficient_quota' || status === 402 ||
+        text.includes('insufficient_quota') || text.includes('credit balance') || text.includes('exceeded your current quota')) {
+        return LLM_ERROR_KINDS.QUOTA;
+    }
+    if (status === 401 || status === 403 ||
+        ['invalid_api_key', 'authentication_error', 'permission_error'].some(c => text.includes(c))) {
+        return LLM_ERROR_KINDS.AUTH;
+    }
+    if (status === 429 || text.includes('rate_limit')) {
+        return LLM_ERROR_KINDS.RATE_LIMIT;
+    }
+    if ((status && status >= 500) || NETWORK_ERROR_CODES.includes(code) || text.includes('overloaded')) {
+        return LLM_ERROR_KINDS.UNAVAILABLE;
+    }
+    if (status === 400 || status === 404 || status === 422) {
+        return LLM_ERROR_KINDS.INVALID_REQUEST;
+    }
+    return LLM_ERROR_KINDS.UNKNOWN;
+}
+
+module.exports = {
+    LLM_ERROR_KINDS,
+    LLMError,
+    classifyError,
+};
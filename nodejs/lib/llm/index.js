@@ -0,0 +1,130 @@
+/**
+ * ============================================================================
+ * LLM PROVIDER LAYER
+ * ============================================================================
+ * 
+ * One interface for every language model backend. A provider looks like:
+ * 
+ *   {
+ *     name:  'openai',
+ *     model: 'gpt-3.5-turbo',
+ *     complete({ system, prompt, temperature, maxTokens })
+ *       → Promise<{ text, truncated, usage: { inputTokens, outputTokens } }>
+ *   }
+ * 
+ * Failures are always thrown as LLMError (see ./errors.js).
+ * 
+ * AVAILABLE PROVIDERS (LLM_PROVIDER):
+ *   openai    - OpenAI API (OPENAI_API_KEY)
+ *   anthropic - Anthropic API (ANTHROPIC_API_KEY)
+ *   local     - Any OpenAI-compatible server: Ollama, llama.cpp, ... (LOCAL_LLM_URL)
+ *   mock      - Deterministic offline provider for tests
+ */
+
+const { createOpenAIProvider } = require('./openai');
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider } = require('./mock');
+const { LLMError, LLM_ERROR_KINDS } = require('./errors');
+const { sleep, backoffDelay } = require('../concurrency');
+
+/**
+ * Provider factories keyed by name.
+ * Each returns null when the provider is missing required settings.
+ */
+const PROVIDERS = {
+    openai: (config) => config.openaiApiKey
+        ? createOpenAIProvider({
+            apiKey: config.openaiApiKey,
+            model: config.llmModel || config.openaiModel,
+            timeout: config.llmTimeout,
+        })
+        : null,
+
+    anthropic: (config) => config.anthropicApiKey
+        ? createAnthropicProvider({
+            apiKey: config.anthropicApiKey,
+            model: config.llmModel || config.anthropicModel,
+            timeout: config.llmTimeout,
+        })
+        : null,
+
+    local: (config) => createOpenAIProvider({
+        name: 'local',
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: config.localLlmApiKey || 'not-needed',
+        baseURL: config.localLlmUrl,
+        model: config.llmModel || config.localLlmModel,
+        timeout: config.llmTimeout,
+    }),
+
+    mock: (config) => createMockProvider({
+        failWith: config.mockLlmFailWith || undefined,
+    }),
+};
+
+/**
+ * Creates the provider selected by `config.llmProvider`.
+ * 
+ * Returns null when no provider is configured (e.g. "openai" without a key),
+ * so the caller can fall back to non-AI enhancement.
+ * 
+ * Every call to complete() goes through `limiter` (if given) and is retried
+ * up to `config.llmMaxRetries` times on rate limits and temporary outages,
+ * honoring the server's Retry-After hint when there is one.
+ * 
+ * `onUsage` is called with { provider, model, inputTokens, outputTokens }
+ * after every successful completion (token accounting), `log` receives
+ * retry messages.
+ */
+function createLLMProvider(config, { limiter, onUsage, log = console.log } = {}) {
+    const factory = PROVIDERS[config.llmProvider];
+
+    if (!factory) {
+        if (config.llmProvider && config.llmProvider !== 'none') {
+            throw new Error(`Unknown LLM_PROVIDER "${config.llmProvider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+        return null;
+    }
+
+    const provider = factory(config);
+    if (!provider) return null;
+
+    const schedule = limiter ? (task) => limiter.schedule(task) : (task) => task();
+    const maxRetries = config.llmMaxRetries ?? 2;
+
+    return {
+        ...provider,
+
+        async complete(request) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const result = await schedule(() => provider.complete(request));
+                    if (onUsage) {
+                        onUsage({ provider: provider.name, model: provider.model, ...result.usage });
+                    }
+                    return result;
+                } catch (error) {
+                    const llmError = error instanceof LLMError
+                        ? error
+                        : new LLMError(error.message, { provider: provider.name, cause: error });
+
+                    if (!llmError.retryable || attempt >= maxRetries) {
+                        throw llmError;
+                    }
+
+                    // Exponential backoff: ~2s, 4s, 8s... unless the server told us how long to wait
+                    const delay = llmError.retryAfterMs ?? backoffDelay(attempt, 2000);
+                    log(`   ⏳ ${provider.name}: ${llmError.kind} - retrying in ${Math.round(delay / 1000)}s`);
+                    await sleep(delay);
+                }
+            }
+        },
+    };
+}
+
+module.exports = {
+    PROVIDERS,
+    createLLMProvider,
+    LLMError,
+    LLM_ERROR_KINDS,
+};
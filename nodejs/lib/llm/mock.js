@@ -0,0 +1,78 @@
+/**
+ * ============================================================================
+ * MOCK PROVIDER - Deterministic, offline LLM for testing the pipeline
+ * ============================================================================
+ * 
+ * Never touches the network. The same prompt always produces the same output,
+ * so full pipeline runs can be compared and replayed.
+ * 
+ * The "rewrite" echoes the block of the prompt that follows the line starting
+ * with "ORIGINAL" (up to the next "---" separator), tidied into paragraphs.
+ * Without such a block it echoes the whole prompt. If the prompt lists a
+ * "REFERENCE n - ..." block, the first paragraph cites it with an inline [n].
+ * 
+ * A prompt that asks for a JSON object ("Answer with ONLY a JSON object")
+ * gets an empty object, so callers fall back to their own defaults.
+ * 
+ * Setting `failWith` to an error kind (e.g. "quota", "rate_limit") makes every
+ * call fail with that kind, to exercise the error handling paths.
+ */
+
+const { LLMError } = require('./errors');
+
+const FIRST_REFERENCE = /^REFERENCE (\d+) - /m;
+
+// Ends at the next "---" line or the end of the prompt (not the end of a line)
+const ORIGINAL_BLOCK = /^ORIGINAL[^\n]*:\n([\s\S]*?)(?:\n---|(?![\s\S]))/m;
+
+const JSON_REQUEST = /^Answer with ONLY a JSON object/m;
+
+function createMockProvider({ model = 'mock-1', failWith } = {}) {
+    return {
+        name: 'mock',
+        model,
+
+        async complete({ system = '', prompt }) {
+            if (failWith) {
+                throw new LLMError(`Mock provider configured to fail with "${failWith}"`, {
+                    kind: failWith,
+                    provider: 'mock',
+                });
+            }
+
+            if (JSON_REQUEST.test(prompt)) {
+                return {
+                    text: '{}',
+                    truncated: false,
+                    usage: { inputTokens: Math.ceil((system.length + prompt.length) / 4), outputTokens: 1 },
+                };
+            }
+
+            const match = prompt.match(ORIGINAL_BLOCK);
+            const source = (match ? match[1] : prompt).trim();
+
+            const paragraphs = source
+                .split(/\n\s*\n/)
+                .map(paragraph => paragraph.replace(/[ \t]+/g, ' ').trim())
+                .filter(Boolean);
+
+            const reference = prompt.match(FIRST_REFERENCE);
+            if (reference && paragraphs.length > 0 && !/^#{1,6} /.test(paragraphs[0])) {
+                paragraphs[0] += ` [${reference[1]}]`;
+            }
+
+            const text = paragraphs.join('\n\n');
+
+            return {
+                text,
+                truncated: false,
+                usage: {
+                    inputTokens: Math.ceil((system.length + prompt.length) / 4),
+                    outputTokens: Math.ceil(text.length / 4),
+                },
+            };
+        },
+    };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,91 @@
+/**
+ * ============================================================================
+ * OPENAI PROVIDER (and OpenAI-compatible local servers)
+ * ============================================================================
+ * 
+ * Uses the official `openai` SDK. Passing a custom `baseURL` makes the same
+ * adapter work with any server that speaks the OpenAI chat completions API:
+ *   - Ollama:    http://localhost:11434/v1
+ *   - llama.cpp: http://localhost:8080/v1
+ */
+
+const OpenAI = require('openai');
+const { LLMError, LLM_ERROR_KINDS, classifyError } = require('./errors');
+const { parseRetryAfter } = require('../concurrency');
+
+/**
+ * @param {object} options
+ * @param {string} options.name      - Provider name used in logs and errors
+ * @param {string} options.apiKey
+ * @param {string} options.model
+ * @param {string} [options.baseURL] - Set for OpenAI-compatible servers
+ * @param {number} [options.timeout]
+ */
+function createOpenAIProvider({ name = 'openai', apiKey, model, baseURL, timeout }) {
+    const client = new OpenAI({
+        apiKey,
+        baseURL,
+        timeout,
+        // Retries are handled by the provider layer, the same way for every backend
+        maxRetries: 0,
+    });
+
+    return {
+        name,
+        model,
+
+        async complete({ system, prompt, temperature = 0.7, maxTokens = 2000 }) {
+            let completion;
+            try {
+                completion = await client.chat.completions.create({
+                    model,
+                    messages: [
+                        { role: 'system', content: system },
+                        { role: 'user', content: prompt },
+                    ],
+                    temperature,
+                    max_tokens: maxTokens,
+                });
+            } catch (error) {
+                throw toLLMError(error, name);
+            }
+
+            return {
+                text: (completion.choices[0]?.message?.content || '').trim(),
+                // The model hit maxTokens and stopped mid-answer
+                truncated: completion.choices[0]?.finish_reason === 'length',
+                usage: {
+                    inputTokens: completion.usage?.prompt_tokens || 0,
+                    outputTokens: completion.usage?.completion_tokens || 0,
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Converts an `openai` SDK error into an LLMError
+ */
+function toLLMError(error, provider) {
+    // Connection problems have no HTTP status (server down, DNS, timeout)
+    const isConnectionError = /Connection/.test(error.constructor?.name || '');
+
+    const kind = isConnectionError
+        ? LLM_ERROR_KINDS.UNAVAILABLE
+        : classifyError({
+            status: error.status,
+            code: error.code || error.cause?.code,
+            type: error.type,
+            message: error.message,
+        });
+
+    return new LLMError(error.message, {
+        kind,
+        provider,
+        status: error.status,
+        retryAfterMs: parseRetryAfter(error.headers?.['retry-after']),
+        cause: error,
+    });
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,135 @@
+/**
+ * ============================================================================
+ * LOGGER - Human-readable or JSON-lines output with per-article context
+ * ============================================================================
+ * 
+ * Two formats (LOG_FORMAT):
+ * 
+ *   pretty - the emoji progress lines for humans. In batch mode every line
+ *            is prefixed with its worker and article: "[W2 #17] ..."
+ *   json   - one JSON object per line, for cron logs and log shippers:
+ *            {"time":"...","level":"info","msg":"Found 3 reference URLs",
+ *             "articleId":17,"step":"search","worker":2,"count":3}
+ * 
+ * The article ID, step and worker come from an AsyncLocalStorage context,
+ * so code deep inside the pipeline (scraper, LLM retries) doesn't need a
+ * logger passed around to produce tagged lines:
+ * 
+ *   logger.run({ articleId: 17, worker: 2 }, async () => {
+ *       logger.set({ step: 'search' });
+ *       logger.info('   ✅ Found 3 reference URLs', { count: 3 });
+ *   });
+ * 
+ * Decoration (banners, tables, blank lines) goes through print() and only
+ * appears in pretty mode; event() is its counterpart that only appears in
+ * JSON mode.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const FORMATS = ['pretty', 'json'];
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.format='pretty'] - 'pretty' or 'json'
+ * @param {string} [options.level='info']    - Lowest level written
+ * @param {NodeJS.WritableStream} [options.stdout=process.stdout]
+ * @param {NodeJS.WritableStream} [options.stderr=process.stderr] - Pretty-mode errors
+ */
+function createLogger({ format = 'pretty', level = 'info', stdout = process.stdout, stderr = process.stderr } = {}) {
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown log format "${format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    const storage = new AsyncLocalStorage();
+    const json = format === 'json';
+
+    function write(levelName, message, fields = {}) {
+        if (LEVELS[levelName] < LEVELS[level]) return;
+
+        const context = storage.getStore() || {};
+        const text = String(message ?? '');
+
+        if (json) {
+            const msg = toPlainMessage(text);
+            if (!msg) return; // spacing lines carry no information
+
+            stdout.write(JSON.stringify({
+                time: new Date().toISOString(),
+                level: levelName,
+                msg,
+                ...context,
+                ...fields,
+            }) + '\n');
+            return;
+        }
+
+        const stream = levelName === 'error' ? stderr : stdout;
+        if (context.worker !== undefined) {
+            // Parallel workers interleave, so every line says where it comes from
+            if (text.trim()) stream.write(`[W${context.worker} #${context.articleId}] ${text.trim()}\n`);
+        } else {
+            stream.write(text + '\n');
+        }
+    }
+
+    return {
+        format,
+        json,
+
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+
+        /**
+         * Pretty mode only: banners, tables and spacing
+         */
+        print(...lines) {
+            if (json) return;
+            for (const line of lines) stdout.write(line + '\n');
+        },
+
+        /**
+         * JSON mode only: a structured record that pretty mode shows as a banner or table
+         */
+        event(message, fields) {
+            if (json) write('info', message, fields);
+        },
+
+        /**
+         * Runs `task` with extra context (articleId, worker, ...) on every line it logs
+         */
+        run(context, task) {
+            return storage.run({ ...storage.getStore(), ...context }, task);
+        },
+
+        /**
+         * Adds fields to the current context, e.g. the step that just started
+         */
+        set(fields) {
+            const store = storage.getStore();
+            if (store) Object.assign(store, fields);
+        },
+    };
+}
+
+/**
+ * "   ✅ Found 3 URLs" → "Found 3 URLs": no indentation, emoji or bullets
+ */
+function toPlainMessage(text) {
+    return text
+        .replace(/^[^\p{L}\p{N}"'(\[]+/u, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    FORMATS,
+    LEVELS,
+    createLogger,
+};
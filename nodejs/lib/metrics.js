@@ -0,0 +1,178 @@
+/**
+ * ============================================================================
+ * METRICS - Prometheus textfile export of run totals
+ * ============================================================================
+ * 
+ * After every run the totals of the run report are added to a file in the
+ * Prometheus text exposition format, for node_exporter's textfile collector
+ * (METRICS_FILE=/var/lib/node_exporter/textfile/rewriter.prom).
+ * 
+ * Counters (*_total) are cumulative over all runs: the previous file is read
+ * and this run's numbers are added, so spend and failure rates can be
+ * graphed with increase() or rate() even when runs are shorter than the
+ * scrape interval. Gauges (rewriter_last_run_*) describe the latest run.
+ * 
+ * The file is replaced atomically, so the collector never reads half of it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COUNTERS = {
+    rewriter_runs_total: 'Rewriter runs',
+    rewriter_articles_total: 'Articles processed, by outcome',
+    rewriter_step_duration_seconds_total: 'Time spent in each pipeline step',
+    rewriter_step_runs_total: 'Executions of each pipeline step',
+    rewriter_scrape_requests_total: 'Reference URLs scraped, by outcome',
+    rewriter_llm_requests_total: 'LLM completions',
+    rewriter_llm_tokens_total: 'LLM tokens, by direction',
+    rewriter_llm_cost_usd_total: 'Estimated LLM cost in USD',
+};
+
+const GAUGES = {
+    rewriter_last_run_timestamp_seconds: 'Time the last run finished',
+    rewriter_last_run_duration_seconds: 'Duration of the last run',
+    rewriter_last_run_articles: 'Articles in the last run, by outcome',
+    rewriter_last_run_scrape_success_ratio: 'Share of reference URLs scraped successfully in the last run',
+};
+
+/**
+ * Adds the report's totals to the metrics file (created if missing).
+ * 
+ * @param {string} file   - Target .prom file
+ * @param {object} report - Finished run report (see run-report.js)
+ */
+function writeMetricsFile(file, report) {
+    const previous = readSamples(file);
+    const samples = new Map();
+
+    // Carry over every counter of earlier runs
+    for (const [key, sample] of previous) {
+        if (sample.name in COUNTERS) samples.set(key, sample);
+    }
+
+    const add = (name, labels, value) => {
+        if (!Number.isFinite(value)) return;
+        const key = sampleKey(name, labels);
+        const current = samples.get(key);
+        samples.set(key, { name, labels, value: (current ? current.value : 0) + value });
+    };
+    const set = (name, labels, value) => {
+        if (!Number.isFinite(value)) return;
+        samples.set(sampleKey(name, labels), { name, labels, value });
+    };
+
+    const mode = { mode: report.mode, dry_run: String(report.dry_run) };
+
+    add('rewriter_runs_total', mode, 1);
+    for (const article of report.articles.results) {
+        add('rewriter_articles_total', { status: article.status }, 1);
+    }
+    for (const [step, s] of Object.entries(report.steps)) {
+        add('rewriter_step_duration_seconds_total', { step }, s.total_ms / 1000);
+        add('rewriter_step_runs_total', { step }, s.count);
+    }
+    add('rewriter_scrape_requests_total', { outcome: 'ok' }, report.scrape.succeeded);
+    for (const [outcome, count] of Object.entries(report.scrape.failures)) {
+        add('rewriter_scrape_requests_total', { outcome }, count);
+    }
+    for (const m of report.llm.by_model) {
+        const labels = { provider: m.provider, model: m.model };
+        add('rewriter_llm_requests_total', labels, m.requests);
+        add('rewriter_llm_tokens_total', { ...labels, direction: 'input' }, m.input_tokens);
+        add('rewriter_llm_tokens_total', { ...labels, direction: 'output' }, m.output_tokens);
+        if (m.estimated_cost_usd !== null) {
+            add('rewriter_llm_cost_usd_total', labels, m.estimated_cost_usd);
+        }
+    }
+
+    set('rewriter_last_run_timestamp_seconds', {}, Math.floor(Date.parse(report.finished_at) / 1000));
+    set('rewriter_last_run_duration_seconds', {}, report.duration_ms / 1000);
+    for (const status of ['published', 'previewed', 'rejected', 'failed']) {
+        set('rewriter_last_run_articles', { status }, report.articles[status] || 0);
+    }
+    if (report.scrape.success_rate !== null) {
+        set('rewriter_last_run_scrape_success_ratio', {}, report.scrape.success_rate);
+    }
+
+    const target = path.resolve(file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, render(samples));
+    fs.renameSync(tmp, target);
+    return target;
+}
+
+/**
+ * Text exposition format: HELP and TYPE once per metric, then its samples
+ */
+function render(samples) {
+    const lines = [];
+    const metrics = [
+        ...Object.entries(COUNTERS).map(([name, help]) => ({ name, help, type: 'counter' })),
+        ...Object.entries(GAUGES).map(([name, help]) => ({ name, help, type: 'gauge' })),
+    ];
+
+    for (const { name, help, type } of metrics) {
+        const own = [...samples.values()].filter(s => s.name === name);
+        if (own.length === 0) continue;
+
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        own.sort((a, b) => formatLabels(a.labels).localeCompare(formatLabels(b.labels)));
+        for (const sample of own) {
+            lines.push(`${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parses the samples of an earlier file (comments are skipped).
+ * A missing or unreadable file means starting from zero.
+ */
+function readSamples(file) {
+    const samples = new Map();
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch {
+        return samples;
+    }
+
+    for (const line of text.split('\n')) {
+        const match = line.match(/^([a-zA-Z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)$/);
+        if (!match) continue;
+
+        const labels = {};
+        for (const [, key, value] of (match[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+            labels[key] = value.replace(/\\(.)/g, (_, c) => (c === 'n' ? '\n' : c));
+        }
+        const value = Number(match[3]);
+        if (Number.isFinite(value)) {
+            samples.set(sampleKey(match[1], labels), { name: match[1], labels, value });
+        }
+    }
+
+    return samples;
+}
+
+function sampleKey(name, labels) {
+    return name + formatLabels(labels);
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels).sort(([a], [b]) => a.localeCompare(b));
+    if (entries.length === 0) return '';
+    const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    return Number.isInteger(value) ? String(value) : String(Math.round(value * 1e6) / 1e6);
+}
+
+module.exports = {
+    writeMetricsFile,
+};
@@ -0,0 +1,278 @@
+/**
+ * ============================================================================
+ * OFFLINE ENHANCER - An article-specific enhancement without an LLM
+ * ============================================================================
+ * 
+ * Used when no LLM is configured or its quota is used up. Everything is
+ * drawn from the article and its scraped references, so nothing is made up
+ * and nothing needs the network:
+ * 
+ *   In Brief            - Extractive summary: the article's most central
+ *                         sentences (TextRank), in their original order
+ *   Contents            - Table of contents from the article's headings
+ *   (the article itself)
+ *   Key Takeaways       - The next most central sentences, without repeats
+ *   What Other Sources Say - Reference sentences closest to the article's
+ *                         topic, quoted with their [n] reference marker
+ * 
+ * TextRank (Mihalcea & Tarau, 2004) ranks sentences like PageRank ranks
+ * pages: a sentence that shares words with many other sentences is central
+ * to the text. Sentence similarity is the number of shared (stemmed)
+ * content words, normalized by the sentence lengths.
+ * 
+ * The added sections stay within a word budget, so the result passes the
+ * quality gate's length check, and quotes stay shorter than its copied-run
+ * limit.
+ */
+
+const { countWords, contentTokens, stem, toPlainText, tokenize } = require('./text');
+
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 50;
+const CONVERGENCE = 1e-4;
+
+// Sentences outside this range make poor summary lines or takeaways
+const MIN_SENTENCE_WORDS = 6;
+const MAX_SENTENCE_WORDS = 40;
+
+// Takeaways more similar than this to an already chosen sentence are repeats
+const MAX_REDUNDANCY = 0.5;
+
+/**
+ * @param {object} article - { title, content }
+ * @param {Array<object>} references - { url, title, content } in prompt order
+ * @param {object} [options]
+ * @param {number} [options.maxAddedRatio=0.45] - Added words, as a share of the article's words
+ * @param {number} [options.maxQuoteWords=24]    - Longest reference sentence that may be quoted
+ * @param {number} [options.summarySentences=3]
+ * @param {number} [options.takeaways=4]
+ * @param {number} [options.quotes=3]
+ * @returns {{ content: string, excerpts: Array<{ referenceIndex: number, title: string, text: string }> }}
+ *          The enhanced Markdown (with [n] markers) and the quoted passages
+ */
+function enhanceOffline(article, references = [], {
+    maxAddedRatio = 0.45,
+    maxQuoteWords = 24,
+    summarySentences = 3,
+    takeaways = 4,
+    quotes = 3,
+} = {}) {
+    const content = (article.content || '').trim();
+    // The new sections go below the article's own title heading, if it has one
+    const [, title = '', body = content] = content.match(/^(#\s+[^\n]+)\n+([\s\S]*)$/) || [];
+    const sentences = splitSentences(content);
+    const scores = rankSentences(sentences.map(s => s.text));
+
+    // Each section gets a share of the budget; what one leaves over goes to the next
+    let budget = 0;
+    let unspent = Math.floor(countWords(content) * maxAddedRatio);
+    const allot = (share) => {
+        const amount = Math.floor(unspent * share);
+        unspent -= amount;
+        budget += amount;
+    };
+    const spend = (markdown) => {
+        const words = countWords(markdown);
+        if (words > budget) return false;
+        budget -= words;
+        return true;
+    };
+
+    // Most central first; ties keep document order
+    const ranked = sentences
+        .map((sentence, index) => ({ ...sentence, index, score: scores[index] }))
+        .filter(s => s.words >= MIN_SENTENCE_WORDS && s.words <= MAX_SENTENCE_WORDS)
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    // The first sentence of a section also pays for its heading
+    const chosen = [];
+    const pick = (limit, heading) => {
+        const picked = [];
+        for (const sentence of ranked) {
+            if (picked.length >= limit) break;
+            if (chosen.includes(sentence)) continue;
+            if (chosen.some(other => similarity(other.terms, sentence.terms) > MAX_REDUNDANCY)) continue;
+            if (!spend(picked.length === 0 ? `${heading} ${sentence.text}` : sentence.text)) continue;
+            chosen.push(sentence);
+            picked.push(sentence);
+        }
+        return picked;
+    };
+
+    const sections = { before: [], after: [] };
+    const excerpts = [];
+
+    // The table of contents is short - it goes first, so the summary cannot crowd it out
+    allot(0.4);
+    const contents = tableOfContents(body);
+    const hasContents = Boolean(contents) && spend(`Contents ${contents}`);
+
+    const summary = pick(summarySentences, 'In Brief').sort((a, b) => a.index - b.index);
+    if (summary.length > 0) {
+        sections.before.push(`## In Brief\n\n${summary.map(s => s.text).join(' ')}`);
+    }
+    if (hasContents) {
+        sections.before.push(`## Contents\n\n${contents}`);
+    }
+
+    allot(0.5);
+    const keyPoints = pick(takeaways, 'Key Takeaways');
+    if (keyPoints.length > 0) {
+        sections.after.push(`## Key Takeaways\n\n${keyPoints.map(s => `- ${s.text}`).join('\n')}`);
+    }
+
+    allot(1);
+    const supporting = [];
+    for (const quote of findSupportingSentences(content, references, { maxQuoteWords, limit: quotes })) {
+        const line = `- “${quote.text}” - *${quote.title}* [${quote.referenceIndex + 1}]`;
+        if (!spend(supporting.length === 0 ? `What Other Sources Say ${line}` : line)) continue;
+        supporting.push(line);
+        excerpts.push({ referenceIndex: quote.referenceIndex, title: quote.title, text: quote.text });
+    }
+    if (supporting.length > 0) {
+        sections.after.push(`## What Other Sources Say\n\n${supporting.join('\n')}`);
+    }
+
+    return {
+        content: [title, ...sections.before, body, ...sections.after].filter(Boolean).join('\n\n'),
+        excerpts,
+    };
+}
+
+/**
+ * TextRank scores, one per sentence (higher = more central)
+ * 
+ * @param {string[]} sentences
+ * @returns {number[]}
+ */
+function rankSentences(sentences) {
+    const terms = sentences.map(termsOf);
+    const n = sentences.length;
+
+    const weights = terms.map((a, i) => terms.map((b, j) => {
+        if (i === j || a.size < 2 || b.size < 2) return 0;
+        let shared = 0;
+        for (const term of a) if (b.has(term)) shared++;
+        return shared / (Math.log(a.size) + Math.log(b.size));
+    }));
+    const outgoing = weights.map(row => row.reduce((sum, w) => sum + w, 0));
+
+    let scores = new Array(n).fill(1);
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        const next = scores.map((_, i) => {
+            let incoming = 0;
+            for (let j = 0; j < n; j++) {
+                if (weights[j][i] > 0) incoming += (weights[j][i] / outgoing[j]) * scores[j];
+            }
+            return (1 - DAMPING) + DAMPING * incoming;
+        });
+        const change = next.reduce((sum, score, i) => sum + Math.abs(score - scores[i]), 0);
+        scores = next;
+        if (change < CONVERGENCE) break;
+    }
+
+    return scores;
+}
+
+/**
+ * The article's headings as a nested list (levels 1-3)
+ * Returns null for fewer than three headings - not worth a table of contents.
+ */
+function tableOfContents(content) {
+    const headings = [...content.matchAll(/^(#{1,3})\s+(.+?)\s*#*\s*$/gm)]
+        .map(([, hashes, text]) => ({ level: hashes.length, text: toPlainText(text) }))
+        .filter(h => h.text);
+    if (headings.length < 3) return null;
+
+    const top = Math.min(...headings.map(h => h.level));
+    return headings
+        .map(h => `${'  '.repeat(h.level - top)}- ${h.text}`)
+        .join('\n');
+}
+
+/**
+ * The reference sentence closest to the article's topic, per reference,
+ * best first. A sentence must share at least three content words with the
+ * article, and be short enough to quote without tripping the overlap check.
+ */
+function findSupportingSentences(content, references, { maxQuoteWords, limit }) {
+    // How often the article uses each (stemmed) word - its topic, roughly
+    const topic = new Map();
+    contentTokens(toPlainText(content)).map(stem).forEach(term => topic.set(term, (topic.get(term) || 0) + 1));
+    const articleSentences = new Set(splitSentences(content).map(s => s.text.toLowerCase()));
+
+    const candidates = [];
+    references.forEach((reference, referenceIndex) => {
+        let best = null;
+        for (const sentence of splitSentences(reference.content || '')) {
+            if (sentence.words < MIN_SENTENCE_WORDS || tokenize(sentence.text).length > maxQuoteWords) continue;
+            if (articleSentences.has(sentence.text.toLowerCase())) continue;
+
+            const shared = [...sentence.terms].filter(term => topic.has(term));
+            if (shared.length < 3) continue;
+
+            const score = shared.reduce((sum, term) => sum + Math.log(1 + topic.get(term)), 0) / Math.sqrt(sentence.terms.size);
+            if (!best || score > best.score) best = { ...sentence, score };
+        }
+        if (best) {
+            candidates.push({ referenceIndex, title: reference.title || reference.url, text: best.text, score: best.score });
+        }
+    });
+
+    // Mirrors and syndicated copies would otherwise be quoted twice
+    const seen = new Set();
+    return candidates
+        .sort((a, b) => b.score - a.score || a.referenceIndex - b.referenceIndex)
+        .filter(candidate => {
+            const key = candidate.text.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, limit);
+}
+
+/**
+ * Prose sentences of a Markdown text, with their stemmed content words.
+ * Headings, code blocks and tables are skipped; list items count as sentences.
+ */
+function splitSentences(markdown) {
+    const sentences = [];
+
+    for (const block of markdown.replace(/```[\s\S]*?```/g, '\n\n').split(/\n\s*\n/)) {
+        const prose = block
+            .split('\n')
+            .filter(line => !/^\s{0,3}#{1,6}\s/.test(line) && !/^\s*\|/.test(line) && !/^\s*(?:-{3,}|\*{3,})\s*$/.test(line))
+            .map(line => (/^\s*(?:[-*+•]|\d+\.)\s+/.test(line) ? `\n${line}` : line))
+            .join(' ');
+
+        // A list item is a sentence of its own, even without a full stop
+        for (const item of prose.split('\n')) {
+            const text = toPlainText(item).replace(/\s+/g, ' ').trim();
+            for (const match of text.match(/[^.!?]+(?:[.!?]+["'”’)\]]*|$)/g) || []) {
+                const sentence = match.trim();
+                if (!/\p{L}/u.test(sentence)) continue;
+                sentences.push({ text: sentence, words: countWords(sentence), terms: termsOf(sentence) });
+            }
+        }
+    }
+
+    return sentences;
+}
+
+function termsOf(text) {
+    return new Set(contentTokens(text).map(stem));
+}
+
+// Jaccard similarity of two term sets
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const term of a) if (b.has(term)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+module.exports = {
+    enhanceOffline,
+    rankSentences,
+};
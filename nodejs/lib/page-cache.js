@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ * PAGE CACHE - On-disk cache for scraped reference pages
+ * ============================================================================
+ * 
+ * Stores every scraped page as one JSON file, keyed by a hash of its URL:
+ * 
+ *   .cache/pages/<sha256(url)>.json
+ *   {
+ *     url, fetchedAt, status, etag, lastModified,
+ *     html,        // raw response body
+ *     extracted    // output of lib/extract.js
+ *   }
+ * 
+ * MODES (SCRAPE_CACHE_MODE):
+ *   normal  - Fresh entries (younger than the TTL) are used as-is, stale ones
+ *             are revalidated with If-None-Match / If-Modified-Since
+ *   refresh - Always revalidate, even fresh entries
+ *   offline - Never touch the network; a missing entry is an error.
+ *             Lets the whole pipeline replay against recorded pages.
+ *   off     - No caching at all
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_MODES = ['normal', 'refresh', 'offline', 'off'];
+
+class CacheMissError extends Error {
+    constructor(url) {
+        super(`Page not in cache (offline mode): ${url}`);
+        this.name = 'CacheMissError';
+        this.url = url;
+    }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dir        - Cache directory
+ * @param {number} options.ttlSeconds - How long an entry counts as fresh
+ * @param {string} [options.mode]     - One of CACHE_MODES
+ */
+function createPageCache({ dir, ttlSeconds, mode = 'normal' }) {
+    if (!CACHE_MODES.includes(mode)) {
+        throw new Error(`Unknown SCRAPE_CACHE_MODE "${mode}". Use one of: ${CACHE_MODES.join(', ')}`);
+    }
+
+    const fileFor = (url) => {
+        // The fragment never changes the page - "#comments" and no fragment share one entry
+        const key = crypto.createHash('sha256').update(url.split('#')[0]).digest('hex');
+        return path.join(dir, `${key}.json`);
+    };
+
+    return {
+        mode,
+
+        /**
+         * Returns the cached entry for a URL, or null
+         */
+        get(url) {
+            if (mode === 'off') return null;
+            try {
+                return JSON.parse(fs.readFileSync(fileFor(url), 'utf8'));
+            } catch {
+                return null; // missing or unreadable - treat as a miss
+            }
+        },
+
+        /**
+         * Stores an entry. Written to a temp file first and renamed, so parallel
+         * workers never read a half-written file.
+         */
+        save(url, entry) {
+            if (mode === 'off' || mode === 'offline') return;
+            fs.mkdirSync(dir, { recursive: true });
+            const file = fileFor(url);
+            const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify({ url, ...entry }));
+            fs.renameSync(tmp, file);
+        },
+
+        /**
+         * An entry is fresh if it was fetched (or revalidated) within the TTL
+         */
+        isFresh(entry) {
+            if (!entry || mode === 'refresh') return false;
+            return Date.now() - Date.parse(entry.fetchedAt) < ttlSeconds * 1000;
+        },
+
+        /**
+         * Request headers that let the server answer "304 Not Modified"
+         */
+        conditionalHeaders(entry) {
+            const headers = {};
+            if (entry?.etag) headers['If-None-Match'] = entry.etag;
+            if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+            return headers;
+        },
+    };
+}
+
+module.exports = {
+    CACHE_MODES,
+    CacheMissError,
+    createPageCache,
+};
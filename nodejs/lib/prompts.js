@@ -0,0 +1,117 @@
+/**
+ * ============================================================================
+ * PROMPTS - Versioned prompt templates and style profiles
+ * ============================================================================
+ * 
+ * The LLM prompts live in nodejs/prompts/ as plain text templates, so their
+ * wording can be changed without touching code:
+ * 
+ *   prompts/
+ *   ├── manifest.json      - version, template files, fixed phrases, style profiles
+ *   ├── system.txt         - system prompt (role, style, rules)
+ *   ├── rewrite.txt        - user prompt for one article (or one chunk of it)
+ *   ├── part.txt           - extra context when a long article is rewritten in parts
+ *   ├── previous-part.txt  - end of the previous rewritten part
+ *   ├── feedback.txt       - why the previous draft was rejected
+ *   └── seo.txt            - meta title, description, keywords and FAQ as JSON
+ * 
+ * Templates use {{variable}} placeholders. Rendering with a variable
+ * missing is an error, so a typo in a template fails loudly instead of
+ * sending "{{titel}}" to the model.
+ * 
+ * Bump "version" in manifest.json whenever a template or profile changes:
+ * the version and style profile are published with every article, so
+ * output quality can be compared across prompt revisions.
+ * 
+ * A style profile sets the audience, tone, extra guidance and sampling
+ * temperature, e.g. "technical-deep-dive", "beginner-guide" or "marketing".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+const REQUIRED_TEMPLATES = ['system', 'rewrite', 'part', 'previousPart', 'feedback', 'seo'];
+const REQUIRED_PROFILE_FIELDS = ['name', 'audience', 'tone', 'guidance'];
+
+/**
+ * Loads and validates a prompt directory.
+ * 
+ * @param {string} dir - Directory containing manifest.json
+ * @returns {{ version: string, defaultProfile: string, profiles: object, text: object,
+ *             profile: Function, render: Function }}
+ * @throws {Error} If the manifest, a template or a profile is missing or invalid
+ */
+function loadPrompts(dir) {
+    const manifestFile = path.join(dir, 'manifest.json');
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot load prompt manifest ${manifestFile}: ${error.message}`);
+    }
+
+    if (!manifest.version) {
+        throw new Error(`${manifestFile} has no "version"`);
+    }
+
+    const templates = {};
+    for (const name of REQUIRED_TEMPLATES) {
+        const file = manifest.templates?.[name];
+        if (!file) {
+            throw new Error(`${manifestFile} does not list the "${name}" template`);
+        }
+        // One trailing newline is just the end of the file, not part of the prompt
+        templates[name] = fs.readFileSync(path.join(dir, file), 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+    }
+
+    const profiles = manifest.profiles || {};
+    for (const [key, profile] of Object.entries(profiles)) {
+        const missing = REQUIRED_PROFILE_FIELDS.filter(field => !profile[field]);
+        if (missing.length > 0) {
+            throw new Error(`Style profile "${key}" is missing: ${missing.join(', ')}`);
+        }
+    }
+    if (!profiles[manifest.defaultProfile]) {
+        throw new Error(`Default style profile "${manifest.defaultProfile}" is not defined in ${manifestFile}`);
+    }
+
+    return {
+        version: String(manifest.version),
+        defaultProfile: manifest.defaultProfile,
+        profiles,
+        text: manifest.text || {},
+
+        /**
+         * The profile with its key, e.g. { key: 'marketing', name: 'Marketing', tone, ... }
+         * @throws {Error} For an unknown profile
+         */
+        profile(key = manifest.defaultProfile) {
+            if (!profiles[key]) {
+                throw new Error(`Unknown style profile "${key}". Use one of: ${Object.keys(profiles).join(', ')}`);
+            }
+            return { key, temperature: 0.7, ...profiles[key] };
+        },
+
+        /**
+         * Fills a template's {{placeholders}} from `vars`
+         * @throws {Error} If the template uses a variable that isn't given
+         */
+        render(name, vars) {
+            if (!(name in templates)) {
+                throw new Error(`Unknown prompt template "${name}"`);
+            }
+            return templates[name].replace(PLACEHOLDER, (placeholder, variable) => {
+                if (vars[variable] === undefined || vars[variable] === null) {
+                    throw new Error(`Prompt template "${name}" uses ${placeholder}, which was not provided`);
+                }
+                return String(vars[variable]);
+            });
+        },
+    };
+}
+
+module.exports = {
+    loadPrompts,
+};
@@ -0,0 +1,173 @@
+/**
+ * ============================================================================
+ * QUALITY GATE - Automated checks before a rewrite is published
+ * ============================================================================
+ * 
+ * Every draft is checked for:
+ * 
+ *   length      - Within 50% of the original word count (prompt rule 6)
+ *   meta        - No meta-commentary ("Here is the rewritten article", "As an AI...")
+ *   overlap     - No long word-for-word runs copied from a reference (possible plagiarism)
+ *   readability - Flesch Reading Ease at or above a minimum - or, for an
+ *                 original that is hard to read itself, not clearly worse
+ *                 than the original
+ * 
+ * evaluateDraft() returns a report with every check's numbers plus a list
+ * of human-readable reasons for the failed ones. The reasons double as
+ * corrective feedback for the next LLM attempt.
+ */
+
+const { tokenize, toPlainText } = require('./text');
+const { checkLength } = require('./chunking');
+
+// Words per shingle for the overlap check
+const SHINGLE = 8;
+
+// Phrases that only appear when the model talks about the article instead of writing it
+const META_COMMENTARY = [
+    /^\s*(?:sure|certainly|of course|absolutely)\b[^\n]{0,80}(?:here|below)\b/im,
+    /^\s*(?:here(?:'s| is| are)|below is|following is)\b[^\n]{0,60}\b(?:article|version|rewrite|draft|content|text)\b/im,
+    /\b(?:the |this )?(?:rewritten|enhanced|improved|revised|updated) (?:version|article|text|draft)\b[^\n]{0,40}(?:below|above|follows)/i,
+    /\bas an ai(?: language model)?\b/i,
+    /\bi (?:have|'ve) (?:rewritten|enhanced|revised|improved|updated)\b/i,
+    /\b(?:i hope this helps|let me know if you(?:'d| would)? like)\b/i,
+    /^\s*(?:note|disclaimer):[^\n]*\b(?:rewritten|enhanced|ai)\b/im,
+];
+
+/**
+ * @param {string} draft - Rewritten article (inline [n] markers allowed)
+ * @param {object} context
+ * @param {string} context.original       - Original article content
+ * @param {Array<object>} context.references - { url, content }
+ * @param {object} [options]
+ * @param {number} [options.maxCopiedWords=25] - Longest allowed run copied from one reference
+ * @param {number} [options.minReadability=30] - Minimum Flesch Reading Ease
+ * @param {number} [options.maxReadabilityDrop=10] - Points a draft may score below an original
+ *        that is under the minimum itself
+ * @returns {{ passed: boolean, reasons: string[], checks: object }}
+ */
+function evaluateDraft(draft, { original, references = [] }, { maxCopiedWords = 25, minReadability = 30, maxReadabilityDrop = 10 } = {}) {
+    const text = toPlainText(draft);
+    const originalText = toPlainText(original);
+
+    const length = checkLength(originalText, text);
+    const meta = findMetaCommentary(draft);
+    const overlap = longestCopiedRun(text, references);
+    const readability = fleschReadingEase(text);
+
+    // A dense technical original can't be rewritten into plain English; the
+    // draft only has to read about as well as the original does
+    const originalReadability = fleschReadingEase(originalText);
+    const requiredReadability = round(Math.min(minReadability, originalReadability.score - maxReadabilityDrop));
+
+    const checks = {
+        length: { ok: length.ok, ratio: round(length.ratio), originalWords: length.originalWords, draftWords: length.rewrittenWords },
+        meta: { ok: meta.length === 0, matches: meta },
+        overlap: { ok: overlap.words < maxCopiedWords, longestRunWords: overlap.words, source: overlap.source, sample: overlap.sample },
+        readability: {
+            ok: readability.score >= requiredReadability,
+            fleschReadingEase: round(readability.score),
+            original: round(originalReadability.score),
+            minimum: requiredReadability,
+        },
+    };
+
+    const reasons = [];
+    if (!checks.length.ok) {
+        reasons.push(`The draft has ${length.rewrittenWords} words, but must stay within 50% of the original ${length.originalWords} words.`);
+    }
+    if (!checks.meta.ok) {
+        reasons.push(`The draft contains meta-commentary (${meta.map(m => `"${m}"`).join(', ')}). Output only the article itself.`);
+    }
+    if (!checks.overlap.ok) {
+        reasons.push(`The draft copies ${overlap.words} consecutive words from ${overlap.source} ("${overlap.sample}"). Rephrase reference material in your own words.`);
+    }
+    if (!checks.readability.ok) {
+        reasons.push(`The draft is hard to read (Flesch Reading Ease ${round(readability.score)}, minimum ${requiredReadability}, original ${round(originalReadability.score)}). Use shorter sentences and simpler words.`);
+    }
+
+    return { passed: reasons.length === 0, reasons, checks };
+}
+
+function findMetaCommentary(draft) {
+    return META_COMMENTARY
+        .map(pattern => draft.match(pattern))
+        .filter(Boolean)
+        .map(match => match[0].trim().slice(0, 80));
+}
+
+/**
+ * Finds the longest run of consecutive draft words that also appears,
+ * word for word, in one reference. Uses 8-word shingles: a run is a chain
+ * of overlapping shingles that all occur in the same reference.
+ */
+function longestCopiedRun(text, references) {
+    const words = tokenize(text);
+    let best = { words: 0, source: null, sample: '' };
+
+    for (const reference of references) {
+        const refWords = tokenize(reference.content);
+        if (refWords.length < SHINGLE || words.length < SHINGLE) continue;
+
+        const shingles = new Set();
+        for (let i = 0; i + SHINGLE <= refWords.length; i++) {
+            shingles.add(refWords.slice(i, i + SHINGLE).join(' '));
+        }
+
+        let runStart = -1;
+        for (let i = 0; i + SHINGLE <= words.length + 1; i++) {
+            const copied = i + SHINGLE <= words.length && shingles.has(words.slice(i, i + SHINGLE).join(' '));
+            if (copied && runStart < 0) runStart = i;
+            if (!copied && runStart >= 0) {
+                const runWords = i - 1 - runStart + SHINGLE;
+                if (runWords > best.words) {
+                    const sample = words.slice(runStart, runStart + runWords);
+                    best = {
+                        words: runWords,
+                        source: reference.url,
+                        sample: sample.slice(0, 12).join(' ') + (sample.length > 12 ? '...' : ''),
+                    };
+                }
+                runStart = -1;
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Flesch Reading Ease: 206.835 - 1.015 × (words / sentences) - 84.6 × (syllables / words)
+ * 60-70 is plain English, below 30 is very difficult (academic papers).
+ */
+function fleschReadingEase(text) {
+    const words = tokenize(text).filter(w => /\p{L}/u.test(w));
+    if (words.length === 0) return { score: 0, words: 0, sentences: 0 };
+
+    // Sentence ends, plus line breaks (headings and list items have no full stop)
+    const sentences = Math.max(1, text.split(/[.!?]+(?:\s|$)|\n+/).filter(s => /\p{L}/u.test(s)).length);
+    const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+
+    const score = 206.835 - 1.015 * (words.length / sentences) - 84.6 * (syllables / words.length);
+    return { score, words: words.length, sentences };
+}
+
+/**
+ * Heuristic syllable count: vowel groups, minus a silent final "e"
+ */
+function countSyllables(word) {
+    const w = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (w.length <= 3) return 1;
+
+    const groups = w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').match(/[aeiouy]+/g);
+    return Math.max(1, groups ? groups.length : 1);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    evaluateDraft,
+    fleschReadingEase,
+};
@@ -0,0 +1,252 @@
+/**
+ * ============================================================================
+ * REFERENCE RANKING - Relevance, near-duplicates and diversity
+ * ============================================================================
+ * 
+ * Picks the references worth citing from a pool of scraped candidates:
+ * 
+ *   const { selected, rejected } = rankReferences(article, candidates, { count: 2 });
+ * 
+ * 1. Relevance - every candidate is scored against the original article
+ *    with BM25: the article's most frequent (stemmed) content words are the
+ *    query, the candidates plus the article itself are the corpus. The
+ *    score is divided by the article's own score, so `relevance` is roughly
+ *    0-1 and comparable across articles; `bm25` is the raw score.
+ * 2. Near-duplicates - word 3-shingles. Two texts are the same page
+ *    (mirrors, syndicated copies, print versions) when their 64-bit
+ *    simhashes differ in at most 3 bits, or when 80% of the shorter text's
+ *    shingles appear in the longer one - simhash alone misses short pages
+ *    padded with boilerplate. A copy of the article itself is dropped too.
+ * 3. Diversity - the best candidates are taken one per domain first; a
+ *    second page from a domain only fills a slot nobody else can.
+ * 
+ * Candidates from the article's own site should not even be scraped - use
+ * isSameSite() on the search results first.
+ */
+
+const { tokenize, contentTokens, stem } = require('./text');
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// The article's most frequent words make up the query
+const QUERY_TERMS = 40;
+
+const SHINGLE = 3;
+const MAX_DUPLICATE_DISTANCE = 3;
+const MIN_DUPLICATE_CONTAINMENT = 0.8;
+
+const MASK_64 = (1n << 64n) - 1n;
+const FNV_OFFSET = 0xcbf29ce484222325n;
+const FNV_PRIME = 0x100000001b3n;
+
+/**
+ * @param {object} article - { content }
+ * @param {Array<object>} candidates - { url, content, ... } scraped references
+ * @param {object} [options]
+ * @param {number} [options.count=2]          - References to select
+ * @param {number} [options.minRelevance=0.05] - Candidates below this are off-topic
+ * @returns {{
+ *   selected: Array<object>,  // candidates (best first) with relevance, bm25 and rank added
+ *   rejected: Array<{ candidate: object, reason: string, message: string }>
+ * }} reason: off_topic | copy_of_article | duplicate | not_selected
+ */
+function rankReferences(article, candidates, { count = 2, minRelevance = 0.05 } = {}) {
+    const articleTerms = termsOf(article.content);
+    const query = topTerms(articleTerms, QUERY_TERMS);
+    const scores = bm25(query, [articleTerms, ...candidates.map(c => termsOf(c.content))]);
+    const selfScore = scores[0] || 1;
+
+    const articlePrint = fingerprint(article.content);
+    const scored = candidates
+        .map((candidate, i) => ({
+            candidate,
+            bm25: round(scores[i + 1]),
+            relevance: round(Math.min(1, scores[i + 1] / selfScore)),
+            print: fingerprint(candidate.content),
+        }))
+        .sort((a, b) => b.relevance - a.relevance);
+
+    const rejected = [];
+    const reject = (entry, reason, message) => rejected.push({
+        candidate: { ...entry.candidate, relevance: entry.relevance, bm25: entry.bm25 },
+        reason,
+        message,
+    });
+
+    const kept = [];
+    for (const entry of scored) {
+        if (entry.relevance < minRelevance) {
+            reject(entry, 'off_topic', `relevance ${entry.relevance} is below ${minRelevance}`);
+        } else if (isNearDuplicate(entry.print, articlePrint)) {
+            reject(entry, 'copy_of_article', 'near-duplicate of the article itself');
+        } else {
+            const original = kept.find(other => isNearDuplicate(entry.print, other.print));
+            if (original) {
+                reject(entry, 'duplicate', `near-duplicate of ${original.candidate.url}`);
+            } else {
+                kept.push(entry);
+            }
+        }
+    }
+
+    // One page per domain first, then whatever is left
+    const picked = [];
+    const domains = new Set();
+    for (const entry of kept) {
+        if (picked.length >= count) break;
+        const domain = domainOf(entry.candidate.url);
+        if (domains.has(domain)) continue;
+        domains.add(domain);
+        picked.push(entry);
+    }
+    for (const entry of kept) {
+        if (picked.length >= count) break;
+        if (!picked.includes(entry)) picked.push(entry);
+    }
+    picked.sort((a, b) => b.relevance - a.relevance);
+
+    kept.filter(entry => !picked.includes(entry))
+        .forEach(entry => reject(entry, 'not_selected', `relevance ${entry.relevance}, ${count} better or more diverse references were chosen`));
+
+    return {
+        selected: picked.map((entry, i) => ({ ...entry.candidate, relevance: entry.relevance, bm25: entry.bm25, rank: i + 1 })),
+        rejected,
+    };
+}
+
+/**
+ * BM25 score of every document for the query terms
+ * 
+ * @param {string[]} query - Distinct terms
+ * @param {string[][]} documents - Terms of each document (the corpus)
+ * @returns {number[]}
+ */
+function bm25(query, documents) {
+    const n = documents.length;
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / Math.max(1, n) || 1;
+    const counts = documents.map(doc => {
+        const tf = new Map();
+        doc.forEach(term => tf.set(term, (tf.get(term) || 0) + 1));
+        return tf;
+    });
+
+    const idf = new Map(query.map(term => {
+        const containing = counts.filter(tf => tf.has(term)).length;
+        return [term, Math.log(1 + (n - containing + 0.5) / (containing + 0.5))];
+    }));
+
+    return counts.map((tf, i) => query.reduce((score, term) => {
+        const f = tf.get(term) || 0;
+        if (f === 0) return score;
+        return score + idf.get(term) * (f * (K1 + 1)) / (f + K1 * (1 - B + B * documents[i].length / averageLength));
+    }, 0));
+}
+
+function shinglesOf(text) {
+    const words = tokenize(text);
+    if (words.length < SHINGLE) return [words.join(' ')];
+    return words.slice(0, words.length - SHINGLE + 1).map((_, i) => words.slice(i, i + SHINGLE).join(' '));
+}
+
+/**
+ * 64-bit simhash of a text's word shingles, as a BigInt
+ */
+function simhash(text) {
+    return simhashOf(shinglesOf(text));
+}
+
+function simhashOf(shingles) {
+    const weights = new Array(64).fill(0);
+    for (const shingle of shingles) {
+        const hash = fnv1a64(shingle);
+        for (let bit = 0; bit < 64; bit++) {
+            weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+        }
+    }
+
+    return weights.reduce((hash, weight, bit) => (weight > 0 ? hash | (1n << BigInt(bit)) : hash), 0n);
+}
+
+function fnv1a64(text) {
+    let hash = FNV_OFFSET;
+    for (const byte of Buffer.from(text, 'utf8')) {
+        hash = ((hash ^ BigInt(byte)) * FNV_PRIME) & MASK_64;
+    }
+    return hash;
+}
+
+function hammingDistance(a, b) {
+    let diff = a ^ b;
+    let distance = 0;
+    while (diff) {
+        distance += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return distance;
+}
+
+function fingerprint(text) {
+    const shingles = shinglesOf(text);
+    return { hash: simhashOf(shingles), shingles: new Set(shingles) };
+}
+
+function isNearDuplicate(a, b) {
+    if (hammingDistance(a.hash, b.hash) <= MAX_DUPLICATE_DISTANCE) return true;
+
+    const [shorter, longer] = a.shingles.size <= b.shingles.size ? [a.shingles, b.shingles] : [b.shingles, a.shingles];
+    if (shorter.size === 0) return false;
+    let shared = 0;
+    for (const shingle of shorter) if (longer.has(shingle)) shared++;
+    return shared / shorter.size >= MIN_DUPLICATE_CONTAINMENT;
+}
+
+/**
+ * Host name without "www." - null for anything that is not a URL
+ */
+function domainOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether two URLs belong to the same site (blog.example.com and
+ * example.com count as one)
+ */
+function isSameSite(url, otherUrl) {
+    const a = domainOf(url);
+    const b = domainOf(otherUrl);
+    if (!a || !b) return false;
+    return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+}
+
+function termsOf(text) {
+    return contentTokens(text).map(stem);
+}
+
+// Distinct terms by frequency; ties keep first occurrence
+function topTerms(terms, limit) {
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([term]) => term);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    rankReferences,
+    bm25,
+    simhash,
+    hammingDistance,
+    domainOf,
+    isSameSite,
+};
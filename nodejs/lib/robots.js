@@ -0,0 +1,131 @@
+/**
+ * ============================================================================
+ * ROBOTS.TXT PARSER
+ * ============================================================================
+ * 
+ * Implements the matching rules of RFC 9309 (Robots Exclusion Protocol):
+ * - The group whose User-agent best matches our crawler name applies,
+ *   otherwise the "*" group
+ * - Within a group the longest matching Allow/Disallow path wins,
+ *   Allow wins ties
+ * - "*" matches any characters, "$" anchors the end of the path
+ * 
+ * Also reads the (non-standard but common) Crawl-delay directive.
+ */
+
+/**
+ * Parses robots.txt text into groups: [{ agents: [...], rules: [...], crawlDelay }]
+ */
+function parseRobotsTxt(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!current) continue; // rules before any User-agent line are ignored
+
+        if ((field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', path: value, pattern: toPattern(value) });
+        } else if (field === 'crawl-delay') {
+            const seconds = parseFloat(value);
+            if (!Number.isNaN(seconds)) current.crawlDelay = seconds;
+        }
+    }
+
+    return groups;
+}
+
+function toPattern(path) {
+    const anchored = path.endsWith('$');
+    const body = (anchored ? path.slice(0, -1) : path)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Picks the group for our crawler: the longest User-agent value contained
+ * in our product token wins, "*" is the fallback.
+ * 
+ * @param {string} userAgent - e.g. "BeyondChatsRewriter/1.0 (+https://...)"
+ */
+function selectGroup(groups, userAgent) {
+    const token = userAgent.split('/')[0].trim().toLowerCase();
+
+    let best = null;
+    let bestLength = 0;
+    for (const group of groups) {
+        for (const agent of group.agents) {
+            if (agent !== '*' && token.includes(agent) && agent.length > bestLength) {
+                best = group;
+                bestLength = agent.length;
+            }
+        }
+    }
+
+    return best || groups.find(group => group.agents.includes('*')) || null;
+}
+
+/**
+ * Builds a checker for one host's robots.txt
+ * 
+ * @returns {{ isAllowed(url): boolean, crawlDelayMs: number|null }}
+ */
+function createRobotsRules(text, userAgent) {
+    const group = selectGroup(parseRobotsTxt(text), userAgent);
+
+    return {
+        crawlDelayMs: group?.crawlDelay != null ? group.crawlDelay * 1000 : null,
+
+        isAllowed(url) {
+            if (!group) return true;
+
+            const { pathname, search } = new URL(url);
+            const path = pathname + search;
+
+            let verdict = null;
+            for (const rule of group.rules) {
+                if (!rule.pattern.test(path)) continue;
+                if (!verdict ||
+                    rule.path.length > verdict.path.length ||
+                    (rule.path.length === verdict.path.length && rule.allow)) {
+                    verdict = rule;
+                }
+            }
+            return verdict ? verdict.allow : true;
+        },
+    };
+}
+
+// Used when robots.txt does not exist (4xx) - everything is allowed
+const ALLOW_ALL = { crawlDelayMs: null, isAllowed: () => true };
+
+// Used when robots.txt can't be fetched (5xx, network) - RFC 9309 says assume full disallow
+const DISALLOW_ALL = { crawlDelayMs: null, isAllowed: () => false };
+
+module.exports = {
+    parseRobotsTxt,
+    createRobotsRules,
+    ALLOW_ALL,
+    DISALLOW_ALL,
+};
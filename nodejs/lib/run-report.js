@@ -0,0 +1,192 @@
+/**
+ * ============================================================================
+ * RUN REPORT - Timings, scrape success rates and LLM spend of one run
+ * ============================================================================
+ * 
+ * The pipeline records what happens while it runs:
+ * 
+ *   recordStep('search', 820)                       - time spent in a step
+ *   recordScrape('ok') / recordScrape('timeout')    - outcome of one reference URL
+ *   recordLlmUsage({ provider, model, inputTokens, outputTokens })
+ *   recordArticle({ id, title, status, durationMs })
+ * 
+ * finish() turns that into a report (written as JSON next to the other run
+ * reports) with totals per step, the scrape success rate and the token usage
+ * and estimated cost per model.
+ * 
+ * Costs are estimates: token counts come from the provider's `usage`
+ * answer, prices from MODEL_PRICES (or LLM_PRICE_INPUT/OUTPUT_PER_MTOK).
+ * A model without a known price is reported with `estimated_cost_usd: null`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// USD per million tokens. Matched by prefix, so "claude-3-5-haiku-latest"
+// uses the "claude-3-5-haiku" price.
+const MODEL_PRICES = {
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-opus': { input: 15, output: 75 },
+};
+
+// Providers that cost nothing per token
+const FREE_PROVIDERS = ['local', 'mock'];
+
+/**
+ * @param {object} [options]
+ * @param {{ input: number, output: number }} [options.price] - Overrides MODEL_PRICES for every model
+ */
+function createRunReport({ price } = {}) {
+    const startedAt = new Date();
+    const id = `${startedAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+
+    const steps = {};
+    const scrape = { attempted: 0, succeeded: 0, failures: {} };
+    const llmModels = {};
+    const articles = [];
+
+    return {
+        id,
+
+        recordStep(step, durationMs) {
+            const s = steps[step] || (steps[step] = { count: 0, total_ms: 0, max_ms: 0 });
+            s.count++;
+            s.total_ms += durationMs;
+            s.max_ms = Math.max(s.max_ms, durationMs);
+        },
+
+        /**
+         * @param {string} outcome - 'ok', or the reason a URL was skipped (e.g. 'timeout')
+         */
+        recordScrape(outcome) {
+            scrape.attempted++;
+            if (outcome === 'ok') {
+                scrape.succeeded++;
+            } else {
+                scrape.failures[outcome] = (scrape.failures[outcome] || 0) + 1;
+            }
+        },
+
+        recordLlmUsage({ provider, model, inputTokens = 0, outputTokens = 0 }) {
+            const key = `${provider}/${model}`;
+            const m = llmModels[key] || (llmModels[key] = {
+                provider, model, requests: 0, input_tokens: 0, output_tokens: 0,
+            });
+            m.requests++;
+            m.input_tokens += inputTokens;
+            m.output_tokens += outputTokens;
+        },
+
+        /**
+         * @param {object} article
+         * @param {number|string} article.id
+         * @param {string} article.status - published | previewed | rejected | failed
+         */
+        recordArticle({ id: articleId, title, status, durationMs, error }) {
+            articles.push({ id: articleId, title, status, duration_ms: durationMs, ...(error ? { error } : {}) });
+        },
+
+        /**
+         * @param {object} run
+         * @param {string} run.mode    - 'single' or 'batch'
+         * @param {boolean} run.dryRun
+         * @returns {object} The finished report (plain JSON)
+         */
+        finish({ mode, dryRun = false }) {
+            const finishedAt = new Date();
+
+            const byModel = Object.values(llmModels).map(m => ({
+                ...m,
+                estimated_cost_usd: estimateCost(m, price),
+            }));
+            const costs = byModel.map(m => m.estimated_cost_usd);
+
+            return {
+                run_id: id,
+                mode,
+                dry_run: dryRun,
+                started_at: startedAt.toISOString(),
+                finished_at: finishedAt.toISOString(),
+                duration_ms: finishedAt - startedAt,
+                articles: {
+                    total: articles.length,
+                    ...countBy(articles, 'status'),
+                    results: articles,
+                },
+                steps: Object.fromEntries(Object.entries(steps).map(([name, s]) => [name, {
+                    ...s,
+                    avg_ms: Math.round(s.total_ms / s.count),
+                }])),
+                scrape: {
+                    ...scrape,
+                    success_rate: scrape.attempted ? round(scrape.succeeded / scrape.attempted, 4) : null,
+                },
+                llm: {
+                    requests: sum(byModel, 'requests'),
+                    input_tokens: sum(byModel, 'input_tokens'),
+                    output_tokens: sum(byModel, 'output_tokens'),
+                    // Unknown if any model has no price
+                    estimated_cost_usd: costs.includes(null) ? null : round(costs.reduce((a, b) => a + b, 0), 6),
+                    by_model: byModel,
+                },
+            };
+        },
+    };
+}
+
+/**
+ * USD for one model's usage, or null when its price is unknown
+ */
+function estimateCost({ provider, model, input_tokens, output_tokens }, override) {
+    const price = override || priceFor(provider, model);
+    if (!price) return null;
+    return round((input_tokens * price.input + output_tokens * price.output) / 1e6, 6);
+}
+
+function priceFor(provider, model) {
+    if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+
+    const prefix = Object.keys(MODEL_PRICES)
+        .filter(name => (model || '').startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+/**
+ * Writes the report to `<dir>/run-<id>.json` and returns the path
+ */
+function writeRunReport(dir, report) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `run-${report.run_id}.json`);
+    fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n');
+    return file;
+}
+
+function countBy(items, key) {
+    const counts = {};
+    for (const item of items) counts[item[key]] = (counts[item[key]] || 0) + 1;
+    return counts;
+}
+
+function sum(items, key) {
+    return items.reduce((total, item) => total + item[key], 0);
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    MODEL_PRICES,
+    createRunReport,
+    writeRunReport,
+};
@@ -0,0 +1,92 @@
+/**
+ * ============================================================================
+ * SEARCH PROVIDER REGISTRY
+ * ============================================================================
+ * 
+ * Finds reference articles for a topic. Every provider looks like:
+ * 
+ *   {
+ *     name: 'serpapi',
+ *     search(query, { limit }) → Promise<[{ title, url, snippet }]>
+ *   }
+ * 
+ * AVAILABLE PROVIDERS (SEARCH_PROVIDER):
+ *   serpapi - Google results through SerpAPI (SERPAPI_KEY)
+ *   bing    - Bing Web Search API (BING_SEARCH_KEY)
+ *   brave   - Brave Search API (BRAVE_SEARCH_KEY)
+ *   local   - Offline search over a URL list or sitemap (LOCAL_SEARCH_INDEX)
+ */
+
+const { createSerpApiProvider } = require('./serpapi');
+const { createBingProvider, createBraveProvider } = require('./json-api');
+const { createLocalProvider } = require('./local');
+const { extractKeywords, contentTokens } = require('../text');
+
+/**
+ * Provider factories keyed by name.
+ * Each returns null when the provider is missing required settings.
+ */
+const PROVIDERS = {
+    serpapi: (config) => config.serpApiKey
+        ? createSerpApiProvider({ apiKey: config.serpApiKey, timeout: config.timeout })
+        : null,
+
+    bing: (config) => config.bingSearchKey
+        ? createBingProvider({ apiKey: config.bingSearchKey, timeout: config.timeout })
+        : null,
+
+    brave: (config) => config.braveSearchKey
+        ? createBraveProvider({ apiKey: config.braveSearchKey, timeout: config.timeout })
+        : null,
+
+    local: (config) => createLocalProvider({ indexPath: config.localSearchIndex }),
+};
+
+/**
+ * Creates the provider selected by `config.searchProvider`.
+ * 
+ * Without an explicit choice, the first provider with an API key wins
+ * (serpapi, brave, bing) and "local" is used when none is configured.
+ * A selected provider that lacks its API key also falls back to "local".
+ */
+function createSearchProvider(config) {
+    const name = config.searchProvider
+        || ['serpapi', 'brave', 'bing'].find(n => PROVIDERS[n](config))
+        || 'local';
+
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown SEARCH_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return factory(config) || PROVIDERS.local(config);
+}
+
+/**
+ * Builds a search query from the article's title plus its main keywords.
+ * 
+ * Titles alone are often vague ("Why We Are Building Yet Another AI Chatbot"),
+ * so the most frequent content words of the body that are not already in
+ * the title are appended to pin down the topic.
+ * 
+ * @returns {{ query: string, keywords: string[] }}
+ */
+function buildSearchQuery(article, { maxKeywords = 3 } = {}) {
+    const title = (article.title || '').trim();
+    const titleTerms = new Set(contentTokens(title));
+
+    const keywords = extractKeywords(article.content || '', maxKeywords + titleTerms.size)
+        .filter(k => !titleTerms.has(k))
+        .slice(0, maxKeywords);
+
+    return {
+        query: [title, ...keywords].join(' ').trim(),
+        keywords,
+    };
+}
+
+module.exports = {
+    PROVIDERS,
+    createSearchProvider,
+    buildSearchQuery,
+};
@@ -0,0 +1,72 @@
+/**
+ * ============================================================================
+ * JSON SEARCH APIs - Bing Web Search and Brave Search
+ * ============================================================================
+ * 
+ * Both are plain "GET with an API key header, get JSON back" services, so they
+ * share one generic adapter and only differ in URL, headers and result shape.
+ * 
+ * Docs:
+ *   Bing:  https://learn.microsoft.com/en-us/bing/search-apis/bing-web-search/
+ *   Brave: https://api.search.brave.com/app/documentation/web-search
+ */
+
+const axios = require('axios');
+
+/**
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string} options.endpoint
+ * @param {object} options.headers          - Auth headers
+ * @param {function} options.extractResults - Maps the response body to [{ title, url, snippet }]
+ * @param {number} [options.timeout]
+ */
+function createJsonApiProvider({ name, endpoint, headers, extractResults, timeout }) {
+    return {
+        name,
+
+        async search(query, { limit = 5 } = {}) {
+            const response = await axios.get(endpoint, {
+                params: { q: query, count: limit },
+                headers: { 'Accept': 'application/json', ...headers },
+                timeout,
+            });
+
+            return extractResults(response.data).slice(0, limit);
+        },
+    };
+}
+
+function createBingProvider({ apiKey, endpoint = 'https://api.bing.microsoft.com/v7.0/search', timeout }) {
+    return createJsonApiProvider({
+        name: 'bing',
+        endpoint,
+        headers: { 'Ocp-Apim-Subscription-Key': apiKey },
+        extractResults: (data) => (data.webPages?.value || []).map(r => ({
+            title: r.name,
+            url: r.url,
+            snippet: r.snippet || '',
+        })),
+        timeout,
+    });
+}
+
+function createBraveProvider({ apiKey, endpoint = 'https://api.search.brave.com/res/v1/web/search', timeout }) {
+    return createJsonApiProvider({
+        name: 'brave',
+        endpoint,
+        headers: { 'X-Subscription-Token': apiKey },
+        extractResults: (data) => (data.web?.results || []).map(r => ({
+            title: r.title,
+            url: r.url,
+            snippet: r.description || '',
+        })),
+        timeout,
+    });
+}
+
+module.exports = {
+    createJsonApiProvider,
+    createBingProvider,
+    createBraveProvider,
+};
@@ -0,0 +1,90 @@
+/**
+ * ============================================================================
+ * LOCAL SEARCH PROVIDER - Offline search over a list of known URLs
+ * ============================================================================
+ * 
+ * Searches a local index instead of the web. The index is either:
+ * 
+ *   - a text file, one entry per line:   https://example.com/post | Post title
+ *     (the title is optional, lines starting with # are comments)
+ *   - a sitemap file (*.xml) - every <loc> becomes an entry, titled by its URL slug
+ * 
+ * Entries are ranked by how many query words appear in their title and URL,
+ * so a healthcare article gets healthcare references - not the same three
+ * URLs for every topic. Entries matching no query word are never returned.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { contentTokens, stem } = require('../text');
+
+/**
+ * Parses the index file into [{ url, title }]
+ */
+function loadIndex(indexPath) {
+    const raw = fs.readFileSync(indexPath, 'utf8');
+
+    if (path.extname(indexPath).toLowerCase() === '.xml') {
+        const $ = cheerio.load(raw, { xmlMode: true });
+        return $('url > loc').map((i, el) => $(el).text().trim()).get()
+            .filter(Boolean)
+            .map(url => ({ url, title: titleFromUrl(url) }));
+    }
+
+    return raw.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const [url, ...titleParts] = line.split('|');
+            const title = titleParts.join('|').trim();
+            return { url: url.trim(), title: title || titleFromUrl(url.trim()) };
+        });
+}
+
+/**
+ * "https://site.com/blog/ai-in-healthcare/" → "ai in healthcare"
+ */
+function titleFromUrl(url) {
+    try {
+        const segments = new URL(url).pathname.split('/').filter(Boolean);
+        const slug = segments.pop() || new URL(url).hostname;
+        return decodeURIComponent(slug).replace(/\.[a-z]+$/i, '').replace(/[-_]+/g, ' ');
+    } catch {
+        return url;
+    }
+}
+
+function createLocalProvider({ indexPath }) {
+    let entries = null;
+
+    return {
+        name: 'local',
+
+        async search(query, { limit = 5 } = {}) {
+            if (!entries) {
+                entries = loadIndex(indexPath).map(entry => ({
+                    ...entry,
+                    titleTerms: new Set(contentTokens(entry.title).map(stem)),
+                    urlTerms: new Set(contentTokens(entry.url.replace(/[/_.-]+/g, ' ')).map(stem)),
+                }));
+            }
+
+            const queryTerms = [...new Set(contentTokens(query).map(stem))];
+
+            return entries
+                .map(entry => ({
+                    entry,
+                    // Title matches count double - titles describe the topic best
+                    score: queryTerms.reduce((sum, term) =>
+                        sum + (entry.titleTerms.has(term) ? 2 : entry.urlTerms.has(term) ? 1 : 0), 0),
+                }))
+                .filter(r => r.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit)
+                .map(({ entry }) => ({ title: entry.title, url: entry.url, snippet: '' }));
+        },
+    };
+}
+
+module.exports = { createLocalProvider };
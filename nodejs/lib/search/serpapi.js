@@ -0,0 +1,34 @@
+/**
+ * ============================================================================
+ * SERPAPI SEARCH PROVIDER - Real Google results
+ * ============================================================================
+ * 
+ * Docs: https://serpapi.com/search-api
+ */
+
+const axios = require('axios');
+
+function createSerpApiProvider({ apiKey, timeout }) {
+    return {
+        name: 'serpapi',
+
+        async search(query, { limit = 5 } = {}) {
+            const response = await axios.get('https://serpapi.com/search', {
+                params: {
+                    q: query,
+                    api_key: apiKey,
+                    num: limit,
+                },
+                timeout,
+            });
+
+            return (response.data.organic_results || []).map(r => ({
+                title: r.title,
+                url: r.link,
+                snippet: r.snippet || '',
+            }));
+        },
+    };
+}
+
+module.exports = { createSerpApiProvider };
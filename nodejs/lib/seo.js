@@ -0,0 +1,351 @@
+/**
+ * ============================================================================
+ * SEO - Meta tags, keywords, outline and JSON-LD for a rewritten article
+ * ============================================================================
+ * 
+ * Every published article gets an SEO package next to its AI content:
+ * 
+ *   {
+ *     meta_title:       "How AI Chatbots Cut Support Costs",       // ≤ 60 chars
+ *     meta_description: "Chatbots answer routine questions...",   // 70-160 chars
+ *     focus_keywords:   ["ai chatbots", "customer support", ...],  // 3-8
+ *     slug:             "ai-chatbots-support-costs",               // suggestion only
+ *     outline:          [{ level: 2, text: "Why chatbots?" }, ...],
+ *     faq:              [{ question: "...?", answer: "..." }, ...],
+ *     json_ld:          [{ "@type": "Article", ... }, { "@type": "FAQPage", ... }],
+ *     generated_by:     "llm" | "rules",
+ *     fallback_fields:  [],     // fields the LLM got wrong, filled in by rules
+ *     issues:           []      // rule violations nothing could fix (e.g. a tiny article)
+ *   }
+ * 
+ * The LLM suggests the fields as JSON (prompts/seo.txt); validateSeo()
+ * checks them against LIMITS and returns readable errors that double as
+ * feedback for a retry. buildFallbackSeo() derives every field from the
+ * article itself, for drafts written without an LLM and for fields the
+ * LLM keeps getting wrong. The JSON-LD is always built here, never by the
+ * model, so it is valid schema.org markup.
+ */
+
+const { countWords, extractKeywords, toPlainText } = require('./text');
+
+const LIMITS = {
+    metaTitle: { min: 10, max: 60 },
+    metaDescription: { min: 70, max: 160 },
+    focusKeywords: { min: 3, max: 8, maxLength: 60 },
+    slug: { max: 75 },
+    outline: { max: 20, maxLength: 100 },
+    faq: { max: 6, questionMax: 150, answerMin: 20, answerMax: 500 },
+    // Google's limit for Article headlines
+    headline: { max: 110 },
+};
+
+const FIELDS = ['meta_title', 'meta_description', 'focus_keywords', 'slug', 'outline', 'faq'];
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Reads the fields out of an LLM answer. Code fences and text around the
+ * JSON object are tolerated; returns null if there is no object to parse.
+ */
+function parseSeoAnswer(text) {
+    const start = (text || '').indexOf('{');
+    const end = (text || '').lastIndexOf('}');
+    if (start < 0 || end <= start) return null;
+
+    let data;
+    try {
+        data = JSON.parse(text.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+    const fields = {};
+    for (const field of FIELDS) {
+        if (data[field] !== undefined) fields[field] = normalizeField(field, data[field]);
+    }
+    return fields;
+}
+
+/**
+ * Whitespace, case and duplicates - nothing that changes what a field says
+ */
+function normalizeField(field, value) {
+    const clean = (v) => (typeof v === 'string' ? v.replace(/\s+/g, ' ').trim() : v);
+
+    switch (field) {
+        case 'focus_keywords':
+            return Array.isArray(value)
+                ? [...new Set(value.map(k => clean(String(k)).toLowerCase()).filter(Boolean))]
+                : value;
+        case 'slug':
+            return typeof value === 'string' ? value.trim().toLowerCase() : value;
+        case 'outline':
+            return Array.isArray(value)
+                ? value.map(h => (h && typeof h === 'object' ? { level: Number(h.level), text: clean(h.text) } : h))
+                : value;
+        case 'faq':
+            return Array.isArray(value)
+                ? value.map(q => (q && typeof q === 'object' ? { question: clean(q.question), answer: clean(q.answer) } : q))
+                : value;
+        default:
+            return clean(value);
+    }
+}
+
+/**
+ * Checks the fields that are present against LIMITS.
+ * 
+ * @param {object} seo - Any subset of FIELDS (and json_ld)
+ * @returns {{ ok: boolean, errors: Array<{ field: string, message: string }> }}
+ */
+function validateSeo(seo) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+    const has = (field) => seo[field] !== undefined;
+
+    const checkLength = (field, value, { min, max }) => {
+        if (typeof value !== 'string' || !value) {
+            fail(field, `${field} must be a non-empty string.`);
+        } else if (value.length > max) {
+            fail(field, `${field} is ${value.length} characters, the maximum is ${max}.`);
+        } else if (min && value.length < min) {
+            fail(field, `${field} is ${value.length} characters, the minimum is ${min}.`);
+        }
+    };
+
+    if (has('meta_title')) checkLength('meta_title', seo.meta_title, LIMITS.metaTitle);
+    if (has('meta_description')) checkLength('meta_description', seo.meta_description, LIMITS.metaDescription);
+
+    if (has('focus_keywords')) {
+        const { min, max, maxLength } = LIMITS.focusKeywords;
+        const keywords = seo.focus_keywords;
+        if (!Array.isArray(keywords) || keywords.some(k => typeof k !== 'string' || !k)) {
+            fail('focus_keywords', 'focus_keywords must be a list of non-empty strings.');
+        } else if (keywords.length < min || keywords.length > max) {
+            fail('focus_keywords', `focus_keywords has ${keywords.length} entries, it needs ${min} to ${max}.`);
+        } else if (keywords.some(k => k.length > maxLength)) {
+            fail('focus_keywords', `Every focus keyword must be at most ${maxLength} characters.`);
+        }
+    }
+
+    if (has('slug')) {
+        if (typeof seo.slug !== 'string' || !SLUG.test(seo.slug)) {
+            fail('slug', 'slug must contain only lowercase letters, digits and single hyphens.');
+        } else if (seo.slug.length > LIMITS.slug.max) {
+            fail('slug', `slug is ${seo.slug.length} characters, the maximum is ${LIMITS.slug.max}.`);
+        }
+    }
+
+    if (has('outline')) {
+        const { max, maxLength } = LIMITS.outline;
+        const outline = seo.outline;
+        if (!Array.isArray(outline)) {
+            fail('outline', 'outline must be a list of { level, text } headings.');
+        } else if (outline.length > max) {
+            fail('outline', `outline has ${outline.length} headings, the maximum is ${max}.`);
+        } else if (outline.some(h => !h || ![2, 3].includes(h.level) || typeof h.text !== 'string' || !h.text || h.text.length > maxLength)) {
+            fail('outline', `Every outline heading needs level 2 or 3 and a text of at most ${maxLength} characters.`);
+        }
+    }
+
+    if (has('faq')) {
+        const { max, questionMax, answerMin, answerMax } = LIMITS.faq;
+        const faq = seo.faq;
+        if (!Array.isArray(faq)) {
+            fail('faq', 'faq must be a list of { question, answer } pairs.');
+        } else if (faq.length > max) {
+            fail('faq', `faq has ${faq.length} entries, the maximum is ${max}.`);
+        } else if (faq.some(q => !q || typeof q.question !== 'string' || !q.question.endsWith('?') || q.question.length > questionMax)) {
+            fail('faq', `Every FAQ question must end with "?" and be at most ${questionMax} characters.`);
+        } else if (faq.some(q => typeof q.answer !== 'string' || q.answer.length < answerMin || q.answer.length > answerMax)) {
+            fail('faq', `Every FAQ answer must be ${answerMin} to ${answerMax} characters.`);
+        }
+    }
+
+    if (has('json_ld')) {
+        for (const message of validateJsonLd(seo.json_ld)) fail('json_ld', message);
+    }
+
+    return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Required schema.org properties of the Article and FAQPage blocks
+ */
+function validateJsonLd(blocks) {
+    if (!Array.isArray(blocks)) return ['json_ld must be a list of schema.org objects.'];
+
+    const messages = [];
+    for (const block of blocks) {
+        if (block['@context'] !== 'https://schema.org') {
+            messages.push(`${block['@type']} block has no "@context": "https://schema.org".`);
+        }
+
+        if (block['@type'] === 'Article') {
+            if (!block.headline || block.headline.length > LIMITS.headline.max) {
+                messages.push(`Article headline must be 1 to ${LIMITS.headline.max} characters.`);
+            }
+            if (!block.description) messages.push('Article needs a description.');
+        } else if (block['@type'] === 'FAQPage') {
+            const questions = block.mainEntity;
+            if (!Array.isArray(questions) || questions.length === 0) {
+                messages.push('FAQPage needs at least one Question in mainEntity.');
+            } else if (questions.some(q => q['@type'] !== 'Question' || !q.name || q.acceptedAnswer?.['@type'] !== 'Answer' || !q.acceptedAnswer.text)) {
+                messages.push('Every FAQPage entry needs a named Question with an acceptedAnswer of type Answer.');
+            }
+        } else {
+            messages.push(`Unexpected JSON-LD type "${block['@type']}".`);
+        }
+    }
+    return messages;
+}
+
+/**
+ * Every field derived from the article, without an LLM. No FAQ: questions
+ * and answers can't be made up from the text reliably.
+ * 
+ * @param {object} article   - { id, title, slug }
+ * @param {string} content   - Rewritten article (Markdown, [n] markers allowed)
+ */
+function buildFallbackSeo(article, content) {
+    const text = toPlainText(content);
+
+    return {
+        meta_title: clip(article.title, LIMITS.metaTitle.max),
+        // Headings don't read as a description
+        meta_description: describe(toPlainText((content || '').replace(/^\s{0,3}#{1,6}\s.*$/gm, ''))),
+        focus_keywords: extractKeywords(`${article.title}\n${text}`, 5),
+        // A title in another script (Cyrillic, CJK...) has no Latin letters to keep
+        slug: slugify(article.title || '') || slugify(article.slug || '') || `article-${article.id}`,
+        outline: extractOutline(content),
+        faq: [],
+    };
+}
+
+/**
+ * The finished package: the LLM's fields where they are valid, the
+ * fallback's everywhere else, and JSON-LD built from the result.
+ * 
+ * @param {object} options
+ * @param {object} options.article    - { id, title, slug, original_url, created_at }
+ * @param {string} options.content    - Rewritten article
+ * @param {Array<object>} [options.citations] - { url, title } records
+ * @param {object|null} [options.fields] - Fields suggested by the LLM (null: none)
+ */
+function buildSeoPackage({ article, content, citations = [], fields = null }) {
+    const fallback = buildFallbackSeo(article, content);
+    const invalid = new Set(fields ? validateSeo(fields).errors.map(e => e.field) : FIELDS);
+
+    const seo = {};
+    const fallbackFields = [];
+    for (const field of FIELDS) {
+        if (fields && fields[field] !== undefined && !invalid.has(field)) {
+            seo[field] = fields[field];
+        } else {
+            seo[field] = fallback[field];
+            if (fields) fallbackFields.push(field);
+        }
+    }
+
+    seo.json_ld = buildJsonLd(article, content, seo, citations);
+    seo.generated_by = fields && fallbackFields.length < FIELDS.length ? 'llm' : 'rules';
+    seo.fallback_fields = fallbackFields;
+    seo.issues = validateSeo(seo).errors.map(e => e.message);
+
+    return seo;
+}
+
+function buildJsonLd(article, content, seo, citations) {
+    const blocks = [{
+        '@context': 'https://schema.org',
+        '@type': 'Article',
+        headline: clip(article.title, LIMITS.headline.max),
+        description: seo.meta_description,
+        keywords: seo.focus_keywords.join(', '),
+        wordCount: countWords(content),
+        ...(article.created_at ? { datePublished: article.created_at } : {}),
+        dateModified: new Date().toISOString(),
+        ...(article.original_url ? { isBasedOn: article.original_url } : {}),
+        ...(citations.length > 0 ? {
+            citation: citations.map(c => ({ '@type': 'CreativeWork', name: c.title || c.url, url: c.url })),
+        } : {}),
+    }];
+
+    if (seo.faq.length > 0) {
+        blocks.push({
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            mainEntity: seo.faq.map(({ question, answer }) => ({
+                '@type': 'Question',
+                name: question,
+                acceptedAnswer: { '@type': 'Answer', text: answer },
+            })),
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * The article's level 2 and 3 headings (a level 1 heading counts as level 2)
+ */
+function extractOutline(content) {
+    return [...(content || '').matchAll(/^(#{1,3})\s+(.+?)\s*#*\s*$/gm)]
+        .map(([, hashes, text]) => ({ level: Math.max(2, hashes.length), text: clip(toPlainText(text), LIMITS.outline.maxLength) }))
+        .filter(h => h.text)
+        .slice(0, LIMITS.outline.max);
+}
+
+/**
+ * Whole opening sentences up to the description limit; a first sentence
+ * that is too long on its own is cut at a word
+ */
+function describe(text) {
+    const { max } = LIMITS.metaDescription;
+    const sentences = text.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]+(?=\s|$)|[^.!?]+$/g) || [];
+
+    let description = '';
+    for (const sentence of sentences) {
+        const next = `${description} ${sentence.trim()}`.trim();
+        if (next.length > max) break;
+        description = next;
+    }
+
+    return description || clip(text, max - 3, '...');
+}
+
+/**
+ * "The Future of AI Chatbots!" → "the-future-of-ai-chatbots", cut at a hyphen
+ */
+function slugify(text) {
+    const slug = text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    if (slug.length <= LIMITS.slug.max) return slug;
+    const cut = slug.slice(0, LIMITS.slug.max + 1);
+    return cut.slice(0, cut.lastIndexOf('-') > 0 ? cut.lastIndexOf('-') : LIMITS.slug.max);
+}
+
+/**
+ * Shortens text to `max` characters at a word boundary
+ */
+function clip(text, max, suffix = '') {
+    const value = (text || '').replace(/\s+/g, ' ').trim();
+    if (value.length <= max) return value;
+    const cut = value.slice(0, max + 1);
+    const space = cut.lastIndexOf(' ');
+    return (space > 0 ? cut.slice(0, space) : value.slice(0, max)).replace(/[\s,;:.-]+$/, '') + suffix;
+}
+
+module.exports = {
+    LIMITS,
+    parseSeoAnswer,
+    validateSeo,
+    buildFallbackSeo,
+    buildSeoPackage,
+};
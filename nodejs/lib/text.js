@@ -0,0 +1,97 @@
+/**
+ * ============================================================================
+ * TEXT UTILITIES
+ * ============================================================================
+ * 
+ * Small, dependency-free helpers for working with article text:
+ * tokenizing, stop-word filtering, keyword extraction, and Markdown to
+ * plain text with word counts.
+ */
+
+// Common English words that carry no topic information
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each even every few for from
+further get gets got had has have having he her here hers herself him himself his how i if in into
+is it its itself just let like made make makes many may me might more most much must my myself
+need new no nor not now of off on once one only or other our ours ourselves out over own per
+really same say says she should so some such than that the their theirs them themselves then
+there these they this those through to too under until up upon us use used using very via want
+was we well were what when where which while who whom why will with within without would yet you
+your yours yourself yourselves
+`.trim().split(/\s+/));
+
+/**
+ * Splits text into lowercase word tokens (letters, digits and inner hyphens/apostrophes)
+ */
+function tokenize(text) {
+    if (!text) return [];
+    return text.toLowerCase().match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/**
+ * Tokens that are useful for matching: no stop words, no pure numbers, 3+ chars
+ */
+function contentTokens(text) {
+    return tokenize(text).filter(t => t.length > 2 && !STOPWORDS.has(t) && !/^\d+$/.test(t));
+}
+
+/**
+ * Very light stemmer - folds plurals and common verb endings together,
+ * so "chatbots" matches "chatbot" and "stories" matches "story".
+ */
+function stem(token) {
+    if (token.length <= 4) return token;
+    if (token.endsWith('ies')) return token.slice(0, -3) + 'y';
+    if (token.endsWith('ing') && token.length > 5) return token.slice(0, -3);
+    if (token.endsWith('ed') && token.length > 5) return token.slice(0, -2);
+    if (token.endsWith('es') && /(ss|x|ch|sh)es$/.test(token)) return token.slice(0, -2);
+    if (token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+/**
+ * Headings, list markers, emphasis, links, code blocks and [n] citation
+ * markers removed, so only the words a reader sees are left
+ */
+function toPlainText(markdown) {
+    return (markdown || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^[ \t]{0,3}(?:#{1,6}|>|[-*+•]|\d+\.)[ \t]+/gm, '')
+        .replace(/[*_`~]+/g, '')
+        .replace(/[ \t]+([.,;:!?])/g, '$1')
+        .trim();
+}
+
+/**
+ * Words in a text (Markdown syntax and citation markers don't count)
+ */
+function countWords(text) {
+    return tokenize(toPlainText(text)).length;
+}
+
+/**
+ * Returns the `limit` most frequent content words of a text.
+ * Ties are broken by first occurrence, so the result is deterministic.
+ */
+function extractKeywords(text, limit = 5) {
+    const counts = new Map();
+    contentTokens(text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1]) // stable sort keeps first-occurrence order on ties
+        .slice(0, limit)
+        .map(([token]) => token);
+}
+
+module.exports = {
+    STOPWORDS,
+    tokenize,
+    contentTokens,
+    stem,
+    extractKeywords,
+    toPlainText,
+    countWords,
+};
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkLength, selectExcerpts, splitIntoChunks } = require('../lib/chunking');
+
+const paragraph = (word, count) => Array(count).fill(word).join(' ') + '.';
+
+test('a short article stays in one chunk', () => {
+    const content = `## One\n\n${paragraph('alpha', 10)}\n\n## Two\n\n${paragraph('beta', 10)}`;
+    const chunks = splitIntoChunks(content, { maxTokens: 1000 });
+
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].text, content);
+    assert.equal(chunks[0].heading, '## One');
+});
+
+test('long articles are split at headings, and big sections between paragraphs', () => {
+    const content = [
+        '## One', paragraph('alpha', 30),
+        '## Two', paragraph('beta', 30), paragraph('gamma', 30),
+    ].join('\n\n');
+    const chunks = splitIntoChunks(content, { maxTokens: 60 });
+
+    assert.deepEqual(chunks.map(c => c.heading), ['## One', '## Two', null]);
+    assert.ok(chunks[1].text.startsWith('## Two\n\nbeta'), 'the heading stays with its text');
+    assert.ok(chunks.every(c => c.tokens <= 60));
+    assert.equal(chunks.map(c => c.text).join('\n\n'), content);
+});
+
+test('excerpts are the reference paragraphs sharing the most words with the chunk', () => {
+    const references = [
+        { title: 'A', content: 'Chatbots reduce support costs for small teams.\n\nThe weather was nice.' },
+        { title: 'B', content: '## Heading\n\nSupport teams answer routine questions with chatbots.' },
+    ];
+    const excerpts = selectExcerpts('Chatbots help support teams with costs.', references, { maxChars: 1000 });
+
+    assert.deepEqual(excerpts, [
+        { referenceIndex: 0, title: 'A', text: 'Chatbots reduce support costs for small teams.' },
+        { referenceIndex: 1, title: 'B', text: 'Support teams answer routine questions with chatbots.' },
+    ]);
+    assert.equal(selectExcerpts('Chatbots help support teams with costs.', references, { maxChars: 50 }).length, 1);
+});
+
+test('a rewrite must stay within 50% of the original word count', () => {
+    assert.equal(checkLength(paragraph('word', 100), paragraph('word', 140)).ok, true);
+    assert.deepEqual(checkLength(paragraph('word', 100), paragraph('word', 151)), {
+        ok: false, ratio: 1.51, originalWords: 100, rewrittenWords: 151,
+    });
+    assert.equal(checkLength(paragraph('word', 100), paragraph('word', 49)).ok, false);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { processCitations } = require('../lib/citations');
+
+const references = [
+    { url: 'https://example.com/a', title: 'A', content: 'Chatbots answer questions around the clock.' },
+    { url: 'https://example.com/b', title: 'B', content: 'Support costs fall when routine questions are automated.' },
+];
+
+test('renumbers markers and drops the ones pointing to no reference', () => {
+    const result = processCitations('Costs fall [2]. Bots never sleep [1][7].', references);
+
+    assert.equal(result.content, 'Costs fall [1]. Bots never sleep [2].');
+    assert.deepEqual(result.citations.map(c => c.url), ['https://example.com/b', 'https://example.com/a']);
+    assert.deepEqual(result.removed, [7]);
+});
+
+test('leaves indices like arr[0] and list[1] alone', () => {
+    const result = processCitations('Code: `arr[0]` and list[1]. Costs fall [2].', references);
+
+    assert.equal(result.content, 'Code: `arr[0]` and list[1]. Costs fall [1].');
+    assert.deepEqual(result.removed, []);
+});
+
+test('skips inline code and fenced code blocks', () => {
+    const content = 'Read `items[1]` first [1].\n\n```js\nconst first = items [2];\n```\n\nDone [2].';
+    const result = processCitations(content, references);
+
+    assert.equal(result.content, content);
+    assert.deepEqual(result.citations.map(c => c.url), ['https://example.com/a', 'https://example.com/b']);
+});
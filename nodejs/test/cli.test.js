@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CliError, parseCliArgs, parseExportArgs, renderDiff, writeResult } = require('../lib/cli');
+
+test('parses single-article and batch options', () => {
+    assert.deepEqual(parseCliArgs(['--article', 'my-slug', '--dry-run', '--diff']), {
+        article: 'my-slug', dryRun: true, out: undefined, diff: true, fresh: false, all: false,
+        profile: undefined, concurrency: undefined, limit: Infinity, daemon: false, port: undefined, help: false,
+    });
+
+    const batch = parseCliArgs(['--all', '--concurrency', '3', '--limit', '10']);
+    assert.deepEqual([batch.all, batch.concurrency, batch.limit], [true, 3, 10]);
+
+    const daemon = parseCliArgs(['--daemon', '--port', '8080', '--concurrency', '2']);
+    assert.deepEqual([daemon.daemon, daemon.port, daemon.concurrency], [true, 8080, 2]);
+});
+
+test('rejects unknown, invalid and conflicting options', () => {
+    assert.throws(() => parseCliArgs(['--artcle', '1']), CliError);
+    assert.throws(() => parseCliArgs(['--all', '--concurrency', '0']), /--concurrency must be a positive whole number/);
+    assert.throws(() => parseCliArgs(['--all', '--article', '1']), /cannot be combined/);
+    assert.throws(() => parseCliArgs(['--all', '--diff']), /work on a single article/);
+    assert.throws(() => parseCliArgs(['--limit', '5']), /only applies to --all/);
+    assert.throws(() => parseCliArgs(['--port', '8080']), /only applies to --daemon/);
+    assert.throws(() => parseCliArgs(['--daemon', '--all']), /takes its articles from POST \/jobs/);
+    assert.throws(() => parseCliArgs(['--article', ' ']), /needs an article ID or slug/);
+});
+
+test('the diff compares the texts sentence by sentence', () => {
+    const patch = renderDiff('Bots help. They never sleep.', 'Bots help. They rarely sleep.', { name: 'a' });
+
+    assert.match(patch, /^-They never sleep\.$/m);
+    assert.match(patch, /^\+They rarely sleep\.$/m);
+    assert.match(patch, /^ Bots help\.$/m);
+});
+
+test('results are written as Markdown or JSON, by extension', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const article = { id: 1, slug: 'bots', title: 'Bots', content: 'Original.' };
+
+    const markdownFile = writeResult(path.join(dir, 'out/bots.md'), { article, markdown: 'Enhanced.\n' });
+    assert.equal(fs.readFileSync(markdownFile, 'utf8'), '# Bots\n\nEnhanced.\n');
+
+    const jsonFile = writeResult(path.join(dir, 'bots.json'), { article, markdown: 'Enhanced.', citations: [] });
+    const json = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+    assert.deepEqual([json.original, json.enhanced, json.citations], ['Original.', 'Enhanced.', []]);
+});
+
+test('parses and checks the export options', () => {
+    assert.deepEqual(parseExportArgs(['--all', '--review-status', 'approved', '--format', 'html, markdown', '--out', 'exports/']), {
+        articles: [], all: true, aiUpdated: undefined, reviewStatus: 'approved', search: undefined,
+        formats: ['html', 'markdown'], out: 'exports/', limit: Infinity, help: false,
+    });
+    assert.deepEqual(parseExportArgs(['--article', '12', '--article', 'my-slug', '--out', 'a.zip']).articles, ['12', 'my-slug']);
+
+    assert.throws(() => parseExportArgs(['--out', 'x']), /Choose the articles to export/);
+    assert.throws(() => parseExportArgs(['--ai-updated', 'true', '--out', 'x']), /add --all/);
+    assert.throws(() => parseExportArgs(['--article', '1', '--all', '--out', 'x']), /cannot be combined/);
+    assert.throws(() => parseExportArgs(['--all', '--review-status', 'pending', '--out', 'x']), /must be one of/);
+    assert.throws(() => parseExportArgs(['--all', '--format', 'pdf', '--out', 'x']), /--format takes/);
+    assert.throws(() => parseExportArgs(['--all']), /--out needs/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKeyedGate, createRateLimiter, parseRetryAfter, runWorkerPool, sleep } = require('../lib/concurrency');
+
+test('the worker pool runs workers side by side until each runs out of work', async () => {
+    const pending = [1, 2, 3, 4, 5, 6, 7];
+    const processed = [];
+    let active = 0;
+    let maxActive = 0;
+
+    // Like claiming: every worker takes the next article, none is handed out twice
+    await runWorkerPool(3, async (workerNumber) => {
+        const article = pending.shift();
+        if (article === undefined) return false;
+
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(5);
+        processed.push({ article, workerNumber });
+        active--;
+        return true;
+    });
+
+    assert.deepEqual(processed.map(p => p.article).sort(), [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(maxActive, 3);
+    assert.deepEqual([...new Set(processed.map(p => p.workerNumber))].sort(), [1, 2, 3]);
+});
+
+test('an error thrown by a worker stops the pool', async () => {
+    await assert.rejects(
+        runWorkerPool(2, async () => { throw new Error('claim failed'); }),
+        /claim failed/,
+    );
+});
+
+test('the rate limiter spreads task starts evenly', async () => {
+    const limiter = createRateLimiter({ requestsPerMinute: 60000 / 20 }); // one start per 20ms
+    const startedAt = Date.now();
+    const starts = await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => Date.now() - startedAt)));
+
+    assert.ok(starts[1] - starts[0] >= 18 && starts[2] - starts[1] >= 18, `starts: ${starts}`);
+});
+
+test('a rate of 0 disables limiting', async () => {
+    const limiter = createRateLimiter({ requestsPerMinute: 0 });
+    let started = 0;
+    const runs = [1, 2, 3, 4].map(() => limiter.schedule(async () => { started++; }));
+
+    // Nobody waited for a slot: every task started right away
+    assert.equal(started, 4);
+    await Promise.all(runs);
+});
+
+test('the keyed gate limits and spaces tasks per key, not across keys', async () => {
+    const gate = createKeyedGate({ concurrency: 1, delayMs: 20 });
+    const startedAt = Date.now();
+    const order = [];
+    const run = (key) => gate.run(key, async () => {
+        order.push(key);
+        const start = Date.now() - startedAt;
+        await sleep(5);
+        return start;
+    });
+
+    const [a1, a2] = await Promise.all([run('a.com'), run('a.com'), run('b.com')]);
+
+    assert.ok(a2 - a1 >= 18, `a.com starts: ${a1}, ${a2}`);
+    // b.com did not wait behind the a.com tasks
+    assert.deepEqual(order, ['a.com', 'b.com', 'a.com']);
+});
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter(undefined), undefined);
+    assert.equal(parseRetryAfter('soon'), undefined);
+
+    const inTenSeconds = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    assert.ok(inTenSeconds > 8000 && inTenSeconds <= 10000, `${inTenSeconds}`);
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDaemonServer, createJobQueue } = require('../lib/daemon');
+const { sleep } = require('../lib/concurrency');
+
+/**
+ * Starts a daemon on a free port. `run` decides how jobs end; by default
+ * they wait until released, so a test can look at queued and running jobs.
+ */
+async function startDaemon(t, { secret = 'secret', run } = {}) {
+    const gates = [];
+    const queue = createJobQueue({
+        concurrency: 1,
+        run: run || (() => new Promise(resolve => gates.push(() => resolve({ status: 'published' })))),
+    });
+    const server = createDaemonServer({
+        queue,
+        secret,
+        profiles: ['default', 'marketing'],
+        defaults: { dryRun: false, profile: 'default' },
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        gates.forEach(release => release());
+        server.close();
+        await queue.close();
+    });
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const request = async (method, route, { body, token = secret } = {}) => {
+        const response = await fetch(baseUrl + route, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            },
+            body: typeof body === 'string' ? body : body && JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    return { queue, request, releaseAll: () => gates.splice(0).forEach(release => release()) };
+}
+
+test('POST /jobs queues one job per article and answers 202', async (t) => {
+    const { request } = await startDaemon(t);
+
+    const { status, body } = await request('POST', '/jobs', { body: { article_ids: [12, 13, 12], profile: 'marketing' } });
+
+    assert.equal(status, 202);
+    assert.equal(body.message, '2 job(s) queued');
+    assert.deepEqual(body.data.map(job => [job.article_id, job.profile, job.dry_run, job.created]), [
+        [12, 'marketing', false, true],
+        [13, 'marketing', false, true],
+    ]);
+});
+
+test('an article already queued or running returns its existing job', async (t) => {
+    const { request } = await startDaemon(t);
+
+    const first = await request('POST', '/jobs', { body: { article_id: 7 } });
+    await sleep(10);
+    const second = await request('POST', '/jobs', { body: { article_ids: [7, 8] } });
+
+    assert.equal(second.body.message, '1 job(s) queued');
+    assert.equal(second.body.data[0].id, first.body.data[0].id);
+    assert.equal(second.body.data[0].status, 'running');
+    assert.equal(second.body.data[0].created, false);
+    assert.equal(second.body.data[1].created, true);
+
+    const queue = await request('GET', '/queue');
+    assert.deepEqual([queue.body.data.running, queue.body.data.queued], [1, 1]);
+});
+
+test('GET /jobs/:id reports the result once the job finishes', async (t) => {
+    const { request } = await startDaemon(t, { run: async () => ({ status: 'published', score: 87 }) });
+
+    const { body } = await request('POST', '/jobs', { body: { article_id: 3, dry_run: true } });
+    await sleep(20);
+    const job = await request('GET', `/jobs/${body.data[0].id}`);
+
+    assert.equal(job.status, 200);
+    assert.equal(job.body.data.status, 'published');
+    assert.deepEqual(job.body.data.result, { score: 87 });
+    assert.equal(job.body.data.dry_run, true);
+    assert.equal((await request('GET', '/jobs/unknown')).status, 404);
+});
+
+test('every route but /health needs the bearer token', async (t) => {
+    const { request } = await startDaemon(t);
+
+    assert.equal((await request('GET', '/queue', { token: null })).status, 401);
+    assert.equal((await request('POST', '/jobs', { body: { article_id: 1 }, token: 'wrong' })).status, 401);
+    assert.equal((await request('GET', '/health', { token: null })).status, 200);
+});
+
+test('invalid job requests are rejected with 422', async (t) => {
+    const { request } = await startDaemon(t);
+    const rejected = async (body) => {
+        const response = await request('POST', '/jobs', { body });
+        assert.equal(response.status, 422, JSON.stringify(body));
+        return response.body.message;
+    };
+
+    assert.match(await rejected([1, 2]), /Expected a JSON object/);
+    assert.match(await rejected({}), /"article_ids" must be a non-empty list/);
+    assert.match(await rejected({ article_ids: [] }), /"article_ids" must be a non-empty list/);
+    assert.match(await rejected({ article_ids: [1, 'two'] }), /"article_ids" must be a non-empty list/);
+    assert.match(await rejected({ article_ids: Array.from({ length: 101 }, (_, i) => i + 1) }), /At most 100 articles/);
+    assert.match(await rejected({ article_id: 1, dry_run: 'yes' }), /"dry_run" must be true or false/);
+    assert.match(await rejected({ article_id: 1, profile: 'pirate' }), /Unknown style profile "pirate"/);
+});
+
+test('bodies that are too large or not JSON are refused', async (t) => {
+    const { request } = await startDaemon(t);
+
+    const tooLarge = await request('POST', '/jobs', { body: JSON.stringify({ article_id: 1, padding: 'x'.repeat(70 * 1024) }) });
+    assert.equal(tooLarge.status, 413);
+
+    const broken = await request('POST', '/jobs', { body: '{"article_id": ' });
+    assert.equal(broken.status, 400);
+
+    assert.equal((await request('DELETE', '/jobs')).status, 405);
+    assert.equal((await request('GET', '/nothing')).status, 404);
+});
+
+test('closing the queue waits for running jobs and refuses new ones', async (t) => {
+    const { queue, releaseAll } = await startDaemon(t);
+
+    queue.enqueue({ articleId: 1 });
+    queue.enqueue({ articleId: 2 });
+    await sleep(10);
+
+    const closed = queue.close();
+    assert.throws(() => queue.enqueue({ articleId: 3 }), { status: 503 });
+    releaseAll();
+
+    assert.equal(await closed, 1);
+    assert.equal(queue.stats().totals.published, 1);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildExport, buildJsonBundle, renderHtmlExport, renderMarkdownExport, writeExport } = require('../lib/export');
+
+const article = {
+    id: 1,
+    slug: 'arrays',
+    title: 'Arrays',
+    is_ai_updated: true,
+    ai_content: 'Arrays start at zero [1]. Index seven [7] does not exist.\n\nRead `arr[0]` first.\n\n```js\nconst first = arr[1];\n```',
+    citations: [{ url: 'https://example.com/arrays', title: 'Arrays explained' }],
+};
+
+test('links existing footnotes and leaves code alone', () => {
+    const html = renderHtmlExport(article);
+
+    assert.match(html, /zero <sup class="footnote-ref"><a href="#fn-1">\[1\]<\/a><\/sup>/);
+    assert.match(html, /Index seven \[7\] does not exist/);
+    assert.match(html, /<code>arr\[0\]<\/code>/);
+    assert.match(html, /const first = arr\[1\];/);
+    assert.match(html, /<li id="fn-1"><a href="https:\/\/example.com\/arrays"/);
+});
+
+test('untrusted HTML in an article is dropped', () => {
+    const html = renderHtmlExport({
+        id: 2,
+        slug: 'xss',
+        title: 'Danger <b>zone</b>',
+        content: 'Hello <script>alert(1)</script><img src="x" onerror="alert(2)"> [click](javascript:alert(3))',
+    });
+
+    const body = html.slice(html.indexOf('<article>'));
+    assert.match(body, /<p>Hello <img src="x" \/> <a rel="noopener noreferrer">click<\/a><\/p>/);
+    assert.doesNotMatch(body, /script|onerror|javascript:/);
+    // JSON-LD is JSON with "<" escaped, so it cannot close its script element
+    assert.match(html, /"description": "Hello \\u003cscript>alert\(1\)\\u003c\/script>/);
+    assert.match(html, /<title>Danger &lt;b&gt;zone&lt;\/b&gt;<\/title>/);
+});
+
+test('Markdown files start with front matter, the AI version only carries its own metadata', () => {
+    const markdown = renderMarkdownExport({
+        ...article,
+        review_status: 'approved',
+        prompt_version: 'v2',
+        seo: { meta_description: 'All about "arrays".', focus_keywords: ['arrays', 'index'] },
+    });
+
+    assert.match(markdown, /^---\ntitle: "Arrays"\nslug: "arrays"\nid: 1\nversion: "ai"\nreview_status: "approved"\nprompt_version: "v2"\n/);
+    assert.match(markdown, /description: "All about \\"arrays\\"."\nkeywords:\n  - "arrays"\n  - "index"\n/);
+    assert.match(markdown, /citations:\n  - url: "https:\/\/example.com\/arrays"\n    title: "Arrays explained"\n---\n\n# Arrays\n\nArrays start at zero \[1\]/);
+
+    const original = renderMarkdownExport({ id: 3, slug: 'plain', title: 'Plain', content: '# Plain\n\nText.', prompt_version: 'v2' });
+    assert.match(original, /version: "original"\n---\n\n# Plain\n\nText.\n$/);
+    assert.doesNotMatch(original, /prompt_version/);
+});
+
+test('the bundle records the query and each exported version', () => {
+    const bundle = buildJsonBundle([article, { id: 3, slug: 'plain', title: 'Plain', content: 'Text.', review_status: null }], {
+        query: { all: true },
+        now: new Date('2024-03-01T12:00:00Z'),
+    });
+
+    assert.equal(bundle.exported_at, '2024-03-01T12:00:00.000Z');
+    assert.deepEqual(bundle.query, { all: true });
+    assert.deepEqual(bundle.articles.map(a => [a.id, a.version, a.review_status]), [[1, 'ai', null], [3, 'original', null]]);
+    assert.equal(bundle.articles[1].content, 'Text.');
+});
+
+test('file names come from the slugs and never collide', () => {
+    const files = buildExport([
+        article,
+        { id: 4, slug: 'Arrays!', title: 'Arrays again', content: 'Text.' },
+        { id: 5, slug: '', title: 'No slug', content: 'Text.' },
+    ], { formats: ['markdown', 'json'] });
+
+    assert.deepEqual(files.map(f => f.name), ['markdown/arrays.md', 'markdown/arrays-4.md', 'markdown/article-5.md', 'articles.json']);
+});
+
+test('exports are written to a directory or one zip archive', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const files = buildExport([article], { formats: ['markdown', 'html'] });
+
+    const written = await writeExport(files, path.join(dir, 'out'));
+    assert.equal(written.archive, false);
+    assert.equal(fs.readFileSync(path.join(dir, 'out/markdown/arrays.md'), 'utf8'), files[0].content);
+    assert.ok(fs.existsSync(path.join(dir, 'out/html/arrays.html')));
+
+    const zipped = await writeExport(files, path.join(dir, 'zips/articles.zip'));
+    assert.equal(zipped.archive, true);
+    assert.equal(fs.readFileSync(zipped.path).subarray(0, 2).toString(), 'PK');
+    assert.equal(zipped.bytes, fs.statSync(zipped.path).size);
+});
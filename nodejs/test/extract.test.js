@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractArticle, truncateAtSections } = require('../lib/extract');
+
+const body = `<article>
+    <p>Support teams answer the same questions every day, and most of them are simple enough to automate.</p>
+    <h2>Where they help</h2>
+    <p>Chatbots take the routine questions, so people can spend their time on the hard ones.</p>
+</article>`;
+
+function page(head, url = 'https://blog.example.com/chatbots') {
+    return extractArticle(`<html><head>${head}</head><body>${body}</body></html>`, { url });
+}
+
+test('drops a site-name suffix from the title', () => {
+    assert.equal(page('<meta property="og:title" content="Chatbots | Example Blog"><meta property="og:site_name" content="Example Blog">').title, 'Chatbots');
+    assert.equal(page('<meta property="og:title" content="Chatbots - Example">').title, 'Chatbots');
+    assert.equal(page('<meta property="og:title" content="Chatbots – BBC News">', 'https://www.bbc.co.uk/news/1').title, 'Chatbots – BBC News');
+    assert.equal(page('<meta property="og:title" content="Chatbots - BBC">', 'https://www.bbc.co.uk/news/1').title, 'Chatbots');
+});
+
+test('keeps subtitles that are not the site name', () => {
+    assert.equal(page('<meta property="og:title" content="Chatbots - What Actually Works">').title, 'Chatbots - What Actually Works');
+    assert.equal(
+        page('<meta property="og:title" content="Chatbots - What Actually Works | Example">').title,
+        'Chatbots - What Actually Works',
+    );
+});
+
+test('reads metadata and converts the main content to Markdown', () => {
+    const article = page(`<meta property="og:title" content="Chatbots">
+        <meta name="author" content="Jane Doe">
+        <meta property="article:published_time" content="2024-03-01T10:00:00Z">
+        <link rel="canonical" href="/chatbots-guide">`);
+
+    assert.equal(article.author, 'Jane Doe');
+    assert.equal(article.publishedAt, '2024-03-01T10:00:00.000Z');
+    assert.equal(article.canonicalUrl, 'https://blog.example.com/chatbots-guide');
+    assert.match(article.content, /^Support teams answer/);
+    assert.match(article.content, /\n\n## Where they help\n\n/);
+});
+
+test('truncates at section boundaries', () => {
+    const markdown = '## One\n\nFirst part.\n\n## Two\n\nSecond part that is a good deal longer.';
+    const result = truncateAtSections(markdown, 30);
+
+    assert.equal(result.text, '## One\n\nFirst part.');
+    assert.equal(result.truncated, true);
+    assert.deepEqual(truncateAtSections(markdown, 1000), { text: markdown, truncated: false });
+});
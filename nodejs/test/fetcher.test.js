@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createFetcher, FETCH_ERROR_REASONS } = require('../lib/fetcher');
+
+// A site whose robots.txt and pages answer with the given statuses in turn (then 200); /gone is a 404
+async function startSite(robotsStatuses, pageStatuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        if (req.url === '/robots.txt') {
+            const status = robotsStatuses.shift() ?? 200;
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status === 200 ? 'User-agent: *\nDisallow: /private\n' : 'unavailable');
+            return;
+        }
+        const status = req.url === '/gone' ? 404 : pageStatuses.shift() ?? 200;
+        res.writeHead(status, { 'Content-Type': 'text/html', ...(status === 429 ? { 'Retry-After': '0' } : {}) });
+        res.end(status === 200 ? '<p>page</p>' : 'error');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { url: `http://127.0.0.1:${server.address().port}`, requests, close: () => server.close() };
+}
+
+const options = { userAgent: 'TestBot/1.0', timeout: 2000, domainDelayMs: 0, retryBaseMs: 1, log: () => {} };
+
+test('retries a robots.txt that fails with a 5xx', async (t) => {
+    const site = await startSite([503]);
+    t.after(site.close);
+
+    const fetcher = createFetcher({ ...options, maxRetries: 2 });
+    const response = await fetcher.fetch(`${site.url}/article`);
+
+    assert.equal(response.data, '<p>page</p>');
+    assert.deepEqual(site.requests, ['/robots.txt', '/robots.txt', '/article']);
+});
+
+test('tries an unreachable robots.txt again once the failure expires', async (t) => {
+    const site = await startSite([503]);
+    t.after(site.close);
+
+    const fetcher = createFetcher({ ...options, maxRetries: 0, robotsFailureTtlMs: 20 });
+    await assert.rejects(fetcher.fetch(`${site.url}/article`), { reason: FETCH_ERROR_REASONS.ROBOTS_UNREACHABLE });
+    await assert.rejects(fetcher.fetch(`${site.url}/article`), { reason: FETCH_ERROR_REASONS.ROBOTS_UNREACHABLE });
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await fetcher.fetch(`${site.url}/article`);
+    await assert.rejects(fetcher.fetch(`${site.url}/private/page`), { reason: FETCH_ERROR_REASONS.ROBOTS_DISALLOWED });
+    assert.deepEqual(site.requests, ['/robots.txt', '/robots.txt', '/article']);
+});
+
+test('a missing robots.txt allows everything', async (t) => {
+    const site = await startSite([404]);
+    t.after(site.close);
+
+    const fetcher = createFetcher(options);
+    await fetcher.fetch(`${site.url}/private/page`);
+
+    assert.deepEqual(site.requests, ['/robots.txt', '/private/page']);
+});
+
+test('retries 429 and 5xx page answers, but not other 4xx', async (t) => {
+    const site = await startSite([], [429, 502]);
+    t.after(site.close);
+
+    const fetcher = createFetcher({ ...options, maxRetries: 3 });
+    const response = await fetcher.fetch(`${site.url}/article`);
+    assert.equal(response.data, '<p>page</p>');
+
+    await assert.rejects(fetcher.fetch(`${site.url}/gone`), { reason: FETCH_ERROR_REASONS.HTTP_ERROR, status: 404, attempts: 1 });
+    assert.deepEqual(site.requests, ['/robots.txt', '/article', '/article', '/article', '/gone']);
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Diff = require('diff');
+
+/**
+ * The plain helper functions of ../index.html (everything in its script
+ * before the JSX components), run in a sandbox with jsdiff as window.Diff
+ * and a `window.location` the tests can change. There is no DOM here, so
+ * renderMarkdown is left to the browser.
+ */
+function loadPageHelpers() {
+    const html = fs.readFileSync(path.join(__dirname, '..', '..', 'index.html'), 'utf8');
+    const script = html.slice(html.indexOf('<script type="text/babel">') + '<script type="text/babel">'.length);
+    const helpers = script.slice(0, script.indexOf('// COMPONENTS'));
+
+    const context = vm.createContext({
+        Diff,
+        DOMPurify: { addHook: () => {} },
+        URLSearchParams,
+        setTimeout,
+        window: { location: { pathname: '/index.html', search: '' } },
+    });
+    vm.runInContext(helpers, context, { filename: 'index.html' });
+    return context;
+}
+
+const page = loadPageHelpers();
+
+// Arrays made in the sandbox have its own prototypes; compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('the view is read from the query string, invalid values fall back to the defaults', () => {
+    page.window.location.search = '?filter=enhanced&q=ai%20tools&sort=title&order=asc&page=2&article=top-tools';
+    assert.deepEqual(plain(page.readViewFromUrl()), {
+        page: 2, filter: 'enhanced', search: 'ai tools', sort: 'title', order: 'asc', article: 'top-tools',
+    });
+
+    page.window.location.search = '?filter=deleted&sort=content&order=asc&page=-3';
+    assert.deepEqual(plain(page.readViewFromUrl()), {
+        page: 1, filter: 'all', search: '', sort: 'created_at', order: 'desc', article: null,
+    });
+});
+
+test('only non-default values are written back to the URL', () => {
+    const view = { page: 3, filter: 'pending', search: 'ads', sort: 'title', order: 'desc', article: null };
+    const query = page.viewToQuery(view);
+
+    assert.equal(query, '?filter=pending&q=ads&sort=title&order=desc&page=3');
+    page.window.location.search = query;
+    assert.deepEqual(plain(page.readViewFromUrl()), view);
+
+    assert.equal(page.viewToQuery({ page: 1, filter: 'all', search: '', sort: 'created_at', order: 'desc', article: null }), '/index.html');
+});
+
+test('demo mode filters, searches, sorts and pages the mock articles', () => {
+    const query = { page: 1, perPage: 2, filter: 'enhanced', search: '', sort: 'created_at', order: 'desc' };
+
+    const first = plain(page.queryMockArticles(query));
+    assert.deepEqual(first.articles.map(a => a.id), [4, 3]);
+    assert.deepEqual(first.meta, { current_page: 1, last_page: 2, per_page: 2, total: 3 });
+
+    const second = plain(page.queryMockArticles({ ...query, page: 2 }));
+    assert.deepEqual(second.articles.map(a => a.id), [1]);
+
+    const search = plain(page.queryMockArticles({ ...query, filter: 'all', search: 'AI', sort: 'title', order: 'asc', perPage: 10 }));
+    assert.deepEqual(search.articles.map(a => a.id), [4, 3, 5]);
+});
+
+test('demo mode reviews change the mock article, a rejection needs a note', async () => {
+    await assert.rejects(page.reviewArticle({ id: 3 }, { status: 'rejected' }), /Please explain why/);
+
+    const approved = await page.reviewArticle({ id: 3 }, { status: 'approved' });
+    assert.deepEqual([approved.review_status, approved.reviewer_note], ['approved', null]);
+    assert.equal(page.queryMockArticles({ page: 1, perPage: 10, filter: 'all', search: 'Generative', sort: 'title', order: 'asc' })
+        .articles[0].review_status, 'approved');
+});
+
+test('the references block is split off the article body', () => {
+    const markdown = [
+        'Chatbots help [1] and so does training [2].',
+        '',
+        '---',
+        '',
+        '## References & Sources',
+        '',
+        '1. [Why \\[bots\\] fail](https://example.com/bots) - accessed 2024-01-16',
+        '2. Support handbook, chapter 3',
+        '',
+        '---',
+        '*This article was enhanced using AI.*',
+    ].join('\n');
+
+    const { body, references, note } = plain(page.splitReferences(markdown));
+
+    assert.equal(body, 'Chatbots help [1] and so does training [2].\n');
+    assert.deepEqual(references, [
+        { title: 'Why [bots] fail', url: 'https://example.com/bots', accessed_at: '2024-01-16' },
+        { title: 'Support handbook, chapter 3', url: null },
+    ]);
+    assert.equal(note, 'This article was enhanced using AI.');
+});
+
+test('an article without a references heading is all body', () => {
+    assert.deepEqual(plain(page.splitReferences('Just text.\n\n- a list item')), {
+        body: 'Just text.\n\n- a list item',
+        references: [],
+        note: null,
+    });
+});
+
+test('sentences split at line breaks and sentence ends, and join back to the text', () => {
+    const text = 'Version 2.5 is out. See e.g. the notes at https://example.com/v2.5 first!\n\n## Next steps\nUpgrade "Soon." Then relax.';
+    const sentences = plain(page.splitSentences(text));
+
+    assert.deepEqual(sentences, [
+        'Version 2.5 is out. ',
+        'See e.g. the notes at https://example.com/v2.5 first!\n\n',
+        '## Next steps\n',
+        'Upgrade "Soon." ',
+        'Then relax.',
+    ]);
+    assert.equal(sentences.join(''), text);
+    assert.equal(page.splitSentences('').length, 0);
+});
+
+test('Markdown markers, case and spacing do not make a sentence different', () => {
+    assert.equal(page.normalizeSentence('## **Why**  chatbots   fail\n'), 'why chatbots fail');
+    assert.equal(page.normalizeSentence('- Bots *never* sleep.'), page.normalizeSentence('Bots never sleep.'));
+    assert.equal(page.sentenceSimilarity('Bots never sleep.', 'Bots rarely sleep.'), 2 / 4);
+});
+
+test('rewritten sentences are paired, the rest become replaced passages', () => {
+    const runs = page.alignSentences(
+        ['Bots never sleep. ', 'Pricing is simple. '],
+        ['Bots rarely sleep. ', 'A brand new idea. ', 'Pricing stays simple. '],
+    );
+
+    assert.deepEqual(plain(runs.map(run => [run.before, run.after])), [
+        [['Bots never sleep. '], ['Bots rarely sleep. ']],
+        [[], ['A brand new idea. ']],
+        [['Pricing is simple. '], ['Pricing stays simple. ']],
+    ]);
+});
+
+test('the diff keeps both sides aligned segment by segment', () => {
+    const diff = plain(page.buildDiff(
+        'Bots help. They never sleep. Old pricing applied.',
+        'Bots help. They rarely sleep.',
+    ));
+
+    assert.equal(diff.left.length, diff.right.length);
+    assert.deepEqual(diff.left.map(s => s.type), ['same', 'rewritten', 'removed']);
+    assert.deepEqual(diff.right.map(s => s.type), ['same', 'rewritten', 'gap']);
+    assert.deepEqual(diff.right.map(s => s.change), [undefined, 0, 1]);
+    assert.deepEqual(diff.left[1].words.filter(w => w.changed).map(w => w.value), ['never']);
+    assert.deepEqual(diff.right[1].words.filter(w => w.changed).map(w => w.value), ['rarely']);
+    assert.deepEqual([diff.changes, diff.removedWords, diff.addedWords], [2, 4, 1]);
+});
+
+test('a sentence with nothing in common with its replacement is still one change', () => {
+    const diff = plain(page.buildDiff('Bots help. Old pricing applied.', 'Bots help. Support costs drop.'));
+
+    assert.deepEqual(diff.left.map(s => s.type), ['same', 'rewritten']);
+    assert.equal(diff.right[1].text, 'Support costs drop.');
+    assert.equal(diff.changes, 1);
+});
+
+test('identical texts have no changes', () => {
+    const diff = plain(page.buildDiff('Bots help. They never sleep.', 'Bots help.  They   never sleep.'));
+
+    assert.equal(diff.changes, 0);
+    assert.deepEqual(diff.left.map(s => s.type), ['same']);
+});
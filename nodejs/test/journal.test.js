@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournal } = require('../lib/journal');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const article = { id: 7, title: 'Chatbots', content: 'Original text.' };
+
+test('a new run resumes after the last completed step', (t) => {
+    const dir = tempDir(t);
+    const first = createJournal({ dir }).open(article);
+    assert.equal(first.resumed, false);
+    first.complete('search', { query: 'chatbots' });
+    first.complete('draft', { content: 'Draft.', publishKey: 'abc' });
+
+    // e.g. the process died while publishing
+    const second = createJournal({ dir }).open(article);
+    assert.equal(second.resumed, true);
+    assert.deepEqual(second.get('search').data, { query: 'chatbots' });
+    assert.equal(second.get('draft').data.publishKey, 'abc');
+    assert.equal(second.get('references'), null);
+});
+
+test('progress is ignored once the article changed, or with fresh', (t) => {
+    const dir = tempDir(t);
+    createJournal({ dir }).open(article).complete('search', { query: 'chatbots' });
+
+    const edited = createJournal({ dir }).open({ ...article, content: 'Edited text.' });
+    assert.deepEqual([edited.resumed, edited.stale, edited.get('search')], [false, true, null]);
+
+    const fresh = createJournal({ dir }).open(article, { fresh: true });
+    assert.deepEqual([fresh.resumed, fresh.get('search')], [false, null]);
+});
+
+test('finish deletes the journal', (t) => {
+    const dir = tempDir(t);
+    const entry = createJournal({ dir }).open(article);
+    entry.complete('article', article);
+    entry.finish();
+
+    assert.deepEqual(fs.readdirSync(dir), []);
+    assert.equal(createJournal({ dir }).open(article).resumed, false);
+});
+
+test('a disabled journal writes nothing, unknown steps throw', (t) => {
+    const dir = tempDir(t);
+    const entry = createJournal({ dir, enabled: false }).open(article);
+    entry.complete('search', {});
+
+    assert.equal(fs.existsSync(dir) && fs.readdirSync(dir).length, 0);
+    assert.throws(() => entry.complete('publish', {}), /Unknown journal step "publish"/);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLaravelClient, LARAVEL_ERROR_KINDS } = require('../lib/laravel');
+const { createMockLaravelServer } = require('../lib/laravel/mock-server');
+
+const CONTENT = 'Chatbots answer routine questions so support teams can focus on the hard ones. '.repeat(3);
+const CITATIONS = ['https://example.com/chatbots'];
+
+async function startMock(t, { token, articles = [{ title: 'Why Chatbots Fail', content: CONTENT }] } = {}) {
+    const mock = createMockLaravelServer({ articles, token });
+    const baseUrl = await mock.listen();
+    t.after(() => mock.close());
+
+    const retries = [];
+    const laravel = createLaravelClient({ baseUrl, token, retryBaseMs: 1, log: (line) => retries.push(line) });
+    return { mock, laravel, retries };
+}
+
+test('articles are read and written through the envelope', async (t) => {
+    const { laravel } = await startMock(t);
+
+    const created = await laravel.createArticle({ title: 'Measuring Support', content: CONTENT });
+    assert.equal(created.slug, 'measuring-support');
+
+    const updated = await laravel.updateArticle('measuring-support', { title: 'Measuring Support Quality' });
+    assert.equal(updated.title, 'Measuring Support Quality');
+
+    const { articles, meta } = await laravel.listArticles({ sort: 'title', order: 'asc' });
+    assert.deepEqual(articles.map(a => a.title), ['Measuring Support Quality', 'Why Chatbots Fail']);
+    assert.equal(meta.total, 2);
+
+    assert.equal(await laravel.deleteArticle(created.id), true);
+    assert.equal((await laravel.getArticle('why-chatbots-fail')).id, 1);
+});
+
+test('failures become LaravelApiErrors with a kind', async (t) => {
+    const { laravel } = await startMock(t);
+
+    await assert.rejects(laravel.getArticle(99), { name: 'LaravelApiError', kind: LARAVEL_ERROR_KINDS.NOT_FOUND, status: 404 });
+    await assert.rejects(laravel.createArticle({ title: '' }), (error) => {
+        assert.equal(error.kind, LARAVEL_ERROR_KINDS.VALIDATION);
+        assert.deepEqual(Object.keys(error.errors).sort(), ['content', 'title']);
+        return true;
+    });
+    await assert.rejects(laravel.releaseArticle(1, { worker: 'w1' }), { kind: LARAVEL_ERROR_KINDS.CONFLICT });
+});
+
+test('a wrong token is an auth error, /health stays public', async (t) => {
+    const { mock } = await startMock(t, { token: 'secret' });
+    const laravel = createLaravelClient({ baseUrl: mock.baseUrl, token: 'wrong' });
+
+    await assert.rejects(laravel.getArticle(1), { kind: LARAVEL_ERROR_KINDS.AUTH, status: 401 });
+    assert.equal((await laravel.health()).status, 'healthy');
+});
+
+test('transient failures are retried, up to maxRetries', async (t) => {
+    const { mock, laravel, retries } = await startMock(t);
+
+    mock.failNext(2, { status: 503, retryAfter: 0 });
+    assert.equal((await laravel.getArticle(1)).id, 1);
+    assert.equal(retries.length, 2);
+
+    mock.failNext(3, { status: 502 });
+    await assert.rejects(laravel.getArticle(1), { kind: LARAVEL_ERROR_KINDS.UNAVAILABLE, status: 502 });
+});
+
+test('a create that the server may have seen is not repeated', async (t) => {
+    const { mock, laravel } = await startMock(t);
+
+    mock.failNext(1, { status: 500 });
+    await assert.rejects(laravel.createArticle({ title: 'Pricing', content: CONTENT }), { status: 500 });
+
+    // 503 means it was turned away before anything happened
+    mock.failNext(1, { status: 503, retryAfter: 0 });
+    assert.equal((await laravel.createArticle({ title: 'Pricing', content: CONTENT })).slug, 'pricing');
+    assert.equal(mock.articles.length, 2);
+});
+
+test('publishing with an Idempotency-Key is retried and replayed, not repeated', async (t) => {
+    const { mock, laravel } = await startMock(t);
+    const payload = { ai_content: CONTENT, citations: CITATIONS };
+
+    mock.failNext(1, { status: 500 });
+    const first = await laravel.publishAi(1, payload, { idempotencyKey: 'run-1' });
+    assert.equal(first.replayed, false);
+    assert.equal(first.article.is_ai_updated, true);
+
+    const again = await laravel.publishAi(1, { ...payload, ai_content: `${CONTENT} Changed.` }, { idempotencyKey: 'run-1' });
+    assert.equal(again.replayed, true);
+    assert.equal(mock.articles[0].ai_content, CONTENT);
+
+    // Without a key a failed publish is not retried
+    mock.failNext(1, { status: 500 });
+    await assert.rejects(laravel.publishAi(1, payload), { status: 500 });
+});
+
+test('claims hand each pending article to one worker until released or published', async (t) => {
+    const { laravel } = await startMock(t, {
+        articles: [
+            { title: 'Older', content: CONTENT, created_at: '2024-01-01T00:00:00.000Z' },
+            { title: 'Newer', content: CONTENT, created_at: '2024-02-01T00:00:00.000Z' },
+        ],
+    });
+
+    const first = await laravel.claimArticle({ worker: 'w1' });
+    const second = await laravel.claimArticle({ worker: 'w2' });
+    assert.deepEqual([first.title, second.title], ['Newer', 'Older']);
+    assert.equal(await laravel.claimArticle({ worker: 'w3' }), null);
+
+    await assert.rejects(laravel.releaseArticle(first.id, { worker: 'w2' }), { kind: LARAVEL_ERROR_KINDS.CONFLICT });
+    await laravel.releaseArticle(first.id, { worker: 'w1' });
+    assert.equal((await laravel.claimArticle({ worker: 'w3' })).id, first.id);
+
+    await assert.rejects(laravel.claimArticle({ worker: 'w4', leaseSeconds: 5 }), { kind: LARAVEL_ERROR_KINDS.VALIDATION });
+});
+
+test('rejected drafts are stored and no longer claimable', async (t) => {
+    const { laravel } = await startMock(t);
+
+    const article = await laravel.rejectAi(1, { rejected_content: CONTENT, quality_report: { reasons: ['Too short'] } });
+    assert.equal(article.quality_status, 'rejected');
+    assert.equal(await laravel.claimArticle({ worker: 'w1' }), null);
+    await assert.rejects(laravel.rejectAi(1, { rejected_content: CONTENT, quality_report: {} }), { kind: LARAVEL_ERROR_KINDS.VALIDATION });
+});
+
+test('a published rewrite is displayed only once an editor approves it', async (t) => {
+    const { laravel } = await startMock(t);
+
+    const { article: published } = await laravel.publishAi(1, { ai_content: `${CONTENT} Rewritten.`, citations: CITATIONS });
+    assert.equal(published.review_status, 'pending_review');
+    assert.equal(published.display_content, CONTENT);
+
+    await assert.rejects(laravel.reviewArticle(1, { status: 'rejected' }), (error) => {
+        assert.equal(error.kind, LARAVEL_ERROR_KINDS.VALIDATION);
+        assert.deepEqual(Object.keys(error.errors), ['note']);
+        return true;
+    });
+
+    const approved = await laravel.reviewArticle(1, { status: 'approved' });
+    assert.equal(approved.review_status, 'approved');
+    assert.equal(approved.display_content, `${CONTENT} Rewritten.`);
+    assert.equal((await laravel.listArticles({ review_status: 'approved' })).meta.total, 1);
+});
+
+test('an article without an AI version cannot be reviewed, only sent back for a rewrite', async (t) => {
+    const { laravel } = await startMock(t);
+
+    await assert.rejects(laravel.reviewArticle(1, { status: 'approved' }), { kind: LARAVEL_ERROR_KINDS.CONFLICT });
+
+    await laravel.publishAi(1, { ai_content: CONTENT, citations: CITATIONS });
+    const { article, queued } = await laravel.requestRewrite(1, { note: 'Too salesy' });
+    assert.equal(queued, false);
+    assert.deepEqual([article.is_ai_updated, article.review_status, article.reviewer_note], [false, null, 'Too salesy']);
+    assert.equal((await laravel.claimArticle({ worker: 'w1' })).id, 1);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../lib/logger');
+
+function capture() {
+    const lines = [];
+    return { lines, write: (chunk) => lines.push(chunk) };
+}
+
+test('JSON lines carry the message without decoration, plus context and fields', async () => {
+    const stdout = capture();
+    const logger = createLogger({ format: 'json', stdout });
+
+    await logger.run({ articleId: 17, worker: 2 }, async () => {
+        logger.set({ step: 'search' });
+        logger.info('   ✅ Found 3 reference URLs', { count: 3 });
+        logger.info('');
+        logger.print('╔══ banner ══╗');
+    });
+
+    assert.equal(stdout.lines.length, 1);
+    const { time, ...line } = JSON.parse(stdout.lines[0]);
+    assert.ok(!Number.isNaN(Date.parse(time)));
+    assert.deepEqual(line, { level: 'info', msg: 'Found 3 reference URLs', articleId: 17, worker: 2, step: 'search', count: 3 });
+});
+
+test('pretty lines are tagged with worker and article in batch mode', async () => {
+    const stdout = capture();
+    const stderr = capture();
+    const logger = createLogger({ stdout, stderr });
+
+    logger.info('📥 Starting');
+    await logger.run({ articleId: 5, worker: 1 }, async () => {
+        logger.info('   🔍 Searching...');
+        logger.error('   ❌ Failed');
+    });
+    logger.event('not shown in pretty mode');
+
+    assert.deepEqual(stdout.lines, ['📥 Starting\n', '[W1 #5] 🔍 Searching...\n']);
+    assert.deepEqual(stderr.lines, ['[W1 #5] ❌ Failed\n']);
+});
+
+test('lines below the level are dropped, unknown settings throw', () => {
+    const stdout = capture();
+    const logger = createLogger({ level: 'warn', stdout });
+    logger.info('hidden');
+    logger.warn('shown');
+
+    assert.deepEqual(stdout.lines, ['shown\n']);
+    assert.throws(() => createLogger({ format: 'xml' }), /Unknown log format "xml"/);
+    assert.throws(() => createLogger({ level: 'trace' }), /Unknown log level "trace"/);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { enhanceOffline, rankSentences } = require('../lib/offline-enhancer');
+const { countWords } = require('../lib/text');
+
+const ARTICLE = {
+    title: 'Why Chatbots Fail at Customer Service',
+    content: [
+        '# Why Chatbots Fail at Customer Service',
+        '',
+        '## The deflection trap',
+        '',
+        'Most support chatbots are built to deflect customer questions instead of answering them.',
+        'Customers notice quickly when a support chatbot loops them through menus without answers.',
+        'Many of those customers simply leave and buy from a competitor the same afternoon.',
+        '',
+        '## What works instead',
+        '',
+        'Good support teams treat the chatbot as a first line of customer support.',
+        'They give every customer a clear path from the chatbot to a human support agent.',
+        'The weather in the office was pleasant during the whole quarter, everyone agreed.',
+        '',
+        '## Measuring success',
+        '',
+        'Support teams should measure resolution of customer questions, not deflection rates.',
+        'A chatbot that resolves customer questions keeps customers and lowers support costs.',
+    ].join('\n'),
+};
+
+const REFERENCES = [
+    {
+        url: 'https://example.com/support-bots',
+        title: 'Support Bots in Practice',
+        content: 'Our survey covered retail banks. Customers trust a support chatbot when it hands hard customer questions to a human agent quickly. Parking was free.',
+    },
+];
+
+test('sentences that share words with many others rank highest', () => {
+    const scores = rankSentences([
+        'Support chatbots answer customer questions quickly.',
+        'Customer questions reach support chatbots every day.',
+        'The office kitchen has a new coffee machine.',
+        'Chatbots that answer customer questions help support teams.',
+    ]);
+
+    assert.equal(scores.indexOf(Math.min(...scores)), 2);
+});
+
+test('the enhancement keeps the article and adds its sections around it', () => {
+    const { content, excerpts } = enhanceOffline(ARTICLE, REFERENCES, { maxAddedRatio: 0.8 });
+
+    assert.ok(content.startsWith('# Why Chatbots Fail at Customer Service\n\n## In Brief\n\n'), content);
+    assert.ok(content.includes(ARTICLE.content.replace(/^# [^\n]+\n+/, '')), 'the article body is unchanged');
+    assert.match(content, /## Contents\n\n- The deflection trap\n- What works instead\n- Measuring success/);
+    assert.match(content, /## Key Takeaways\n\n- /);
+    // The off-topic sentence is never central enough for the summary or the takeaways
+    assert.equal(content.match(/weather/g).length, 1);
+
+    assert.deepEqual(excerpts.map(e => [e.referenceIndex, e.title]), [[0, 'Support Bots in Practice']]);
+    assert.match(content, /## What Other Sources Say\n\n- “Customers trust a support chatbot [^”]+” - \*Support Bots in Practice\* \[1\]/);
+});
+
+test('sections that do not fit the word budget are left out, headings included', () => {
+    for (const maxAddedRatio of [0.1, 0.45, 0.8]) {
+        const { content } = enhanceOffline(ARTICLE, REFERENCES, { maxAddedRatio });
+        const added = countWords(content) - countWords(ARTICLE.content);
+        assert.ok(added <= Math.floor(countWords(ARTICLE.content) * maxAddedRatio), `${added} words added at ${maxAddedRatio}`);
+    }
+
+    const { content } = enhanceOffline(ARTICLE, REFERENCES);
+    assert.doesNotMatch(content, /## In Brief/);
+    assert.match(content, /## Contents/);
+});
+
+test('quotes longer than maxQuoteWords are left out, and so is the sources section', () => {
+    const { content, excerpts } = enhanceOffline(ARTICLE, REFERENCES, { maxQuoteWords: 10 });
+
+    assert.deepEqual(excerpts, []);
+    assert.doesNotMatch(content, /What Other Sources Say/);
+});
+
+test('a short article without headings gets no table of contents', () => {
+    const article = { title: 'Bots', content: 'Support chatbots answer customer questions quickly and well.' };
+    const { content } = enhanceOffline(article, []);
+
+    assert.doesNotMatch(content, /## Contents/);
+    assert.ok(content.includes(article.content));
+});
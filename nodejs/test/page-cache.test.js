@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPageCache } = require('../lib/page-cache');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const entry = (ageSeconds) => ({
+    fetchedAt: new Date(Date.now() - ageSeconds * 1000).toISOString(),
+    status: 200,
+    etag: '"v1"',
+    lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT',
+    html: '<p>page</p>',
+});
+
+test('stores entries per URL, ignoring the fragment', (t) => {
+    const cache = createPageCache({ dir: tempDir(t), ttlSeconds: 60 });
+    cache.save('https://example.com/a#comments', entry(0));
+
+    assert.equal(cache.get('https://example.com/a').html, '<p>page</p>');
+    assert.equal(cache.get('https://example.com/a').url, 'https://example.com/a#comments');
+    assert.equal(cache.get('https://example.com/b'), null);
+});
+
+test('entries are fresh within the TTL, and never in refresh mode', (t) => {
+    const dir = tempDir(t);
+    const cache = createPageCache({ dir, ttlSeconds: 60 });
+
+    assert.equal(cache.isFresh(entry(30)), true);
+    assert.equal(cache.isFresh(entry(90)), false);
+    assert.equal(createPageCache({ dir, ttlSeconds: 60, mode: 'refresh' }).isFresh(entry(0)), false);
+});
+
+test('stale entries are revalidated with conditional headers', (t) => {
+    const cache = createPageCache({ dir: tempDir(t), ttlSeconds: 60 });
+
+    assert.deepEqual(cache.conditionalHeaders(entry(90)), {
+        'If-None-Match': '"v1"',
+        'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT',
+    });
+    assert.deepEqual(cache.conditionalHeaders(null), {});
+});
+
+test('offline mode reads but never writes, off mode does neither', (t) => {
+    const dir = tempDir(t);
+    createPageCache({ dir, ttlSeconds: 60 }).save('https://example.com/a', entry(0));
+
+    const offline = createPageCache({ dir, ttlSeconds: 60, mode: 'offline' });
+    offline.save('https://example.com/b', entry(0));
+    assert.ok(offline.get('https://example.com/a'));
+    assert.equal(offline.get('https://example.com/b'), null);
+
+    assert.equal(createPageCache({ dir, ttlSeconds: 60, mode: 'off' }).get('https://example.com/a'), null);
+    assert.throws(() => createPageCache({ dir, ttlSeconds: 60, mode: 'sometimes' }), /Unknown SCRAPE_CACHE_MODE "sometimes"/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPrompts } = require('../lib/prompts');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+// A copy of the shipped prompts with the manifest changed by `edit`
+function promptsWith(t, edit) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.cpSync(PROMPTS_DIR, dir, { recursive: true });
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    edit(manifest);
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest));
+    return dir;
+}
+
+test('the shipped manifest loads with every profile', () => {
+    const prompts = loadPrompts(PROMPTS_DIR);
+
+    assert.ok(prompts.version);
+    assert.ok(prompts.profiles[prompts.defaultProfile]);
+    for (const key of Object.keys(prompts.profiles)) {
+        const profile = prompts.profile(key);
+        assert.equal(profile.key, key);
+        assert.equal(typeof profile.temperature, 'number');
+    }
+    assert.throws(() => prompts.profile('poetry'), /Unknown style profile "poetry"/);
+});
+
+test('templates are rendered, and a missing variable is an error', (t) => {
+    const dir = promptsWith(t, () => {});
+    fs.writeFileSync(path.join(dir, 'feedback.txt'), 'Fix this: {{ reasons }} ({{attempt}})\n');
+    const prompts = loadPrompts(dir);
+
+    assert.equal(prompts.render('feedback', { reasons: 'too long', attempt: 2 }), 'Fix this: too long (2)');
+    assert.throws(() => prompts.render('feedback', { reasons: 'too long' }), /uses \{\{attempt\}\}, which was not provided/);
+    assert.throws(() => prompts.render('outro', {}), /Unknown prompt template "outro"/);
+});
+
+test('an incomplete manifest is rejected', (t) => {
+    assert.throws(() => loadPrompts(promptsWith(t, m => { delete m.version; })), /has no "version"/);
+    assert.throws(() => loadPrompts(promptsWith(t, m => { delete m.templates.part; })), /does not list the "part" template/);
+    assert.throws(() => loadPrompts(promptsWith(t, m => { delete m.profiles.marketing.tone; })), /Style profile "marketing" is missing: tone/);
+    assert.throws(() => loadPrompts(promptsWith(t, m => { m.defaultProfile = 'casual'; })), /Default style profile "casual" is not defined/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateDraft, fleschReadingEase } = require('../lib/quality');
+
+const dense = 'Organizational implementation of conversational automation necessitates comprehensive evaluation of infrastructure compatibility. '
+    + 'Institutional stakeholders frequently underestimate integration complexity, particularly regarding authentication and authorization.';
+const denseDraft = 'Comprehensive evaluation of infrastructure compatibility is necessary before organizations implement conversational automation. '
+    + 'Institutional stakeholders regularly underestimate integration complexity, especially regarding authentication and authorization.';
+const plain = 'Chatbots help small shops. They answer simple questions at night. Staff can rest. Customers get help fast.';
+
+test('a draft as hard to read as a hard original passes', () => {
+    assert.ok(fleschReadingEase(dense).score < 30);
+
+    const { passed, checks } = evaluateDraft(denseDraft, { original: dense });
+
+    assert.equal(checks.readability.ok, true, JSON.stringify(checks.readability));
+    assert.equal(passed, true);
+});
+
+test('a hard draft of a plain original fails the readability check', () => {
+    const { checks, reasons } = evaluateDraft(denseDraft, { original: plain });
+
+    assert.equal(checks.readability.ok, false);
+    assert.equal(checks.readability.minimum, 30);
+    assert.match(reasons.join(' '), /hard to read/);
+});
+
+test('flags meta-commentary, copied passages and length changes', () => {
+    const reference = 'Most customers expect an answer within a few minutes when they contact a support team by chat or email today.';
+    const draft = 'Here is the rewritten article:\n\n'
+        + 'We found that most customers expect an answer within a few minutes when they contact a support team by chat or email today.';
+
+    const { passed, checks, reasons } = evaluateDraft(draft, {
+        original: plain,
+        references: [{ url: 'https://example.com/survey', content: reference }],
+    }, { maxCopiedWords: 15 });
+
+    assert.equal(passed, false);
+    assert.deepEqual(checks.meta.matches, ['Here is the rewritten article']);
+    assert.equal(checks.overlap.ok, false);
+    assert.equal(checks.overlap.source, 'https://example.com/survey');
+    assert.equal(checks.overlap.longestRunWords, 20);
+    assert.equal(checks.length.ok, false);
+    assert.equal(reasons.length, 3);
+});
+
+test('citation markers and Markdown do not count as words', () => {
+    const { checks } = evaluateDraft(`## Help\n\n**Chatbots** help small shops [1]. They answer [2] simple questions at night.\n\n- Staff can rest.\n- Customers get help fast.`, { original: plain });
+
+    assert.deepEqual([checks.length.originalWords, checks.length.draftWords], [17, 18]);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rankReferences, bm25, simhash, hammingDistance, domainOf, isSameSite } = require('../lib/relevance');
+
+const ARTICLE = {
+    content: 'Support chatbots answer customer questions around the clock. A good chatbot hands hard questions '
+        + 'to a human agent, and support teams measure how many customer questions the chatbot resolves.',
+};
+
+const ON_TOPIC = 'Customer support teams deploy chatbots to answer routine customer questions. The chatbot '
+    + 'resolves simple questions and escalates the rest to a support agent, which keeps customers happy.';
+
+const ALSO_ON_TOPIC = 'Measuring a support chatbot means counting resolved customer questions, not deflected ones. '
+    + 'Teams review chatbot transcripts weekly to find questions the bot cannot answer yet.';
+
+const OFF_TOPIC = 'Fresh pasta needs flour, eggs and patience. Knead the dough for ten minutes, rest it, '
+    + 'then roll it thin and cut wide ribbons for a rich tomato sauce.';
+
+test('BM25 favors documents that use the query terms often', () => {
+    const scores = bm25(['chatbot', 'support'], [
+        ['chatbot', 'support', 'chatbot', 'team'],
+        ['pasta', 'flour', 'egg', 'chatbot'],
+        ['pasta', 'flour', 'egg', 'dough'],
+    ]);
+
+    assert.ok(scores[0] > scores[1] && scores[1] > scores[2], `${scores}`);
+    assert.equal(scores[2], 0);
+});
+
+test('a slightly changed text keeps most of its simhash bits', () => {
+    const text = `${ON_TOPIC} ${ALSO_ON_TOPIC}`;
+    const base = simhash(text);
+
+    assert.equal(hammingDistance(base, simhash(text)), 0);
+    assert.ok(hammingDistance(base, simhash(`${text} Read more.`)) < hammingDistance(base, simhash(OFF_TOPIC)));
+    assert.equal(hammingDistance(0b1011n, 0b0010n), 2);
+});
+
+test('references are ranked by relevance, off-topic pages and copies dropped', () => {
+    const { selected, rejected } = rankReferences(ARTICLE, [
+        { url: 'https://recipes.example/pasta', content: OFF_TOPIC },
+        { url: 'https://bots.example/guide', content: ON_TOPIC },
+        { url: 'https://mirror.example/guide', content: `${ON_TOPIC} Share this post.` },
+        { url: 'https://copy.example/article', content: ARTICLE.content },
+        { url: 'https://metrics.example/bots', content: ALSO_ON_TOPIC },
+    ]);
+
+    assert.deepEqual(selected.map(r => r.rank), [1, 2]);
+    assert.ok(selected.every(r => r.relevance > 0 && r.relevance <= 1 && r.bm25 > 0));
+    assert.deepEqual(new Set(selected.map(r => r.url)), new Set(['https://bots.example/guide', 'https://metrics.example/bots']));
+
+    assert.deepEqual(Object.fromEntries(rejected.map(r => [r.candidate.url, r.reason])), {
+        'https://recipes.example/pasta': 'off_topic',
+        'https://mirror.example/guide': 'duplicate',
+        'https://copy.example/article': 'copy_of_article',
+    });
+});
+
+test('a second page from the same domain only fills a slot nobody else can', () => {
+    const candidates = [
+        { url: 'https://bots.example/guide', content: ON_TOPIC },
+        { url: 'https://www.bots.example/metrics', content: ALSO_ON_TOPIC },
+        { url: 'https://other.example/faq', content: 'Our FAQ page lists opening hours and delivery times. A chatbot on the page answers customer questions.' },
+    ];
+
+    const { selected, rejected } = rankReferences(ARTICLE, candidates, { count: 2, minRelevance: 0.01 });
+    assert.deepEqual(selected.map(r => r.url), ['https://bots.example/guide', 'https://other.example/faq']);
+    assert.deepEqual(rejected.map(r => [r.candidate.url, r.reason]), [['https://www.bots.example/metrics', 'not_selected']]);
+
+    const { selected: sameSite } = rankReferences(ARTICLE, candidates.slice(0, 2), { count: 2 });
+    assert.equal(sameSite.length, 2);
+});
+
+test('domains ignore www. and subdomains count as the same site', () => {
+    assert.equal(domainOf('https://WWW.Example.com/a'), 'example.com');
+    assert.equal(domainOf('not a url'), null);
+    assert.equal(isSameSite('https://blog.example.com/post', 'https://example.com'), true);
+    assert.equal(isSameSite('https://example.com', 'https://notexample.com'), false);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRobotsRules, parseRobotsTxt } = require('../lib/robots');
+
+const AGENT = 'BeyondChatsRewriter/1.0 (+https://beyondchats.com)';
+
+const ROBOTS = `
+# comments and unknown fields are ignored
+User-agent: *
+Disallow: /private
+Allow: /private/press
+Crawl-delay: 2
+
+User-agent: BeyondChatsRewriter
+User-agent: OtherBot
+Disallow: /drafts/
+Disallow: /*.pdf$
+Allow: /drafts/public
+`;
+
+test('consecutive User-agent lines share one group', () => {
+    const groups = parseRobotsTxt(ROBOTS);
+
+    assert.equal(groups.length, 2);
+    assert.deepEqual(groups[1].agents, ['beyondchatsrewriter', 'otherbot']);
+    assert.equal(groups[0].crawlDelay, 2);
+});
+
+test('the group naming our crawler wins over "*"', () => {
+    const rules = createRobotsRules(ROBOTS, AGENT);
+
+    assert.equal(rules.isAllowed('https://example.com/private/page'), true);
+    assert.equal(rules.isAllowed('https://example.com/drafts/new'), false);
+    assert.equal(rules.crawlDelayMs, null);
+});
+
+test('the longest matching rule wins, Allow wins ties', () => {
+    const rules = createRobotsRules(ROBOTS, 'SomeOtherCrawler/2.0');
+
+    assert.equal(rules.isAllowed('https://example.com/private/page'), false);
+    assert.equal(rules.isAllowed('https://example.com/private/press/release'), true);
+    assert.equal(rules.crawlDelayMs, 2000);
+
+    const tie = createRobotsRules('User-agent: *\nDisallow: /page\nAllow: /page\n', AGENT);
+    assert.equal(tie.isAllowed('https://example.com/page'), true);
+});
+
+test('"*" matches anything and "$" anchors the end of the path', () => {
+    const rules = createRobotsRules(ROBOTS, AGENT);
+
+    assert.equal(rules.isAllowed('https://example.com/files/report.pdf'), false);
+    assert.equal(rules.isAllowed('https://example.com/files/report.pdf?download=1'), true);
+    assert.equal(rules.isAllowed('https://example.com/drafts/public/post'), true);
+});
+
+test('an empty or missing robots.txt allows everything', () => {
+    assert.equal(createRobotsRules('', AGENT).isAllowed('https://example.com/anything'), true);
+    assert.equal(createRobotsRules('User-agent: *\nDisallow:\n', AGENT).isAllowed('https://example.com/x'), true);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunReport } = require('../lib/run-report');
+const { writeMetricsFile } = require('../lib/metrics');
+
+function sampleReport() {
+    const report = createRunReport();
+    report.recordStep('search', 800);
+    report.recordStep('search', 400);
+    report.recordScrape('ok');
+    report.recordScrape('ok');
+    report.recordScrape('timeout');
+    report.recordLlmUsage({ provider: 'openai', model: 'gpt-4o-mini-2024-07-18', inputTokens: 1000000, outputTokens: 500000 });
+    report.recordLlmUsage({ provider: 'mock', model: 'mock-1', inputTokens: 10, outputTokens: 5 });
+    report.recordArticle({ id: 1, title: 'A', status: 'published', durationMs: 1000 });
+    report.recordArticle({ id: 2, title: 'B', status: 'failed', durationMs: 500, error: 'boom' });
+    return report.finish({ mode: 'batch' });
+}
+
+test('the report totals steps, scrapes, tokens and estimated cost', () => {
+    const report = sampleReport();
+
+    assert.deepEqual(report.steps.search, { count: 2, total_ms: 1200, max_ms: 800, avg_ms: 600 });
+    assert.deepEqual(report.scrape, { attempted: 3, succeeded: 2, failures: { timeout: 1 }, success_rate: 0.6667 });
+    assert.equal(report.llm.requests, 2);
+    // gpt-4o-mini price (matched by prefix) + a free mock model
+    assert.equal(report.llm.estimated_cost_usd, 0.45);
+    assert.deepEqual([report.articles.total, report.articles.published, report.articles.failed], [2, 1, 1]);
+    assert.equal(report.articles.results[1].error, 'boom');
+});
+
+test('a model without a known price makes the total cost unknown', () => {
+    const report = createRunReport();
+    report.recordLlmUsage({ provider: 'openai', model: 'some-new-model', inputTokens: 10, outputTokens: 10 });
+
+    assert.equal(report.finish({ mode: 'single' }).llm.estimated_cost_usd, null);
+});
+
+test('metrics counters add up across runs, gauges describe the last run', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'rewriter.prom');
+
+    writeMetricsFile(file, sampleReport());
+    writeMetricsFile(file, sampleReport());
+    const text = fs.readFileSync(file, 'utf8');
+
+    assert.match(text, /^# TYPE rewriter_runs_total counter$/m);
+    assert.match(text, /^rewriter_runs_total\{dry_run="false",mode="batch"\} 2$/m);
+    assert.match(text, /^rewriter_articles_total\{status="failed"\} 2$/m);
+    assert.match(text, /^rewriter_scrape_requests_total\{outcome="timeout"\} 2$/m);
+    assert.match(text, /^rewriter_llm_cost_usd_total\{model="gpt-4o-mini-2024-07-18",provider="openai"\} 0.9$/m);
+    assert.match(text, /^rewriter_last_run_articles\{status="published"\} 1$/m);
+    assert.match(text, /^rewriter_last_run_scrape_success_ratio 0.6667$/m);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildSearchQuery, createSearchProvider } = require('../lib/search');
+const { extractKeywords, stem } = require('../lib/text');
+
+function writeIndex(t, name, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+test('keywords are the most frequent content words, ties in order of appearance', () => {
+    const text = 'Chatbots help support teams. Support teams use chatbots for routine support questions.';
+
+    assert.deepEqual(extractKeywords(text, 3), ['support', 'chatbots', 'teams']);
+    assert.equal(stem('stories'), 'story');
+    assert.equal(stem('chatbots'), 'chatbot');
+});
+
+test('the search query adds body keywords that are not in the title', () => {
+    const { query, keywords } = buildSearchQuery({
+        title: 'Why We Built Another Chatbot',
+        content: 'Our chatbot answers healthcare questions. Healthcare clinics need fast triage and triage needs data.',
+    });
+
+    assert.deepEqual(keywords, ['healthcare', 'triage', 'answers']);
+    assert.equal(query, 'Why We Built Another Chatbot healthcare triage answers');
+});
+
+test('the local provider ranks entries by title and URL matches', async (t) => {
+    const indexPath = writeIndex(t, 'index.txt', [
+        '# comment',
+        'https://example.com/ai-in-healthcare | AI in healthcare',
+        'https://example.com/chatbots | What is a chatbot?',
+        'https://example.com/healthcare-chatbots/',
+        'https://example.com/cooking | Pasta recipes',
+    ].join('\n'));
+
+    const provider = createSearchProvider({ searchProvider: 'local', localSearchIndex: indexPath });
+    const results = await provider.search('healthcare chatbots', { limit: 5 });
+
+    assert.equal(provider.name, 'local');
+    assert.deepEqual(results.map(r => r.url), [
+        'https://example.com/healthcare-chatbots/',
+        'https://example.com/ai-in-healthcare',
+        'https://example.com/chatbots',
+    ]);
+    assert.equal(results[0].title, 'healthcare chatbots');
+});
+
+test('the local provider reads sitemaps', async (t) => {
+    const indexPath = writeIndex(t, 'sitemap.xml', `<?xml version="1.0"?>
+<urlset><url><loc>https://example.com/blog/lead-generation.html</loc></url><url><loc>https://example.com/blog/pricing</loc></url></urlset>`);
+
+    const provider = createSearchProvider({ searchProvider: 'local', localSearchIndex: indexPath });
+
+    assert.deepEqual(await provider.search('lead generation tips'), [
+        { title: 'lead generation', url: 'https://example.com/blog/lead-generation.html', snippet: '' },
+    ]);
+});
+
+test('a provider without its API key falls back to local, an unknown one throws', () => {
+    assert.equal(createSearchProvider({ searchProvider: 'serpapi', localSearchIndex: 'x' }).name, 'local');
+    assert.equal(createSearchProvider({ braveSearchKey: 'key', localSearchIndex: 'x' }).name, 'brave');
+    assert.throws(() => createSearchProvider({ searchProvider: 'altavista' }), /Unknown SEARCH_PROVIDER "altavista"/);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSeoPackage, parseSeoAnswer, validateSeo } = require('../lib/seo');
+
+const article = { id: 12, title: 'How AI Chatbots Cut Support Costs', slug: 'ai-chatbots', created_at: '2024-01-01T00:00:00Z' };
+const content = `Support teams spend most of their day on the same handful of questions. Chatbots answer them in seconds [1].
+
+## Where chatbots help
+
+Routine questions about orders, returns and opening hours are easy to automate.
+
+## Where they don't
+
+Angry customers and unusual problems still need a person.`;
+
+const validFields = {
+    meta_title: 'How AI Chatbots Cut Customer Support Costs',
+    meta_description: 'Chatbots answer routine support questions in seconds, so support teams can focus on the problems that need a person.',
+    focus_keywords: ['ai chatbots', 'customer support', 'support costs'],
+    slug: 'ai-chatbots-support-costs',
+    outline: [{ level: 2, text: 'Where chatbots help' }, { level: 2, text: "Where they don't" }],
+    faq: [{ question: 'Can a chatbot replace a support team?', answer: 'No - it takes the routine questions so people can handle the rest.' }],
+};
+
+test('valid fields pass, every broken field gets a readable error', () => {
+    assert.deepEqual(validateSeo(validFields), { ok: true, errors: [] });
+
+    const { ok, errors } = validateSeo({
+        meta_title: 'x'.repeat(61),
+        meta_description: 'Too short.',
+        focus_keywords: ['one'],
+        slug: 'Not A Slug',
+        outline: [{ level: 1, text: 'Title' }],
+        faq: [{ question: 'No question mark', answer: 'An answer that is long enough.' }],
+    });
+
+    assert.equal(ok, false);
+    assert.deepEqual(errors.map(e => e.field), ['meta_title', 'meta_description', 'focus_keywords', 'slug', 'outline', 'faq']);
+    assert.equal(errors[0].message, 'meta_title is 61 characters, the maximum is 60.');
+});
+
+test('the LLM answer is read from around code fences and normalized', () => {
+    const answer = 'Here you go:\n```json\n{"meta_title": "  Chatbots   and costs ", "focus_keywords": ["AI Chatbots", "ai chatbots", "Costs"], "slug": " Chatbot-Costs ", "extra": 1}\n```';
+
+    assert.deepEqual(parseSeoAnswer(answer), {
+        meta_title: 'Chatbots and costs',
+        focus_keywords: ['ai chatbots', 'costs'],
+        slug: 'chatbot-costs',
+    });
+    assert.equal(parseSeoAnswer('no JSON here'), null);
+    assert.equal(parseSeoAnswer('[1, 2]'), null);
+});
+
+test('valid LLM fields are kept, broken ones replaced by the fallback', () => {
+    const seo = buildSeoPackage({
+        article,
+        content,
+        citations: [{ url: 'https://example.com/study', title: 'Study' }],
+        fields: { ...validFields, slug: 'Bad Slug!' },
+    });
+
+    assert.equal(seo.meta_title, validFields.meta_title);
+    assert.equal(seo.slug, 'how-ai-chatbots-cut-support-costs');
+    assert.equal(seo.generated_by, 'llm');
+    assert.deepEqual(seo.fallback_fields, ['slug']);
+    assert.deepEqual(seo.issues, []);
+
+    const [articleLd, faqLd] = seo.json_ld;
+    assert.equal(articleLd.headline, article.title);
+    assert.equal(articleLd.wordCount, 45);
+    assert.deepEqual(articleLd.citation, [{ '@type': 'CreativeWork', name: 'Study', url: 'https://example.com/study' }]);
+    assert.equal(faqLd['@type'], 'FAQPage');
+    assert.deepEqual(validateSeo({ json_ld: seo.json_ld }).errors, []);
+});
+
+test('without an LLM every field comes from the article', () => {
+    const seo = buildSeoPackage({ article, content });
+
+    assert.equal(seo.generated_by, 'rules');
+    assert.deepEqual(seo.fallback_fields, []);
+    assert.deepEqual(seo.outline, validFields.outline);
+    assert.deepEqual(seo.faq, []);
+    assert.equal(seo.json_ld.length, 1);
+    assert.match(seo.meta_description, /^Support teams spend most of their day on the same handful of questions\./);
+    assert.equal(validateSeo(seo).errors.filter(e => e.field !== 'json_ld').length, 0);
+});
+
+test('a title without Latin letters falls back to the article slug, then its ID', () => {
+    const russian = { id: 12, title: 'Почему чат-боты не работают', slug: 'chatbots-fail' };
+
+    assert.equal(buildSeoPackage({ article: russian, content }).slug, 'chatbots-fail');
+    assert.equal(buildSeoPackage({ article: { ...russian, slug: '' }, content }).slug, 'article-12');
+    assert.equal(buildSeoPackage({ article: { id: 3, title: '聊天机器人', slug: '聊天机器人' }, content }).slug, 'article-3');
+});
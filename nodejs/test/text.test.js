@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { countWords, toPlainText } = require('../lib/text');
+
+test('Markdown syntax and citation markers are stripped from plain text', () => {
+    const markdown = '## Why **chatbots** work\n\n> Quoted [1, 2].\n\n- See [the guide](https://example.com) [3]\n\n```js\nconst x = 1;\n```';
+
+    assert.equal(toPlainText(markdown), 'Why chatbots work\n\nQuoted.\n\nSee the guide');
+});
+
+test('words are counted in the plain text', () => {
+    assert.equal(countWords('## Chatbots\n\nThey don\'t sleep [1] - ever.'), 5);
+    assert.equal(countWords(''), 0);
+    assert.equal(countWords(null), 0);
+});